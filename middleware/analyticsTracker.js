@@ -188,12 +188,23 @@ const analyticsTracker = (req, res, next) => {
  * Categorize endpoint for aggregation
  */
 const getEndpointCategory = (path) => {
+  if (path.startsWith('/api/feed.rss')) return '/api/feed.rss';
   if (path.startsWith('/api/feed')) return '/api/feed';
   if (path.startsWith('/api/media')) return '/api/media';
+  if (path.startsWith('/api/search')) return '/api/search';
+  if (path.startsWith('/api/collections')) return '/api/collections';
+  if (path.startsWith('/api/tags')) return '/api/tags';
+  if (path.startsWith('/api/categories')) return '/api/categories';
   if (path.startsWith('/api/settings')) return '/api/settings';
   if (path.startsWith('/admin/generate-key')) return '/admin/generate-key';
   if (path.startsWith('/admin/api-keys')) return '/admin/api-keys';
   if (path.startsWith('/admin/media')) return '/admin/media';
+  if (path.startsWith('/admin/collections')) return '/admin/collections';
+  if (path.startsWith('/admin/tags')) return '/admin/tags';
+  if (path.startsWith('/admin/categories')) return '/admin/categories';
+  if (path.startsWith('/admin/uploads')) return '/admin/uploads';
+  if (path.startsWith('/admin/trash')) return '/admin/trash';
+  if (path.startsWith('/admin/storage')) return '/admin/storage';
   if (path.startsWith('/admin/settings')) return '/admin/settings';
   if (path.startsWith('/admin/analytics')) return '/admin/analytics';
   if (path === '/' || path === '/health') return path;
@@ -1,7 +1,8 @@
 /**
  * API Key Permissions Middleware
  * 
- * Validates API keys from the x-api-key header and checks if the key's
+ * Validates API keys from the x-api-key header (or, on routes that allow
+ * it, a `token` query parameter) and checks if the key's
  * stored permissions grant access to the requested HTTP Method and Resource Path.
  */
 
@@ -12,6 +13,7 @@ const { db } = require('../config/firebase');
  */
 const METHOD_TO_ACTION = {
   GET: 'read',
+  HEAD: 'read',
   POST: 'write',
   PUT: 'update',
   PATCH: 'update',
@@ -25,8 +27,15 @@ const METHOD_TO_ACTION = {
 const PATH_TO_RESOURCE = {
   '/api/feed': 'media',
   '/api/media': 'media',
+  '/api/search': 'media',
+  '/api/collections': 'collections',
+  '/api/tags': 'media',
+  '/api/categories': 'media',
   '/api/settings': 'settings',
   '/admin/media': 'media',
+  '/admin/collections': 'collections',
+  '/admin/tags': 'media',
+  '/admin/categories': 'media',
   '/admin/settings': 'settings'
 };
 
@@ -34,9 +43,10 @@ const PATH_TO_RESOURCE = {
  * Predefined permission sets for different access levels
  */
 const PERMISSION_PRESETS = {
-  // Read Access Only: GET requests on media and settings
+  // Read Access Only: GET requests on media, collections and settings
   read_only: [
     'read:media',
+    'read:collections',
     'read:settings'
   ],
   
@@ -46,6 +56,10 @@ const PERMISSION_PRESETS = {
     'write:media',
     'update:media',
     'delete:media',
+    'read:collections',
+    'write:collections',
+    'update:collections',
+    'delete:collections',
     'read:settings',
     'update:settings'
   ],
@@ -56,6 +70,10 @@ const PERMISSION_PRESETS = {
     'write:media',
     'update:media',
     'delete:media',
+    'read:collections',
+    'write:collections',
+    'update:collections',
+    'delete:collections',
     'read:settings',
     'update:settings'
   ]
@@ -77,6 +95,9 @@ const getResourceFromPath = (path) => {
   const pathSegments = path.split('/').filter(Boolean);
   
   // Check common patterns
+  if (pathSegments.includes('collections')) {
+    return 'collections';
+  }
   if (pathSegments.includes('media') || pathSegments.includes('feed')) {
     return 'media';
   }
@@ -98,7 +119,7 @@ const getResourceFromPath = (path) => {
  * Build required permission string from method and resource
  * 
  * @param {string} method - HTTP method (GET, POST, etc.)
- * @param {string} resource - Resource name (media, settings)
+ * @param {string} resource - Resource name (media, collections, settings)
  * @returns {string} - Permission string (e.g., "read:media")
  */
 const buildPermissionString = (method, resource) => {
@@ -128,10 +149,13 @@ const hasPermission = (grantedPermissions, requiredPermission) => {
  * 
  * @param {Object} options - Configuration options
  * @param {boolean} options.allowAdminBypass - If true, admin auth bypasses API key check
+ * @param {boolean} options.allowSignedUrl - If true, a verified signed URL bypasses API key check
+ * @param {boolean} options.allowQueryToken - If true, the key may be sent as ?token= (for clients
+ *   such as podcast apps that cannot set headers)
  * @returns {Function} Express middleware function
  */
 const checkApiKeyPermissions = (options = {}) => {
-  const { allowAdminBypass = true } = options;
+  const { allowAdminBypass = true, allowSignedUrl = false, allowQueryToken = false } = options;
 
   return async (req, res, next) => {
     try {
@@ -140,14 +164,20 @@ const checkApiKeyPermissions = (options = {}) => {
         return next();
       }
 
-      // Get API key from header
-      const apiKey = req.headers['x-api-key'];
+      // Check if the request carries a verified signed URL (see verifySignedUrl)
+      if (allowSignedUrl && req.signedUrl) {
+        return next();
+      }
+
+      // Get API key from header, or from the query string where allowed
+      const queryToken = allowQueryToken && typeof req.query.token === 'string' ? req.query.token : null;
+      const apiKey = req.headers['x-api-key'] || queryToken;
 
       if (!apiKey) {
         return res.status(401).json({
           success: false,
           error: 'Unauthorized',
-          message: 'Missing x-api-key header'
+          message: allowQueryToken ? 'Missing x-api-key header or token query parameter' : 'Missing x-api-key header'
         });
       }
 
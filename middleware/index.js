@@ -6,9 +6,11 @@
 const checkAdminAuth = require('./checkAdminAuth');
 const checkApiKeyPermissions = require('./checkApiKeyPermissions');
 const analyticsTracker = require('./analyticsTracker');
+const verifySignedUrl = require('./verifySignedUrl');
 
 module.exports = {
   checkAdminAuth,
   checkApiKeyPermissions,
-  analyticsTracker
+  analyticsTracker,
+  verifySignedUrl
 };
@@ -0,0 +1,83 @@
+/**
+ * Signed URL Verification Middleware
+ *
+ * Lets requests for a media file through when they carry a valid,
+ * unexpired signature (see utils/signedUrl.js) instead of an x-api-key
+ * header. Requests without a signature are passed on unchanged so the
+ * regular API key check can handle them.
+ */
+
+const { db } = require('../config/firebase');
+const { verifyMediaSignature } = require('../utils/signedUrl');
+
+/**
+ * Middleware to verify signed media URLs
+ *
+ * Expects the media ID in req.params.id and the signature in the
+ * `expires`, `kid` and `signature` query parameters.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const verifySignedUrl = async (req, res, next) => {
+  // Not a signed request - fall through to API key authentication
+  if (req.query.signature === undefined) {
+    return next();
+  }
+
+  try {
+    const result = verifyMediaSignature(req.params.id, req.query);
+
+    if (!result.isValid) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: result.reason
+      });
+    }
+
+    // URLs bound to an API key stop working once that key is revoked or expires
+    if (result.keyId) {
+      const keyDoc = await db.collection('api_keys').doc(result.keyId).get();
+
+      if (!keyDoc.exists || !keyDoc.data().isActive) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'The API key that issued this URL is no longer active'
+        });
+      }
+
+      const { expiresAt } = keyDoc.data();
+      if (expiresAt) {
+        const expirationDate = expiresAt.toDate ? expiresAt.toDate() : new Date(expiresAt);
+
+        if (expirationDate < new Date()) {
+          return res.status(403).json({
+            success: false,
+            error: 'Forbidden',
+            message: 'The API key that issued this URL has expired'
+          });
+        }
+      }
+    }
+
+    req.signedUrl = {
+      mediaId: req.params.id,
+      expiresAt: new Date(result.expires * 1000).toISOString(),
+      keyId: result.keyId
+    };
+
+    next();
+  } catch (error) {
+    console.error('Signed URL verification error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to verify signed URL'
+    });
+  }
+};
+
+module.exports = verifySignedUrl;
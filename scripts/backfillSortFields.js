@@ -0,0 +1,90 @@
+/**
+ * Sort Field Backfill
+ *
+ * Firestore leaves documents without the orderBy field out of a sorted
+ * query, so media items uploaded before a field existed disappear from
+ * /api/feed sorted by it. This sets the missing feed sort fields on every
+ * media item: updatedAt to createdAt, and title, durationSeconds and
+ * fileSize to null (null is sorted first in ascending order).
+ *
+ * Usage:
+ *   node scripts/backfillSortFields.js [--dry-run]
+ *
+ * Items with all the fields are left alone, so the command can be re-run.
+ * POST /admin/media/:id/metadata reads a real duration for an item.
+ */
+
+'use strict';
+
+const { db } = require('../config/firebase');
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 450;
+
+const NULLABLE_SORT_FIELDS = ['title', 'durationSeconds', 'fileSize'];
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = (argv) => {
+  const args = { dryRun: false };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+  }
+
+  return args;
+};
+
+/**
+ * Fields to set on a media document, or null if it has them all
+ */
+const getMissingFields = (data) => {
+  const fields = {};
+
+  if (data.updatedAt === undefined) {
+    fields.updatedAt = data.createdAt || new Date().toISOString();
+  }
+  for (const field of NULLABLE_SORT_FIELDS) {
+    if (data[field] === undefined) {
+      fields[field] = null;
+    }
+  }
+
+  return Object.keys(fields).length > 0 ? fields : null;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const snapshot = await db.collection('media_content').get();
+
+  const updates = snapshot.docs
+    .map(doc => ({ doc, fields: getMissingFields(doc.data()) }))
+    .filter(update => update.fields);
+
+  updates.forEach(({ doc, fields }) => {
+    console.log(`${args.dryRun ? '🔍 Would set' : '✏️ Setting'} ${Object.keys(fields).join(', ')} on ${doc.id}`);
+  });
+
+  if (!args.dryRun) {
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      updates.slice(i, i + BATCH_SIZE).forEach(({ doc, fields }) => batch.update(doc.ref, fields));
+      await batch.commit();
+    }
+  }
+
+  console.log(`✅ Done: ${snapshot.size} media items, ${updates.length} ${args.dryRun ? 'to update' : 'updated'}`);
+  return 0;
+};
+
+run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Sort field backfill failed:', error.message);
+    process.exit(1);
+  });
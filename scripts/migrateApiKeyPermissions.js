@@ -0,0 +1,88 @@
+/**
+ * API Key Permission Migration
+ *
+ * API keys store the permissions they were created with, so keys made from
+ * the read_only or full_access preset before a resource was added to it
+ * (e.g. collections) are refused on that resource's routes. This adds the
+ * permissions each preset now has to the keys created from it. Custom keys
+ * are left alone.
+ *
+ * Usage:
+ *   node scripts/migrateApiKeyPermissions.js [--dry-run]
+ *
+ * Permissions a key already has are kept, so the command can be re-run.
+ */
+
+'use strict';
+
+const { db } = require('../config/firebase');
+const { PERMISSION_PRESETS } = require('../middleware/checkApiKeyPermissions');
+
+// Firestore allows 500 writes per batch
+const BATCH_SIZE = 450;
+
+const PRESET_ACCESS_TYPES = ['read_only', 'full_access'];
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = (argv) => {
+  const args = { dryRun: false };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else {
+      throw new Error(`Unknown argument "${arg}"`);
+    }
+  }
+
+  return args;
+};
+
+/**
+ * Preset permissions a key is missing
+ */
+const getMissingPermissions = (data) => {
+  if (!PRESET_ACCESS_TYPES.includes(data.accessType)) return [];
+
+  const current = Array.isArray(data.permissions) ? data.permissions : [];
+  return PERMISSION_PRESETS[data.accessType].filter(permission => !current.includes(permission));
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const snapshot = await db.collection('api_keys').get();
+
+  const updates = snapshot.docs
+    .map(doc => ({ doc, missing: getMissingPermissions(doc.data()) }))
+    .filter(update => update.missing.length > 0);
+
+  updates.forEach(({ doc, missing }) => {
+    const name = doc.data().name || doc.id;
+    console.log(`${args.dryRun ? '🔍 Would add' : '🔑 Adding'} ${missing.join(', ')} to "${name}" (${doc.data().accessType})`);
+  });
+
+  if (!args.dryRun) {
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      updates.slice(i, i + BATCH_SIZE).forEach(({ doc, missing }) => {
+        batch.update(doc.ref, {
+          permissions: [...(doc.data().permissions || []), ...missing],
+          updatedAt: new Date().toISOString()
+        });
+      });
+      await batch.commit();
+    }
+  }
+
+  console.log(`✅ Done: ${snapshot.size} API keys, ${updates.length} ${args.dryRun ? 'to update' : 'updated'}`);
+  return 0;
+};
+
+run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ API key permission migration failed:', error.message);
+    process.exit(1);
+  });
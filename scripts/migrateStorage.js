@@ -0,0 +1,192 @@
+/**
+ * Storage Migration
+ *
+ * Copies every stored file referenced by media_content (current files,
+ * earlier versions and artwork) from one storage driver to another and
+ * points the documents at the target backend.
+ *
+ * Usage:
+ *   node scripts/migrateStorage.js --from local --to s3 [--dry-run] [--delete-source]
+ *
+ * Both drivers are configured from the usual environment variables
+ * (UPLOAD_DIR, S3_*). Files already present in the target with the same
+ * size are skipped, so the command can be re-run after an interruption.
+ * Switch STORAGE_DRIVER to the target once it has finished.
+ */
+
+'use strict';
+
+const { db } = require('../config/firebase');
+const { STORAGE_DRIVERS, createStorage, getStorageKey } = require('../storage');
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = (argv) => {
+  const args = { dryRun: false, deleteSource: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from':
+        args.from = argv[++i];
+        break;
+      case '--to':
+        args.to = argv[++i];
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--delete-source':
+        args.deleteSource = true;
+        break;
+      default:
+        throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+  }
+
+  if (!STORAGE_DRIVERS.includes(args.from) || !STORAGE_DRIVERS.includes(args.to)) {
+    throw new Error(`--from and --to must be one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+  if (args.from === args.to) {
+    throw new Error('--from and --to must be different drivers');
+  }
+
+  return args;
+};
+
+/**
+ * Copy one file to the target driver
+ *
+ * @returns {Promise<string>} - 'copied', 'skipped' or 'missing'
+ */
+const migrateFile = async (key, { source, target, dryRun, deleteSource }, contentType) => {
+  const sourceStats = await source.stat(key);
+
+  if (!sourceStats) {
+    const targetStats = await target.stat(key);
+    return targetStats ? 'skipped' : 'missing';
+  }
+
+  const targetStats = await target.stat(key);
+  if (targetStats && targetStats.size === sourceStats.size) {
+    if (deleteSource && !dryRun) {
+      await source.delete(key);
+    }
+    return 'skipped';
+  }
+
+  if (dryRun) {
+    return 'copied';
+  }
+
+  await target.put(key, await source.getStream(key), {
+    contentType,
+    contentLength: sourceStats.size
+  });
+
+  // Only remove the original once the copy is confirmed
+  const copiedStats = await target.stat(key);
+  if (!copiedStats || copiedStats.size !== sourceStats.size) {
+    throw new Error(`Copy of "${key}" is incomplete`);
+  }
+
+  if (deleteSource) {
+    await source.delete(key);
+  }
+  return 'copied';
+};
+
+/**
+ * Document fields pointing a stored media file at the target driver
+ */
+const fileFieldsFor = (key, target) => ({
+  storageKey: key,
+  filePath: target.name === 'local' ? `/public/uploads/${key}` : null,
+  fileUrl: target.getUrl(key, PUBLIC_BASE_URL)
+});
+
+/**
+ * Document fields pointing an artwork image at the target driver
+ */
+const artworkFieldsFor = (key, target) => ({
+  artworkKey: key,
+  artworkPath: target.name === 'local' ? `/public/uploads/${key}` : null
+});
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const options = {
+    ...args,
+    source: createStorage(args.from),
+    target: createStorage(args.to)
+  };
+  const totals = { copied: 0, skipped: 0, missing: 0, failed: 0 };
+
+  /**
+   * Migrate one file and return the document update for it, if any
+   */
+  const migrate = async (key, contentType, buildFields) => {
+    try {
+      const result = await migrateFile(key, options, contentType);
+      totals[result]++;
+
+      if (result === 'missing') {
+        console.log(`⚠️ Missing in ${args.from}: ${key}`);
+        return null;
+      }
+      console.log(`${result === 'copied' ? '📦' : '⏭️'} ${result}: ${key}`);
+      return buildFields(key, options.target);
+    } catch (error) {
+      totals.failed++;
+      console.error(`❌ Failed: ${key}:`, error.message);
+      return null;
+    }
+  };
+
+  console.log(`🚚 Migrating storage ${args.from} → ${args.to}${args.dryRun ? ' (dry run)' : ''}`);
+
+  const snapshot = await db.collection('media_content').get();
+
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+    let update = {};
+
+    const fileKey = getStorageKey(data.storageKey, data.filePath);
+    if (fileKey) {
+      Object.assign(update, await migrate(fileKey, data.mimeType, fileFieldsFor));
+    }
+
+    const artworkKey = getStorageKey(data.artworkKey, data.artworkPath);
+    if (artworkKey) {
+      Object.assign(update, await migrate(artworkKey, data.artworkMimeType, artworkFieldsFor));
+    }
+
+    if (!args.dryRun && Object.keys(update).length > 0) {
+      await doc.ref.update(update);
+    }
+
+    const versions = await doc.ref.collection('versions').get();
+    for (const versionDoc of versions.docs) {
+      const versionData = versionDoc.data();
+      const versionKey = getStorageKey(versionData.storageKey, versionData.filePath);
+      if (!versionKey) continue;
+
+      update = await migrate(versionKey, versionData.mimeType, fileFieldsFor);
+      if (!args.dryRun && update) {
+        await versionDoc.ref.update(update);
+      }
+    }
+  }
+
+  console.log(`✅ Done: ${totals.copied} copied, ${totals.skipped} skipped, ${totals.missing} missing, ${totals.failed} failed`);
+  return totals.failed === 0 ? 0 : 1;
+};
+
+run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Storage migration failed:', error.message);
+    process.exit(1);
+  });
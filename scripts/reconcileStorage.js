@@ -0,0 +1,103 @@
+/**
+ * Storage Reconciliation
+ *
+ * Reports stored files no media item references (orphans), media items
+ * whose files are gone (missing) and files whose size differs from the
+ * recorded size, for the configured STORAGE_DRIVER.
+ *
+ * Usage:
+ *   node scripts/reconcileStorage.js [--fix orphans,missing,sizes|all] [--json]
+ *
+ * Without --fix nothing is changed. Orphans written in the last hour are
+ * never deleted, so uploads still being saved are left alone.
+ */
+
+'use strict';
+
+const { db } = require('../config/firebase');
+const { createStorage } = require('../storage');
+const { RECONCILE_FIXES, reconcileStorage } = require('../storage/reconcile');
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = (argv) => {
+  const args = { fix: [], json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--fix': {
+        const value = argv[++i] || '';
+        args.fix = value === 'all' ? RECONCILE_FIXES : value.split(',').filter(Boolean);
+        break;
+      }
+      case '--json':
+        args.json = true;
+        break;
+      default:
+        throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+  }
+
+  const unknown = args.fix.filter(item => !RECONCILE_FIXES.includes(item));
+  if (unknown.length > 0) {
+    throw new Error(`--fix must be "all" or a comma-separated list of: ${RECONCILE_FIXES.join(', ')}`);
+  }
+
+  return args;
+};
+
+/**
+ * Describe a report entry on one line
+ */
+const describe = (entry) => {
+  const parts = [entry.key];
+  if (entry.mediaId) {
+    const detail = entry.version !== undefined ? ` v${entry.version}` : entry.language ? ` ${entry.language}/${entry.kind}` : '';
+    parts.push(`(media ${entry.mediaId}, ${entry.field}${detail})`);
+  }
+  if (entry.collectionId) {
+    parts.push(`(collection ${entry.collectionId}, ${entry.field})`);
+  }
+  if (entry.actualSize !== undefined) {
+    parts.push(`recorded ${entry.expectedSize} bytes, stored ${entry.actualSize} bytes`);
+  }
+  if (entry.fix) {
+    parts.push(`→ ${entry.fix}`);
+  }
+  return parts.join(' ');
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const storage = createStorage();
+
+  if (!args.json) {
+    const mode = args.fix.length > 0 ? `fixing ${args.fix.join(', ')}` : 'report only';
+    console.log(`🔍 Reconciling ${storage.name} storage (${mode})`);
+  }
+
+  const report = await reconcileStorage({ db, storage, fix: args.fix, actor: 'storage:reconcile' });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return 0;
+  }
+
+  report.orphans.forEach(entry => console.log(`🗑️ Orphan: ${describe(entry)}`));
+  report.missing.forEach(entry => console.log(`⚠️ Missing: ${describe(entry)}`));
+  report.sizeMismatches.forEach(entry => console.log(`📏 Size mismatch: ${describe(entry)}`));
+
+  const { totals } = report;
+  console.log(`✅ Done: ${report.scanned.files} files, ${report.scanned.references} references; ` +
+    `${totals.orphans} orphans (${totals.orphanBytes} bytes), ${totals.missing} missing, ` +
+    `${totals.sizeMismatches} size mismatches`);
+  return 0;
+};
+
+run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Storage reconciliation failed:', error.message);
+    process.exit(1);
+  });
@@ -11,12 +11,41 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
+const { sendMediaFile } = require('./utils/mediaStream');
+const { parseTtl, buildSignedMediaUrl, MIN_TTL_SECONDS, MAX_TTL_SECONDS } = require('./utils/signedUrl');
+const { SNIFF_BYTES, describeContainer, sniffFile } = require('./utils/mediaSniffer');
+const { extractMetadata, emptyMetadata } = require('./utils/mediaMetadata');
+const { readImageInfo } = require('./utils/imageInfo');
+const { parseCaptions, toWebVtt, detectCaptionFormat } = require('./utils/captions');
+const { TRANSCRIPT_FORMATS, parseTranscript } = require('./utils/transcripts');
+const { tokenize, createSearchIndex } = require('./utils/searchIndex');
+const { withContentHash, hashFile } = require('./utils/contentHash');
+const { parseSourceUrl, downloadToFile } = require('./utils/remoteDownload');
+const { encodeCursor, parsePageParams } = require('./utils/pagination');
+const { MEDIA_STATUSES, getMediaStatus, isLive, resolvePublication } = require('./utils/publication');
+const { buildPodcastRss } = require('./utils/podcastFeed');
+const { FEED_FORMATS, negotiateFeedFormat, buildJsonFeed, buildM3u8, buildXspf } = require('./utils/feedFormats');
+const { createResponseCache } = require('./utils/responseCache');
+const { normalizeLanguage, negotiateLocales, localize } = require('./utils/locales');
+const {
+  TUS_VERSION,
+  getPartialPath,
+  getUploadOffset,
+  parseUploadMetadata,
+  appendChunk
+} = require('./utils/resumableUpload');
+const { createStorage, getStorageKey } = require('./storage');
+const { RECONCILE_FIXES, reconcileStorage } = require('./storage/reconcile');
+const { createQuotaTracker, getFileQuotaBytes, getMediaQuotaBytes } = require('./storage/quota');
 
 // Firebase and middleware imports
-const { db } = require('./config/firebase');
-const { checkAdminAuth, checkApiKeyPermissions, analyticsTracker } = require('./middleware');
+const { admin, db } = require('./config/firebase');
+const { checkAdminAuth, checkApiKeyPermissions, analyticsTracker, verifySignedUrl } = require('./middleware');
 const { 
   PERMISSION_PRESETS, 
   validatePermissions, 
@@ -41,6 +70,50 @@ const UPLOAD_DIR = process.env.UPLOAD_DIR || './public/uploads';
 const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB
 const CORS_ORIGIN = '*';
 
+// Base URL for links returned to clients. Defaults to the request's host;
+// set PUBLIC_BASE_URL when running behind a proxy or CDN.
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+// Uploaded files are served through /api/media/:id/stream. Set PUBLIC_UPLOADS=true
+// to keep the legacy public /public/uploads links working for old clients.
+const PUBLIC_UPLOADS = process.env.PUBLIC_UPLOADS === 'true';
+
+// Resumable uploads that see no activity for this long are deleted
+const UPLOAD_SESSION_TTL_HOURS = parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24;
+const UPLOAD_CLEANUP_INTERVAL = 60 * 60 * 1000; // Check hourly
+
+// Number of earlier files kept per media item when its file is replaced
+const MEDIA_VERSION_RETENTION = parseInt(process.env.MEDIA_VERSION_RETENTION, 10) || 5;
+
+// Deleted media stays in the trash this long before it is purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_PURGE_INTERVAL = 6 * 60 * 60 * 1000; // Check every 6 hours
+
+// Scheduled publishing: how often due items are published or taken down
+const PUBLISH_SCHEDULE_INTERVAL = 60 * 1000; // Check every minute
+
+// Bulk media operations: requests are capped, writes are committed in
+// chunks below Firestore's limit of 500 writes per batch
+const BULK_MAX_OPERATIONS = 1000;
+const BULK_BATCH_SIZE = 450;
+
+// What to do when an upload's content matches an existing media item:
+// reject it (409) or create a new item sharing the stored file
+const DUPLICATE_ACTIONS = ['reject', 'link'];
+
+// Server-side imports from remote URLs (POST /admin/media/import)
+const IMPORT_MAX_REDIRECTS = 5;
+const IMPORT_HEADERS_TIMEOUT = 15 * 1000; // Wait for response headers
+const IMPORT_IDLE_TIMEOUT = 30 * 1000; // Give up when no data arrives
+const IMPORT_MAX_DURATION_MINUTES = parseInt(process.env.IMPORT_MAX_DURATION_MINUTES, 10) || 60;
+const IMPORT_PROGRESS_INTERVAL = 2000; // Minimum ms between progress writes
+
+// Hosts exempt from the private-address (SSRF) check, e.g. an intranet media server
+const IMPORT_ALLOWED_HOSTS = (process.env.IMPORT_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim())
+  .filter(Boolean);
+
 // Allowed file types
 const ALLOWED_MIME_TYPES = {
   video: [
@@ -72,6 +145,76 @@ const ALLOWED_EXTENSIONS = {
   audio: ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.flac']
 };
 
+// Artwork (cover art / poster frames) attached to media items
+const ALLOWED_IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const ALLOWED_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const MAX_ARTWORK_SIZE = 10 * 1024 * 1024; // 10MB
+const ARTWORK_MIN_DIMENSION = 300;
+const ARTWORK_MAX_DIMENSION = 4096;
+
+// Caption tracks (SRT or WebVTT, stored as WebVTT) attached to media items.
+// Kinds are listed in the order a language's default track is picked.
+const CAPTION_TRACK_KINDS = ['subtitles', 'captions', 'chapters'];
+const ALLOWED_CAPTION_EXTENSIONS = ['.srt', '.vtt'];
+const MAX_CAPTION_SIZE = 2 * 1024 * 1024; // 2MB
+
+// Transcripts (plain text, JSON segments, WebVTT or SRT) searched by /api/search
+const MAX_TRANSCRIPT_SIZE = 800 * 1024; // Keeps the transcripts document under Firestore's 1MB limit
+
+// /api/search over media metadata and transcripts; a word in the title
+// counts three times as much as one in a transcript segment
+const SEARCH_FIELD_WEIGHTS = { title: 3, subtitle: 1.5, originalName: 1 };
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_MAX_MATCHES = 5; // Matching fields and segments returned per media item
+
+// Paged lists (/api/feed, /admin/api-keys): sortable fields and page sizes
+const FEED_SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'durationSeconds', 'fileSize'];
+const FEED_DEFAULT_LIMIT = 50;
+const FEED_MAX_LIMIT = 100;
+const API_KEY_SORT_FIELDS = ['createdAt', 'name', 'lastUsedAt', 'usageCount'];
+const API_KEYS_DEFAULT_LIMIT = 100;
+const API_KEYS_MAX_LIMIT = 100;
+
+// Feed formats whose entries are opened by players that cannot send x-api-key
+const PLAYLIST_FORMATS = ['m3u8', 'xspf'];
+
+// Podcast feeds: episodes per feed, newest first
+const PODCAST_DEFAULT_LIMIT = 100;
+const PODCAST_MAX_LIMIT = 1000;
+const PODCAST_CACHE_MAX_AGE = 300; // Seconds podcast apps may reuse a feed
+
+// HTTP caching of public reads (/api/feed, /api/media/:id, /api/settings):
+// clients may reuse a response for PUBLIC_CACHE_MAX_AGE seconds and then
+// revalidate it with If-None-Match / If-Modified-Since (0 = always revalidate)
+const PUBLIC_CACHE_MAX_AGE = process.env.PUBLIC_CACHE_MAX_AGE === undefined
+  ? 60
+  : parseInt(process.env.PUBLIC_CACHE_MAX_AGE, 10) || 0;
+
+// Server-side cache of the Firestore reads behind those routes, cleared by
+// admin changes (0 = disabled)
+const READ_CACHE_TTL_SECONDS = process.env.READ_CACHE_TTL_SECONDS === undefined
+  ? 30
+  : parseInt(process.env.READ_CACHE_TTL_SECONDS, 10) || 0;
+const READ_CACHE_MAX_ENTRIES = parseInt(process.env.READ_CACHE_MAX_ENTRIES, 10) || 500;
+
+// Collections (playlists / series) with an ordered list of media items
+const MAX_COLLECTION_ITEMS = 1000; // mediaIds are kept in the collection document
+const COLLECTIONS_DEFAULT_LIMIT = 50;
+const COLLECTIONS_MAX_LIMIT = 100;
+
+// Tags and the category tree media items are filed under
+const MAX_MEDIA_TAGS = 20;
+const MAX_TAG_FILTERS = 10; // Firestore's limit on array-contains-any values
+const MAX_CATEGORY_DEPTH = 5;
+
+// Localized media text and settings, keyed by BCP 47 tag. Untranslated
+// fields are in the item's `locale`, or the default locale: the
+// `defaultLocale` app setting, else DEFAULT_LOCALE.
+const DEFAULT_LOCALE = normalizeLanguage(process.env.DEFAULT_LOCALE) || 'en';
+const MEDIA_LOCALIZED_FIELDS = ['title', 'subtitle'];
+const MAX_TRANSLATIONS = 50; // Per media item or settings document
+
 // =============================================================================
 // ENSURE UPLOAD DIRECTORY EXISTS
 // =============================================================================
@@ -87,32 +230,156 @@ const ensureUploadDir = () => {
 
 const uploadPath = ensureUploadDir();
 
+// Partial files of resumable uploads (dotfile dir, never served statically)
+const partialUploadPath = path.join(uploadPath, '.partial');
+if (!fs.existsSync(partialUploadPath)) {
+  fs.mkdirSync(partialUploadPath, { recursive: true });
+}
+
+// Multipart uploads are staged here until they are validated and handed
+// to the storage driver (dotfile dir, never served statically)
+const incomingUploadPath = path.join(uploadPath, '.incoming');
+if (!fs.existsSync(incomingUploadPath)) {
+  fs.mkdirSync(incomingUploadPath, { recursive: true });
+}
+
+// =============================================================================
+// STORAGE DRIVER
+// =============================================================================
+
+// Where uploaded media and artwork are kept: STORAGE_DRIVER=local (UPLOAD_DIR)
+// or s3 (any S3-compatible service). See storage/index.js.
+const mediaStorage = createStorage();
+
+// Stored bytes and item counts against the QUOTA_* limits (overall, per
+// media type and per uploader). See storage/quota.js.
+const storageQuota = createQuotaTracker({ db, admin, types: Object.keys(ALLOWED_MIME_TYPES) });
+
+// =============================================================================
+// READ CACHE
+// =============================================================================
+
+// Feed pages and media documents read by the public routes, and the app
+// settings. Admin changes clear them (see the middleware below), as do the
+// background jobs that change media.
+const mediaReadCache = createResponseCache({ ttlSeconds: READ_CACHE_TTL_SECONDS, maxEntries: READ_CACHE_MAX_ENTRIES });
+const settingsReadCache = createResponseCache({ ttlSeconds: READ_CACHE_TTL_SECONDS, maxEntries: 1 });
+
+// =============================================================================
+// SEARCH INDEX
+// =============================================================================
+
+// In-memory inverted index of media metadata and transcripts, built from
+// Firestore on first use and kept up to date by the admin routes that change
+// them. Trashed items stay indexed and are skipped when results are read.
+// See utils/searchIndex.js.
+const searchIndex = createSearchIndex();
+let searchIndexReady = null;
+
+/**
+ * Index entries for a media item: its weighted metadata fields, then one
+ * entry per transcript segment, with its timestamps
+ *
+ * @param {Object} mediaData - media_content document
+ * @param {Object|null} transcript - transcripts document, if the item has one
+ */
+const getSearchEntries = (mediaData, transcript) => {
+  const entries = Object.entries(SEARCH_FIELD_WEIGHTS)
+    .filter(([field]) => typeof mediaData[field] === 'string' && mediaData[field] !== '')
+    .map(([field, weight]) => ({ field, text: mediaData[field], weight }));
+
+  for (const segment of transcript ? transcript.segments : []) {
+    entries.push({
+      field: 'transcript',
+      text: segment.text,
+      start: segment.start,
+      end: segment.end
+    });
+  }
+  return entries;
+};
+
+/**
+ * Build the search index from media_content and transcripts (once per process)
+ *
+ * @returns {Promise<void>} - Resolves when the index is ready
+ */
+const loadSearchIndex = () => {
+  if (!searchIndexReady) {
+    searchIndexReady = (async () => {
+      const [mediaSnapshot, transcriptSnapshot] = await Promise.all([
+        db.collection('media_content').select(...Object.keys(SEARCH_FIELD_WEIGHTS)).get(),
+        db.collection('transcripts').get()
+      ]);
+      const transcripts = new Map(transcriptSnapshot.docs.map(doc => [doc.id, doc.data()]));
+
+      for (const doc of mediaSnapshot.docs) {
+        searchIndex.set(doc.id, getSearchEntries(doc.data(), transcripts.get(doc.id) || null));
+      }
+      console.log(`🔎 Search index built: ${searchIndex.size} media items, ${transcripts.size} transcripts`);
+    })().catch(error => {
+      // Retry on the next search
+      searchIndexReady = null;
+      throw error;
+    });
+  }
+  return searchIndexReady;
+};
+
+/**
+ * Re-index a media item after an admin change, or drop it if it is gone
+ *
+ * Failures are logged rather than thrown: the change itself has been saved.
+ *
+ * @param {string} id - media_content ID
+ */
+const reindexMedia = async (id) => {
+  try {
+    // Index updates must not race the initial build
+    await loadSearchIndex();
+
+    const doc = await db.collection('media_content').doc(id).get();
+
+    if (!doc.exists) {
+      searchIndex.remove(id);
+      return;
+    }
+
+    const mediaData = doc.data();
+    const transcriptDoc = mediaData.hasTranscript
+      ? await db.collection('transcripts').doc(id).get()
+      : null;
+
+    searchIndex.set(id, getSearchEntries(mediaData, transcriptDoc && transcriptDoc.exists ? transcriptDoc.data() : null));
+  } catch (error) {
+    console.error(`Error indexing media ${id} for search:`, error);
+  }
+};
+
 // =============================================================================
 // MULTER CONFIGURATION
 // =============================================================================
 
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    // Try to get type from body, query, or infer from file mimetype
-    let type = req.body.type || req.query.type || 'video';
-    
-    // If type still not determined, infer from file mimetype
-    if (!type || type === 'video') {
-      if (file.mimetype.startsWith('audio/')) {
-        type = 'audio';
+    // Artwork images have no media type
+    if (file.fieldname !== 'artwork') {
+      // Try to get type from the route (file replacement), body, query, or infer from file mimetype
+      let type = req.uploadType || req.body.type || req.query.type || 'video';
+
+      // If type still not determined, infer from file mimetype
+      if (!req.uploadType && (!type || type === 'video')) {
+        if (file.mimetype.startsWith('audio/')) {
+          type = 'audio';
+        }
       }
+
+      // Store type for later use
+      req.detectedType = type;
     }
-    
-    const typeDir = path.join(uploadPath, type === 'audio' ? 'audio' : 'video');
-    
-    if (!fs.existsSync(typeDir)) {
-      fs.mkdirSync(typeDir, { recursive: true });
-    }
-    
-    // Store type for later use
-    req.detectedType = type;
-    
-    cb(null, typeDir);
+
+    // Files are staged until validated, then moved into storage
+    cb(null, incomingUploadPath);
   },
   filename: (req, file, cb) => {
     const uniqueId = uuidv4();
@@ -122,28 +389,29 @@ const storage = multer.diskStorage({
   }
 });
 
-const fileFilter = (req, file, cb) => {
+/**
+ * Validate a file's extension and MIME type for the requested media type
+ *
+ * Shared by the multer fileFilter and the resumable upload routes.
+ *
+ * @param {Object} file - { originalname, mimetype }
+ * @param {string|undefined} requestedType - 'video' or 'audio', inferred if missing
+ * @returns {Object} - { type, error } where error is null if the file is allowed
+ */
+const validateMediaFile = (file, requestedType) => {
   const ext = path.extname(file.originalname).toLowerCase();
-  
-  // Determine type from multiple sources since body might not be parsed yet
-  // 1. Check req.body.type (might be available if type field comes before file in form)
-  // 2. Check query parameter
-  // 3. Infer from file mimetype
-  // 4. Infer from file extension
-  let type = req.body.type || req.query.type;
+  const mimetype = file.mimetype || '';
+  let type = requestedType;
   
   // If type not explicitly provided, infer from file
   if (!type) {
-    if (file.mimetype.startsWith('audio/') || ALLOWED_EXTENSIONS.audio.includes(ext)) {
+    if (mimetype.startsWith('audio/') || ALLOWED_EXTENSIONS.audio.includes(ext)) {
       type = 'audio';
     } else {
       type = 'video';
     }
   }
   
-  // Store detected type on request for later use by route handler
-  req.detectedType = type;
-  
   const allowedExts = ALLOWED_EXTENSIONS[type] || ALLOWED_EXTENSIONS.video;
   const allowedMimes = ALLOWED_MIME_TYPES[type] || ALLOWED_MIME_TYPES.video;
   
@@ -151,639 +419,7258 @@ const fileFilter = (req, file, cb) => {
   const extAllowed = allowedExts.includes(ext);
   
   // Check if MIME type is allowed (or starts with video/audio based on type)
-  const mimeAllowed = allowedMimes.includes(file.mimetype) || 
-                      (type === 'video' && file.mimetype.startsWith('video/')) ||
-                      (type === 'audio' && file.mimetype.startsWith('audio/'));
+  const mimeAllowed = allowedMimes.includes(mimetype) || 
+                      (type === 'video' && mimetype.startsWith('video/')) ||
+                      (type === 'audio' && mimetype.startsWith('audio/'));
   
-  console.log(`📁 File upload validation: ext=${ext}, mime=${file.mimetype}, type=${type}, extAllowed=${extAllowed}, mimeAllowed=${mimeAllowed}`);
+  console.log(`📁 File upload validation: ext=${ext}, mime=${mimetype}, type=${type}, extAllowed=${extAllowed}, mimeAllowed=${mimeAllowed}`);
   
   // Allow if extension matches (primary check)
   if (extAllowed) {
     if (!mimeAllowed) {
-      console.log(`⚠️ File accepted with mismatched MIME type: ${file.mimetype} for extension ${ext}`);
-    }
-    cb(null, true);
-  } else {
-    // Check if the extension belongs to the OTHER type (common mistake)
-    const otherType = type === 'video' ? 'audio' : 'video';
-    const otherExts = ALLOWED_EXTENSIONS[otherType];
-    
-    if (otherExts.includes(ext)) {
-      cb(new Error(`Invalid file type. You're uploading a ${otherType} file (${ext}) but selected type="${type}". Please set type="${otherType}" in your form data.`), false);
-    } else {
-      cb(new Error(`Invalid file type "${ext}" for ${type}. Allowed extensions: ${allowedExts.join(', ')}`), false);
+      console.log(`⚠️ File accepted with mismatched MIME type: ${mimetype} for extension ${ext}`);
     }
+    return { type, error: null };
   }
+
+  // Check if the extension belongs to the OTHER type (common mistake)
+  const otherType = type === 'video' ? 'audio' : 'video';
+  const otherExts = ALLOWED_EXTENSIONS[otherType];
+  
+  if (otherExts.includes(ext)) {
+    return {
+      type,
+      error: new Error(`Invalid file type. You're uploading a ${otherType} file (${ext}) but selected type="${type}". Please set type="${otherType}" in your form data.`)
+    };
+  }
+  return {
+    type,
+    error: new Error(`Invalid file type "${ext}" for ${type}. Allowed extensions: ${allowedExts.join(', ')}`)
+  };
+};
+
+/**
+ * Validate an artwork image's extension and MIME type
+ *
+ * @param {Object} file - { originalname, mimetype }
+ * @returns {Error|null} - Error if the image type is not allowed
+ */
+const validateArtworkFile = (file) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+
+  if (!ALLOWED_IMAGE_EXTENSIONS.includes(ext)) {
+    return new Error(`Invalid file type "${ext}" for artwork. Allowed extensions: ${ALLOWED_IMAGE_EXTENSIONS.join(', ')}`);
+  }
+  if (!ALLOWED_IMAGE_MIME_TYPES.includes(file.mimetype)) {
+    console.log(`⚠️ Artwork accepted with mismatched MIME type: ${file.mimetype} for extension ${ext}`);
+  }
+  return null;
+};
+
+const fileFilter = (req, file, cb) => {
+  // Artwork images are checked separately from the media file
+  if (file.fieldname === 'artwork') {
+    const error = validateArtworkFile(file);
+    return error ? cb(error, false) : cb(null, true);
+  }
+
+  // Determine type from multiple sources since body might not be parsed yet
+  // 1. Check req.body.type (might be available if type field comes before file in form)
+  // 2. Check query parameter
+  // 3. Infer from file mimetype
+  // 4. Infer from file extension
+  // A route may fix the type up front (req.uploadType), e.g. when replacing a file
+  const { type, error } = validateMediaFile(file, req.uploadType || req.body.type || req.query.type);
+  
+  // Store detected type on request for later use by route handler
+  req.detectedType = type;
+  
+  if (error) {
+    return cb(error, false);
+  }
+  cb(null, true);
 };
 
+/**
+ * Wrap a multer storage engine so some fields get a lower size limit than
+ * multer's fileSize, which applies to every file of a request
+ *
+ * A file that goes over its field's limit stops being written, the rest
+ * of it is discarded and the upload fails with LIMIT_FILE_SIZE.
+ *
+ * @param {Object} engine - Multer storage engine
+ * @param {Object} fieldLimits - Maximum bytes by field name
+ * @returns {Object} - Storage engine enforcing the limits
+ */
+const withFieldSizeLimits = (engine, fieldLimits) => ({
+  _handleFile(req, file, cb) {
+    const limit = fieldLimits[file.fieldname];
+    if (!limit) return engine._handleFile(req, file, cb);
+
+    let size = 0;
+    let exceeded = false;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        if (size <= limit) return callback(null, chunk);
+
+        exceeded = true;
+        callback();
+        file.stream.unpipe(counter);
+        file.stream.resume();
+        counter.end();
+      }
+    });
+    file.stream.on('error', error => counter.destroy(error));
+
+    engine._handleFile(req, { ...file, stream: file.stream.pipe(counter) }, (error, info) => {
+      if (error || !exceeded) return cb(error, info);
+
+      // Multer only removes files it was told were stored
+      engine._removeFile(req, { ...file, ...info }, () => {
+        cb(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+      });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    engine._removeFile(req, file, cb);
+  }
+});
+
+// Artwork sent along with a media file is held to the artwork limit
 const upload = multer({
-  storage,
+  storage: withFieldSizeLimits(withContentHash(storage), { artwork: MAX_ARTWORK_SIZE }),
   fileFilter,
   limits: {
     fileSize: MAX_FILE_SIZE
   }
 });
 
-// =============================================================================
-// MIDDLEWARE
-// =============================================================================
-
-// CORS configuration
-app.use(cors({
-  origin: CORS_ORIGIN,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key']
-}));
+// Routes that take only artwork stop reading an image once it is over the
+// artwork limit, instead of storing up to MAX_FILE_SIZE first
+const artworkUpload = multer({
+  storage: withContentHash(storage),
+  fileFilter,
+  limits: {
+    fileSize: MAX_ARTWORK_SIZE
+  }
+});
 
-// Parse JSON bodies
-app.use(express.json());
+// Caption tracks are small text files, parsed and converted in memory
+const captionUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
 
-// Parse URL-encoded bodies
-app.use(express.urlencoded({ extended: true }));
+    if (!ALLOWED_CAPTION_EXTENSIONS.includes(ext)) {
+      return cb(new Error(`Invalid file type "${ext}" for caption track. Allowed extensions: ${ALLOWED_CAPTION_EXTENSIONS.join(', ')}`), false);
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: MAX_CAPTION_SIZE
+  }
+});
 
-// Serve static files (uploaded media)
-app.use('/public', express.static(path.resolve('./public')));
+// Transcripts are parsed in memory before being stored in Firestore
+const transcriptUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
 
-// Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path}`);
-  next();
+    if (!TRANSCRIPT_FORMATS.includes(ext.slice(1))) {
+      return cb(new Error(`Invalid file type "${ext}" for transcript. Allowed extensions: ${TRANSCRIPT_FORMATS.map(format => `.${format}`).join(', ')}`), false);
+    }
+    cb(null, true);
+  },
+  limits: {
+    fileSize: MAX_TRANSCRIPT_SIZE
+  }
 });
 
-// Analytics tracking middleware (after logging, before routes)
-app.use(analyticsTracker);
+// Transcripts sent as segments or text in the request body, with a limit
+// that fits a whole transcript (the app-wide parsers skip this route)
+const transcriptBodyParsers = [
+  express.json({ limit: MAX_TRANSCRIPT_SIZE }),
+  express.urlencoded({ extended: true, limit: MAX_TRANSCRIPT_SIZE })
+];
+
+// Upload size limits of the fields that do not carry media files
+const UPLOAD_FIELD_LIMITS = {
+  artwork: MAX_ARTWORK_SIZE,
+  track: MAX_CAPTION_SIZE,
+  transcript: MAX_TRANSCRIPT_SIZE
+};
 
 // =============================================================================
-// HEALTH CHECK ROUTE
+// HELPERS
 // =============================================================================
 
-app.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'MediaCore API is running',
-    version: '1.0.0',
-    timestamp: new Date().toISOString()
-  });
-});
+/**
+ * Build the protocol and host part of URLs returned to clients
+ */
+const getBaseUrl = (req) => PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
 
-app.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    status: 'healthy',
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString()
-  });
-});
+/**
+ * Legacy /public/uploads/... path of a stored file (local storage only)
+ */
+const getLegacyPath = (key) => {
+  return mediaStorage.name === 'local' ? `/public/uploads/${key}` : null;
+};
 
-// =============================================================================
-// PUBLIC API ROUTES (Require API Key with appropriate permissions)
-// =============================================================================
+/**
+ * Storage keys of a media document's file and artwork
+ */
+const getFileKey = (data) => getStorageKey(data.storageKey, data.filePath);
+const getArtworkKey = (data) => getStorageKey(data.artworkKey, data.artworkPath);
 
 /**
- * GET /api/feed
- * Returns a list of all media content
- * Requires: API Key with 'read:media' permission
+ * Run a function with a local path to a stored file
+ *
+ * Files in remote storage are downloaded to the staging directory first
+ * and removed afterwards.
+ *
+ * @param {string|null} key - Storage key of the file
+ * @param {Function} fn - async (filePath) => result
+ * @returns {Promise<*>} - fn's result, or null if the file does not exist
  */
-app.get('/api/feed', checkApiKeyPermissions(), async (req, res) => {
+const withLocalFile = async (key, fn) => {
+  if (!key || !(await mediaStorage.stat(key))) {
+    return null;
+  }
+
+  if (mediaStorage.getLocalPath) {
+    return fn(mediaStorage.getLocalPath(key));
+  }
+
+  const tempPath = path.join(incomingUploadPath, `${uuidv4()}${path.extname(key)}`);
   try {
-    const { type, limit = 50, orderBy = 'createdAt', order = 'desc' } = req.query;
-    
-    let query = db.collection('media_content');
-    
-    // Filter by type if specified
-    if (type && ['video', 'audio'].includes(type)) {
-      query = query.where('type', '==', type);
-    }
-    
-    // Order results
-    query = query.orderBy(orderBy, order);
-    
-    // Limit results
-    query = query.limit(parseInt(limit));
-    
-    const snapshot = await query.get();
-    
-    const mediaList = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data()
-    }));
+    await pipeline(await mediaStorage.getStream(key), fs.createWriteStream(tempPath));
+    return await fn(tempPath);
+  } finally {
+    await fs.promises.rm(tempPath, { force: true });
+  }
+};
 
-    res.json({
-      success: true,
-      count: mediaList.length,
-      data: mediaList
-    });
-  } catch (error) {
-    console.error('Error fetching media feed:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal Server Error',
-      message: 'Failed to fetch media content'
-    });
+/**
+ * Sniff a stored file's real format and check it against the claimed type
+ *
+ * @param {string} filePath - Path to the file on disk
+ * @param {string} type - Claimed media type ('video' or 'audio')
+ * @returns {Promise<Object>} - { detected, mimeType, error } where error is null if the content matches
+ */
+const checkFileContent = async (filePath, type) => {
+  const detected = await sniffFile(filePath);
+
+  if (!detected) {
+    return { detected, mimeType: null, error: `File content is not a recognized ${type} format` };
   }
-});
+  if (!detected.mimeTypes[type]) {
+    return { detected, mimeType: null, error: `File content is ${detected.label}, which is not a valid ${type} file` };
+  }
+  return { detected, mimeType: detected.mimeTypes[type], error: null };
+};
+
+// Fields describing a media item's stored file; archived with each version
+const FILE_FIELDS = [
+  'filename',
+  'originalName',
+  'storageKey',
+  'filePath',
+  'fileUrl',
+  'fileSize',
+  'mimeType',
+  'container',
+  'sha256',
+  'quotaBytes',
+  ...Object.keys(emptyMetadata())
+];
 
 /**
- * GET /api/media/:id
- * Get a single media item by ID
- * Requires: API Key with 'read:media' permission
+ * Copy the stored-file fields out of a media document
  */
-app.get('/api/media/:id', checkApiKeyPermissions(), async (req, res) => {
+const pickFileFields = (data) => {
+  const fields = {};
+  for (const field of FILE_FIELDS) {
+    fields[field] = data[field] !== undefined ? data[field] : null;
+  }
+  return fields;
+};
+
+/**
+ * Build the stored-file fields for an uploaded file that is still on local disk
+ *
+ * @param {Object} req - Express request object (for host)
+ * @param {Object} file - { type, filename, localPath, originalName, fileSize, mimeType, container, sha256 }
+ * @returns {Promise<Object>} - filename, storage key, URLs, size, MIME type, container, hash and technical metadata
+ */
+const buildFileFields = async (req, file) => {
+  const storageKey = `${file.type}/${file.filename}`;
+
+  // Technical metadata is best effort and never fails the upload
+  let technical = emptyMetadata();
   try {
-    const { id } = req.params;
-    const doc = await db.collection('media_content').doc(id).get();
-    
-    if (!doc.exists) {
-      return res.status(404).json({
+    technical = await extractMetadata(file.localPath, file.container);
+  } catch (error) {
+    console.error('Error extracting media metadata:', error);
+  }
+
+  return {
+    filename: file.filename,
+    originalName: file.originalName,
+    storageKey,
+    filePath: getLegacyPath(storageKey),
+    fileUrl: mediaStorage.getUrl(storageKey, getBaseUrl(req)),
+    fileSize: file.fileSize,
+    mimeType: file.mimeType,
+    container: file.container,
+    sha256: file.sha256,
+    quotaBytes: file.fileSize,
+    ...technical
+  };
+};
+
+/**
+ * Move an uploaded file into storage and save its media_content document
+ *
+ * Used by both the multipart upload route and resumable upload finalization.
+ *
+ * @param {Object} req - Express request object (for uploader and host)
+ * @param {Object} file - { title, subtitle, type, filename, localPath, originalName, fileSize, mimeType, container, sha256, artwork?, publication?, linkTo? }
+ *   where artwork holds the fields returned by checkArtworkFile() and publication the status
+ *   fields from resolvePublication() (published now if left out). With keepLocalFile
+ *   the local file is copied instead of moved. With linkTo (a media document with the
+ *   same content) the upload is discarded and the new item shares linkTo's stored file.
+ *   With id the document is created under that id, failing if it already exists.
+ * @returns {Promise<Object>} - The created media document including its id
+ */
+const createMediaRecord = async (req, file) => {
+  let fileFields;
+
+  if (file.linkTo) {
+    fileFields = {
+      ...pickFileFields(file.linkTo.data()),
+      originalName: file.originalName,
+      sha256: file.sha256,
+      quotaBytes: 0
+    };
+
+    if (!file.keepLocalFile) {
+      await fs.promises.rm(file.localPath, { force: true });
+    }
+  } else {
+    fileFields = await buildFileFields(req, file);
+
+    await mediaStorage.put(
+      fileFields.storageKey,
+      file.keepLocalFile ? fs.createReadStream(file.localPath) : file.localPath,
+      { contentType: file.mimeType, contentLength: file.fileSize }
+    );
+  }
+
+  // Save metadata to Firestore
+  const mediaData = {
+    title: file.title,
+    subtitle: file.subtitle || '',
+    type: file.type,
+    ...fileFields,
+    ...(file.artwork || {}),
+    tags: file.tags || [],
+    categoryId: file.categoryId || null,
+    categoryPath: file.categoryPath || [],
+    ...(file.publication || resolvePublication({}, null, { by: req.user.uid }).fields),
+    duplicateOf: file.linkTo ? file.linkTo.id : null,
+    version: 1,
+    latestVersion: 1,
+    uploadedBy: req.user.uid,
+    uploadedByEmail: req.user.email,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  const docRef = file.id ? db.collection('media_content').doc(file.id) : db.collection('media_content').doc();
+  try {
+    await docRef.create(mediaData);
+  } catch (error) {
+    // Do not leave an unreferenced file behind (a linked file is still in use)
+    if (!file.linkTo) {
+      await mediaStorage.delete(fileFields.storageKey);
+    }
+    throw error;
+  }
+
+  await storageQuota.record(getMediaOwner(mediaData), {
+    bytes: fileFields.quotaBytes + (mediaData.artworkSize || 0),
+    items: 1
+  });
+  await reindexMedia(docRef.id);
+
+  return {
+    id: docRef.id,
+    ...mediaData
+  };
+};
+
+/**
+ * Quota owner of a media item: its uploader and media type
+ */
+const getMediaOwner = (data) => ({ uploaderId: data.uploadedBy, type: data.type });
+
+/**
+ * Quota owner of a collection's artwork: its creator (collections have no media type)
+ */
+const getCollectionOwner = (data) => ({ uploaderId: data.createdBy, type: null });
+
+/**
+ * Send the response for an upload that would exceed a storage quota
+ *
+ * 413 if the file alone is larger than the limit, 507 if the quota is used up.
+ */
+const sendQuotaExceeded = (res, violation) => {
+  const tooLarge = violation.limit === 'bytes' && violation.requested > violation.max;
+
+  return res.status(tooLarge ? 413 : 507).json({
+    success: false,
+    error: tooLarge ? 'Payload Too Large' : 'Insufficient Storage',
+    message: violation.message,
+    quota: {
+      scope: violation.scope,
+      key: violation.key,
+      limit: violation.limit,
+      used: violation.used,
+      max: violation.max
+    }
+  });
+};
+
+/**
+ * Reject an upload from its Content-Length before the body is read
+ *
+ * The exact size and type are checked again once the file is in; this
+ * stops an over-quota upload before it is written to disk. The owner is
+ * the media item being changed (req.media) or the uploading admin.
+ *
+ * @param {Object} options - { newItem: the upload creates a media item }
+ */
+const checkUploadQuota = ({ newItem }) => async (req, res, next) => {
+  try {
+    const owner = req.media
+      ? getMediaOwner(req.media.data)
+      : { uploaderId: req.user.uid, type: req.query.type };
+    const contentLength = Number(req.get('Content-Length'));
+
+    const violation = await storageQuota.check(owner, {
+      bytes: Number.isInteger(contentLength) ? contentLength : 0,
+      items: newItem ? 1 : 0
+    });
+
+    if (violation) {
+      // The body is not read; close the connection once the response is sent
+      res.set('Connection', 'close');
+      return sendQuotaExceeded(res, violation);
+    }
+    next();
+  } catch (error) {
+    console.error('Error checking storage quota:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to check storage quota'
+    });
+  }
+};
+
+/**
+ * Delete a stored file by its storage key, if there is one
+ */
+const deleteStoredFile = async (key) => {
+  if (!key) return;
+
+  await mediaStorage.delete(key);
+  console.log(`🗑️ Deleted file: ${key}`);
+};
+
+/**
+ * Delete a stored media file unless another media item or version still uses it
+ *
+ * Deduplicated uploads share one stored file, so call this after the
+ * record that referenced the file has been deleted or updated.
+ */
+const releaseStoredFile = async (key) => {
+  if (!key) return;
+
+  const [mediaSnapshot, versionSnapshot] = await Promise.all([
+    db.collection('media_content').where('storageKey', '==', key).limit(1).get(),
+    db.collectionGroup('versions').where('storageKey', '==', key).limit(1).get()
+  ]);
+
+  if (!mediaSnapshot.empty || !versionSnapshot.empty) {
+    console.log(`🔗 Kept shared file: ${key}`);
+    return;
+  }
+
+  await deleteStoredFile(key);
+};
+
+/**
+ * Move a deleted record's quota charge for a shared file to a record that
+ * still uses the file
+ *
+ * Items linked to an existing upload carry quotaBytes: 0, so without this
+ * the file would stop being counted once the record that paid for it goes.
+ * Call after the record (media document or version) has been deleted.
+ *
+ * @param {Object} fileData - Data of the deleted record
+ */
+const handOverFileCharge = async (fileData) => {
+  const key = getFileKey(fileData);
+  const bytes = getFileQuotaBytes(fileData);
+  if (!key || bytes === 0) return;
+
+  const [mediaSnapshot, versionSnapshot] = await Promise.all([
+    db.collection('media_content').where('storageKey', '==', key).get(),
+    db.collectionGroup('versions').where('storageKey', '==', key).get()
+  ]);
+  const records = [...mediaSnapshot.docs, ...versionSnapshot.docs];
+
+  // Nothing to do if the file is gone or another record is already charged for it
+  if (records.length === 0 || records.some(record => getFileQuotaBytes(record.data()) > 0)) return;
+
+  const heir = records[0];
+  const owner = mediaSnapshot.docs.includes(heir) ? heir.data() : (await heir.ref.parent.parent.get()).data();
+
+  await heir.ref.update({ quotaBytes: bytes });
+  await storageQuota.record(getMediaOwner(owner), { bytes });
+};
+
+/**
+ * Check whether a media document has been moved to the trash
+ */
+const isInTrash = (data) => data.isDeleted === true;
+
+/**
+ * Check whether a media item may be served by the public API right now:
+ * not in the trash and live (see isLive())
+ */
+const isPublicMedia = (data, now) => !isInTrash(data) && isLive(data, now);
+
+/**
+ * Run a media query and return up to `limit` documents that are not in the trash
+ *
+ * Trashed items are skipped in memory (older documents have no isDeleted
+ * field to query on), so further pages are read until the limit is met.
+ *
+ * @param {Object} query - Firestore query, already filtered and ordered
+ * @param {number} limit - Maximum number of documents to return
+ * @param {Function} matches - (data) => boolean, for conditions the query cannot express
+ * @returns {Promise<Array>} - Document snapshots
+ */
+const fetchVisibleMedia = async (query, limit, matches = () => true) => {
+  const docs = [];
+  let lastDoc = null;
+
+  while (docs.length < limit) {
+    let page = query.limit(limit);
+    if (lastDoc) {
+      page = page.startAfter(lastDoc);
+    }
+
+    const snapshot = await page.get();
+    docs.push(...snapshot.docs.filter(doc => !isInTrash(doc.data()) && matches(doc.data())));
+
+    if (snapshot.size < limit) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return docs.slice(0, limit);
+};
+
+/**
+ * Find a media item (not in the trash) whose file has the given content hash
+ *
+ * @param {string|undefined} sha256 - Hex SHA-256 of the uploaded file
+ * @returns {Promise<Object|null>} - Document snapshot, or null if there is none
+ */
+const findDuplicateMedia = async (sha256) => {
+  if (!sha256) return null;
+
+  const snapshot = await db.collection('media_content')
+    .where('sha256', '==', sha256)
+    .get();
+
+  return snapshot.docs.find(doc => !isInTrash(doc.data())) || null;
+};
+
+/**
+ * Parse the onDuplicate upload option ('reject' by default)
+ *
+ * @returns {string|null} - 'reject' or 'link', or null if the value is invalid
+ */
+const parseDuplicateAction = (value) => {
+  if (value === undefined || value === '') {
+    return 'reject';
+  }
+  return DUPLICATE_ACTIONS.includes(value) ? value : null;
+};
+
+/**
+ * Send the 400 response for an invalid onDuplicate option
+ */
+const sendInvalidDuplicateAction = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Bad Request',
+    message: `onDuplicate must be one of: ${DUPLICATE_ACTIONS.join(', ')}`
+  });
+};
+
+/**
+ * Send the 409 response for an upload that duplicates an existing media item
+ */
+const sendDuplicateMedia = (res, existingId) => {
+  return res.status(409).json({
+    success: false,
+    error: 'Conflict',
+    message: 'An identical file has already been uploaded. Send onDuplicate=link to add it as a new item sharing the existing file.',
+    existingId
+  });
+};
+
+/**
+ * Permanently delete a media document, its version history and (optionally) its files
+ *
+ * @param {Object} docRef - media_content document reference
+ * @param {Object} mediaData - Document data
+ * @param {Object} options - { deleteFile: also delete the stored files (default true) }
+ */
+const purgeMedia = async (docRef, mediaData, { deleteFile = true } = {}) => {
+  const versionsSnapshot = await docRef.collection('versions').get();
+
+  // Delete the Firestore document, its version history and transcript
+  await Promise.all(versionsSnapshot.docs.map(versionDoc => versionDoc.ref.delete()));
+  await docRef.delete();
+
+  if (mediaData.hasTranscript) {
+    await db.collection('transcripts').doc(docRef.id).delete();
+  }
+  searchIndex.remove(docRef.id);
+
+  // Take the item out of every collection it belongs to
+  const collectionsSnapshot = await db.collection('collections')
+    .where('mediaIds', 'array-contains', docRef.id)
+    .get();
+
+  await Promise.all(collectionsSnapshot.docs.map(collectionDoc => collectionDoc.ref.update({
+    mediaIds: admin.firestore.FieldValue.arrayRemove(docRef.id),
+    itemCount: admin.firestore.FieldValue.increment(-1),
+    updatedAt: new Date().toISOString()
+  })));
+
+  await storageQuota.record(getMediaOwner(mediaData), {
+    bytes: -getMediaQuotaBytes(mediaData, versionsSnapshot.docs.map(versionDoc => versionDoc.data())),
+    items: -1
+  });
+
+  for (const fileData of [mediaData, ...versionsSnapshot.docs.map(versionDoc => versionDoc.data())]) {
+    await handOverFileCharge(fileData);
+  }
+
+  // Delete the physical files (current and earlier versions) if requested,
+  // keeping files other media items share
+  if (deleteFile) {
+    await releaseStoredFile(getFileKey(mediaData));
+    await deleteStoredFile(getArtworkKey(mediaData));
+    for (const track of mediaData.captionTracks || []) {
+      await deleteStoredFile(track.storageKey);
+    }
+    for (const versionDoc of versionsSnapshot.docs) {
+      await releaseStoredFile(getFileKey(versionDoc.data()));
+    }
+  }
+};
+
+/**
+ * Delete every file multer stored for the current request
+ */
+const cleanupUploads = (req) => {
+  const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+
+  for (const file of files) {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+};
+
+/**
+ * Check an uploaded artwork image's real format, size and dimensions
+ *
+ * @param {Object} file - Multer file ({ path, size, filename })
+ * @returns {Promise<Object>} - { fields } with the artwork fields for the media
+ *   document, or { status, error, message } if the image is not acceptable
+ */
+const checkArtworkFile = async (file) => {
+  if (file.size > MAX_ARTWORK_SIZE) {
+    return {
+      status: 413,
+      error: 'File Too Large',
+      message: `Artwork exceeds the limit of ${MAX_ARTWORK_SIZE / (1024 * 1024)}MB`
+    };
+  }
+
+  const info = await readImageInfo(file.path);
+
+  if (!info) {
+    return {
+      status: 415,
+      error: 'Unsupported Media Type',
+      message: 'Artwork is not a JPEG, PNG or WebP image'
+    };
+  }
+
+  const { width, height } = info;
+  if (Math.min(width, height) < ARTWORK_MIN_DIMENSION || Math.max(width, height) > ARTWORK_MAX_DIMENSION) {
+    return {
+      status: 400,
+      error: 'Bad Request',
+      message: `Artwork is ${width}x${height}; both sides must be between ${ARTWORK_MIN_DIMENSION} and ${ARTWORK_MAX_DIMENSION} pixels`
+    };
+  }
+
+  const artworkKey = `artwork/${file.filename}`;
+
+  return {
+    fields: {
+      artworkKey,
+      artworkPath: getLegacyPath(artworkKey),
+      artworkMimeType: info.mimeType,
+      artworkWidth: width,
+      artworkHeight: height,
+      artworkSize: file.size,
+      artworkUpdatedAt: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Find a media item's caption track for a language
+ *
+ * Without a kind, the language's first track in CAPTION_TRACK_KINDS order
+ * is returned.
+ *
+ * @param {Array<Object>} tracks - The media item's captionTracks
+ * @param {string} language - Canonical language code
+ * @param {string} kind - Optional track kind
+ * @returns {Object|null} - The track, or null if there is none
+ */
+const findCaptionTrack = (tracks = [], language, kind) => {
+  const matches = tracks.filter(track => track.language === language && (!kind || track.kind === kind));
+  matches.sort((a, b) => CAPTION_TRACK_KINDS.indexOf(a.kind) - CAPTION_TRACK_KINDS.indexOf(b.kind));
+  return matches[0] || null;
+};
+
+/**
+ * Add public URLs to a media item's caption tracks
+ *
+ * A language's default track is served without a kind parameter.
+ */
+const formatCaptionTracks = (req, mediaId, tracks = []) => {
+  return tracks.map(track => {
+    const isDefault = findCaptionTrack(tracks, track.language) === track;
+    const url = `${getBaseUrl(req)}/api/media/${mediaId}/tracks/${encodeURIComponent(track.language)}.vtt`;
+
+    return {
+      ...track,
+      url: isDefault ? url : `${url}?kind=${track.kind}`
+    };
+  });
+};
+
+/**
+ * Parse an uploaded SRT or WebVTT track and convert it to WebVTT
+ *
+ * @param {Object} file - Multer memory file ({ buffer, originalname })
+ * @param {Object} mediaData - The media item, whose duration bounds the cue times
+ * @returns {Object} - { vtt, cueCount, sourceFormat }, or { status, error, message } if the track is not acceptable
+ */
+const convertCaptionFile = (file, mediaData) => {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(file.buffer);
+  } catch (error) {
+    return {
+      status: 415,
+      error: 'Unsupported Media Type',
+      message: 'Caption tracks must be UTF-8 text'
+    };
+  }
+
+  const sourceFormat = detectCaptionFormat(file.originalname, text);
+  const parsed = parseCaptions(text, sourceFormat, { duration: mediaData.durationSeconds });
+
+  if (parsed.error) {
+    return {
+      status: 400,
+      error: 'Bad Request',
+      message: `Invalid ${sourceFormat === 'srt' ? 'SRT' : 'WebVTT'} track: ${parsed.error}`
+    };
+  }
+
+  return { vtt: toWebVtt(parsed), cueCount: parsed.cues.length, sourceFormat };
+};
+
+/**
+ * Store a converted caption track under a new key
+ *
+ * @returns {Promise<Object>} - { storageKey, filePath, size }
+ */
+const storeCaptionTrack = async (vtt) => {
+  const storageKey = `captions/${uuidv4()}.vtt`;
+  const body = Buffer.from(vtt, 'utf8');
+
+  await mediaStorage.put(storageKey, Readable.from(body), {
+    contentType: 'text/vtt',
+    contentLength: body.length
+  });
+
+  return { storageKey, filePath: getLegacyPath(storageKey), size: body.length };
+};
+
+/**
+ * Build the authenticated streaming URL for a media item
+ */
+const buildStreamUrl = (req, id) => {
+  return `${getBaseUrl(req)}/api/media/${id}/stream`;
+};
+
+/**
+ * Shape a media_content document for public API responses
+ *
+ * With options.signed, the raw file location is replaced by a signed,
+ * expiring URL (bound to the requesting API key, if any), and the artwork
+ * URL carries the same signature. With options.localization (from
+ * getRequestLocalization()), title and subtitle are in the best matching
+ * locale, `locale` says which one and `locales` lists those available.
+ */
+const formatMedia = (req, doc, options = {}) => {
+  const media = {
+    id: doc.id,
+    ...doc.data(),
+    streamUrl: buildStreamUrl(req, doc.id)
+  };
+
+  if (options.localization) {
+    const { locale, locales, values } = localize(media, {
+      ...options.localization,
+      baseLocale: media.locale || options.localization.defaultLocale,
+      fields: MEDIA_LOCALIZED_FIELDS
+    });
+    Object.assign(media, values, { locale, locales });
+    delete media.translations;
+  }
+
+  media.artworkUrl = getArtworkKey(media)
+    ? `${getBaseUrl(req)}/api/media/${doc.id}/artwork`
+    : null;
+
+  media.captionTracks = formatCaptionTracks(req, doc.id, media.captionTracks);
+
+  if (options.signed) {
+    const { url, expiresAt } = buildSignedMediaUrl(getBaseUrl(req), {
+      mediaId: doc.id,
+      ttl: options.ttl,
+      keyId: req.apiKey ? req.apiKey.id : null
+    });
+    delete media.filePath;
+    delete media.artworkPath;
+    media.fileUrl = url;
+    media.fileUrlExpiresAt = expiresAt;
+
+    const signature = url.slice(url.indexOf('?') + 1);
+
+    if (media.artworkUrl) {
+      media.artworkUrl = `${media.artworkUrl}?${signature}`;
+    }
+    for (const track of media.captionTracks) {
+      delete track.filePath;
+      track.url = `${track.url}${track.url.includes('?') ? '&' : '?'}${signature}`;
+    }
+  }
+
+  return media;
+};
+
+/**
+ * Shape a collections document for API responses
+ */
+const formatCollection = (req, doc) => {
+  const collection = {
+    id: doc.id,
+    ...doc.data()
+  };
+
+  collection.artworkUrl = getArtworkKey(collection)
+    ? `${getBaseUrl(req)}/api/collections/${doc.id}/artwork`
+    : null;
+
+  return collection;
+};
+
+/**
+ * Load media documents by ID, in the given order
+ *
+ * @param {Array<string>} ids - media_content IDs
+ * @returns {Promise<Array>} - Snapshots (check .exists), one per ID
+ */
+const getMediaDocs = async (ids) => {
+  const docs = [];
+
+  // Keep each getAll call to a modest number of reads
+  for (let i = 0; i < ids.length; i += 100) {
+    const refs = ids.slice(i, i + 100).map(id => db.collection('media_content').doc(id));
+    docs.push(...await db.getAll(...refs));
+  }
+  return docs;
+};
+
+/**
+ * Read the app settings document (app_settings/general), through the read cache
+ *
+ * @returns {Promise<Object>} - Document snapshot
+ */
+const getSettingsDoc = () => {
+  return settingsReadCache.load('general', () => db.collection('app_settings').doc('general').get());
+};
+
+/**
+ * Read the app settings
+ *
+ * @returns {Promise<Object>} - Settings, or {} if none have been saved
+ */
+const getAppSettings = async () => {
+  const doc = await getSettingsDoc();
+  return doc.exists ? doc.data() : {};
+};
+
+/**
+ * API key of a feed request, for the links inside the feed
+ *
+ * Podcast apps cannot send headers when they follow enclosure and image
+ * links, so the key goes into those URLs as ?token=.
+ */
+const getFeedToken = (req) => {
+  return req.headers['x-api-key'] || (typeof req.query.token === 'string' ? req.query.token : null);
+};
+
+/**
+ * Add an API key to a URL as ?token=
+ */
+const withFeedToken = (url, token) => {
+  return token ? `${url}${url.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : url;
+};
+
+/**
+ * Send a response body with cache headers, or 304 if the client's copy is current
+ *
+ * The ETag is a hash of the body. Responses depend on the API key, so
+ * shared caches are told not to store them.
+ *
+ * @param {string} body - Response body
+ * @param {string} contentType - Content-Type header
+ * @param {Object} options - { maxAge: seconds clients may reuse it, lastModified: ISO timestamp }
+ */
+const sendCacheable = (req, res, body, contentType, { maxAge = PUBLIC_CACHE_MAX_AGE, lastModified = null } = {}) => {
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': maxAge > 0 ? `private, max-age=${maxAge}` : 'private, no-cache',
+    ETag: `"${crypto.createHash('sha256').update(body).digest('base64url')}"`
+  });
+
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(body);
+};
+
+/**
+ * Send a JSON response with cache headers (see sendCacheable())
+ */
+const sendCacheableJson = (req, res, payload, lastModified) => {
+  sendCacheable(req, res, JSON.stringify(payload), 'application/json; charset=utf-8', { lastModified });
+};
+
+/**
+ * Latest time a media item changed, including when a scheduled item went live
+ *
+ * @returns {string|null} - ISO timestamp
+ */
+const getMediaLastModified = (data, now = new Date().toISOString()) => {
+  return [data.createdAt, data.updatedAt, data.statusChangedAt, data.publishAt]
+    .filter(date => typeof date === 'string' && date <= now)
+    .sort()
+    .pop() || null;
+};
+
+/**
+ * Build podcast channel metadata from the `podcast` app setting
+ *
+ * @param {Object} req - Express request object (for the feed URL)
+ * @param {Object} settings - App settings
+ * @returns {Object} - Channel for buildPodcastRss()
+ */
+const buildPodcastChannel = (req, settings) => {
+  const podcast = settings.podcast || {};
+
+  return {
+    title: podcast.title || settings.appName || 'MediaCore',
+    description: podcast.description || null,
+    link: podcast.link || getBaseUrl(req),
+    language: podcast.language || 'en',
+    copyright: podcast.copyright || null,
+    author: podcast.author || null,
+    ownerName: podcast.ownerName || null,
+    ownerEmail: podcast.ownerEmail || null,
+    imageUrl: podcast.imageUrl || null,
+    category: podcast.category || null,
+    subcategory: podcast.subcategory || null,
+    explicit: podcast.explicit === true,
+    type: podcast.type === 'serial' ? 'serial' : 'episodic',
+    locked: podcast.locked === true,
+    guid: podcast.guid || null
+  };
+};
+
+/**
+ * Turn a media document into a podcast episode
+ *
+ * The GUID is the media ID; enclosure, artwork and caption links carry the feed's token.
+ */
+const buildPodcastItem = (req, doc, token) => {
+  const data = doc.data();
+
+  return {
+    guid: doc.id,
+    title: data.title,
+    description: data.subtitle || null,
+    pubDate: data.createdAt,
+    duration: data.durationSeconds,
+    imageUrl: getArtworkKey(data)
+      ? withFeedToken(`${getBaseUrl(req)}/api/media/${doc.id}/artwork`, token)
+      : null,
+    enclosure: {
+      url: withFeedToken(buildStreamUrl(req, doc.id), token),
+      length: data.fileSize,
+      type: data.mimeType
+    },
+    transcripts: formatCaptionTracks(req, doc.id, data.captionTracks)
+      .filter(track => track.kind !== 'chapters')
+      .map(track => ({
+        url: withFeedToken(track.url, token),
+        type: 'text/vtt',
+        language: track.language,
+        rel: 'captions'
+      }))
+  };
+};
+
+/**
+ * Send a podcast feed of media documents
+ *
+ * lastBuildDate is the latest change to an episode or to `dates` (e.g.
+ * the settings), so an unchanged feed keeps its ETag.
+ *
+ * @param {Object} channel - From buildPodcastChannel()
+ * @param {Array} docs - Media document snapshots, in feed order
+ * @param {Array<string>} dates - Other ISO timestamps the feed depends on
+ */
+const sendPodcastFeed = (req, res, channel, docs, dates = []) => {
+  const token = getFeedToken(req);
+  const selfUrl = `${getBaseUrl(req)}${req.originalUrl}`;
+  const lastBuildDate = [...dates, ...docs.map(doc => doc.data().updatedAt || doc.data().createdAt)]
+    .filter(Boolean)
+    .sort()
+    .pop() || null;
+
+  const xml = buildPodcastRss({
+    channel: {
+      ...channel,
+      feedUrl: typeof req.query.token === 'string' ? selfUrl : withFeedToken(selfUrl, token),
+      lastBuildDate
+    },
+    items: docs.map(doc => buildPodcastItem(req, doc, token))
+  });
+
+  sendCacheable(req, res, xml, 'application/rss+xml; charset=utf-8', { maxAge: PODCAST_CACHE_MAX_AGE });
+};
+
+/**
+ * Send a page of the media feed as JSON Feed, M3U8 or XSPF
+ *
+ * The next page, if any, is linked with a `Link: <...>; rel="next"` header
+ * (and next_url in JSON Feed).
+ *
+ * @param {Object} options
+ * @param {string} options.format - 'jsonfeed', 'm3u8' or 'xspf'
+ * @param {Array<Object>} options.mediaList - Media formatted by formatMedia()
+ * @param {boolean} options.signed - Whether the media carry signed fileUrls to link to
+ * @param {string|null} options.nextCursor - Cursor of the next page
+ * @param {string|null} options.lastModified - Last-Modified of the page
+ */
+const sendFeedExport = async (req, res, { format, mediaList, signed, nextCursor, lastModified }) => {
+  const settings = await getAppSettings();
+  const baseUrl = getBaseUrl(req);
+  const feedUrl = `${baseUrl}${req.originalUrl}`;
+
+  let nextUrl = null;
+  if (nextCursor) {
+    const url = new URL(feedUrl);
+    url.searchParams.set('cursor', nextCursor);
+    nextUrl = url.toString();
+    res.links({ next: nextUrl });
+  }
+
+  const feed = {
+    title: settings.appName || 'MediaCore',
+    homePageUrl: baseUrl,
+    feedUrl,
+    nextUrl,
+    items: mediaList.map(media => ({
+      id: media.id,
+      title: media.title,
+      summary: media.subtitle || null,
+      url: signed ? media.fileUrl : media.streamUrl,
+      pageUrl: `${baseUrl}/api/media/${media.id}`,
+      mimeType: media.mimeType,
+      size: media.fileSize,
+      duration: media.durationSeconds,
+      imageUrl: media.artworkUrl,
+      tags: media.tags,
+      language: media.locale,
+      published: media.createdAt,
+      modified: media.updatedAt
+    }))
+  };
+
+  if (format === 'jsonfeed') {
+    return sendCacheable(req, res, JSON.stringify(buildJsonFeed(feed)), `${FEED_FORMATS.jsonfeed}; charset=utf-8`, { lastModified });
+  }
+
+  const body = format === 'm3u8' ? buildM3u8(feed) : buildXspf(feed);
+  res.set('Content-Disposition', `inline; filename="feed.${format}"`);
+  sendCacheable(req, res, body, `${FEED_FORMATS[format]}; charset=utf-8`, { lastModified });
+};
+
+/**
+ * Validate a list of media IDs for a collection
+ *
+ * @param {*} value - Request value, expected to be an array of IDs
+ * @param {Object} options - { max: largest accepted list }
+ * @returns {Promise<Object>} - { ids }, or { message } if the list is not valid
+ */
+const checkCollectionMediaIds = async (value, { max = MAX_COLLECTION_ITEMS } = {}) => {
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || id === '')) {
+    return { message: 'mediaIds must be an array of media IDs' };
+  }
+  if (new Set(value).size !== value.length) {
+    return { message: 'mediaIds must not contain the same media item twice' };
+  }
+  if (value.length > max) {
+    return { message: `A collection can hold at most ${MAX_COLLECTION_ITEMS} media items` };
+  }
+
+  const docs = await getMediaDocs(value);
+  const missing = value.filter((id, index) => !docs[index].exists);
+
+  if (missing.length > 0) {
+    return { message: `Media content not found: ${missing.join(', ')}` };
+  }
+  return { ids: value };
+};
+
+/**
+ * Read a list from a JSON array or a comma-separated string (multipart forms, query strings)
+ */
+const readListInput = (value) => {
+  if (typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+};
+
+/**
+ * Turn a tag name into its slug, the tag's document ID ("Live Music" becomes "live-music")
+ *
+ * @returns {string} - Slug, empty if the name has no letters or digits
+ */
+const slugifyTag = (name) => {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+};
+
+/**
+ * Validate the tags of a media item
+ *
+ * @param {*} value - Array (or comma-separated list) of tag slugs or names
+ * @returns {Promise<Object>} - { tags } with the slugs, or { message } if the list is not valid
+ */
+const checkMediaTags = async (value) => {
+  const list = readListInput(value);
+
+  if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+    return { message: 'tags must be an array of tags' };
+  }
+
+  const tags = [...new Set(list.map(slugifyTag).filter(Boolean))];
+
+  if (tags.length > MAX_MEDIA_TAGS) {
+    return { message: `A media item can have at most ${MAX_MEDIA_TAGS} tags` };
+  }
+  if (tags.length === 0) {
+    return { tags };
+  }
+
+  const docs = await db.getAll(...tags.map(tag => db.collection('tags').doc(tag)));
+  const unknown = tags.filter((tag, index) => !docs[index].exists);
+
+  if (unknown.length > 0) {
+    return { message: `Unknown tags: ${unknown.join(', ')}. Create them with POST /admin/tags first` };
+  }
+  return { tags };
+};
+
+/**
+ * Look up the category of a media item
+ *
+ * @param {string|null} categoryId - Category ID, or null (or '') for none
+ * @returns {Promise<Object>} - { categoryId, categoryPath }, or { message } if there is no such category
+ */
+const resolveMediaCategory = async (categoryId) => {
+  if (categoryId === null || categoryId === '') {
+    return { categoryId: null, categoryPath: [] };
+  }
+  if (typeof categoryId !== 'string') {
+    return { message: 'categoryId must be a category ID or null' };
+  }
+
+  const doc = await db.collection('categories').doc(categoryId).get();
+
+  if (!doc.exists) {
+    return { message: 'Category not found' };
+  }
+  return { categoryId, categoryPath: doc.data().path };
+};
+
+/**
+ * Parse the tag and category filters of GET /api/feed
+ *
+ * @returns {Object} - { tags, match, category }, or { message } if a filter is not valid
+ */
+const parseFeedFilters = (query) => {
+  const tags = [...new Set([].concat(query.tag || [], readListInput(query.tags || []))
+    .filter(tag => typeof tag === 'string')
+    .map(slugifyTag)
+    .filter(Boolean))];
+  const match = query.match || 'any';
+
+  if (!['any', 'all'].includes(match)) {
+    return { message: "match must be 'any' or 'all'" };
+  }
+  if (tags.length > MAX_TAG_FILTERS) {
+    return { message: `Filter on at most ${MAX_TAG_FILTERS} tags` };
+  }
+  if (query.category !== undefined && (typeof query.category !== 'string' || query.category === '')) {
+    return { message: 'category must be a category ID' };
+  }
+
+  return { tags, match, category: query.category || null };
+};
+
+/**
+ * Apply feed filters to a media_content query
+ *
+ * Firestore allows one array-contains(-any) clause per query, so the
+ * category (or the first tag) is queried and any remaining tag
+ * conditions are checked on the returned documents.
+ *
+ * @returns {Object} - { query, matches, exact } where matches(data) checks
+ *   the rest and exact is true if the query alone expresses the filters
+ */
+const applyFeedFilters = (query, { tags, match, category }) => {
+  const hasTags = (data, wanted) => {
+    const itemTags = data.tags || [];
+    if (wanted.length === 0) return true;
+
+    return match === 'all'
+      ? wanted.every(tag => itemTags.includes(tag))
+      : wanted.some(tag => itemTags.includes(tag));
+  };
+
+  if (category) {
+    return {
+      query: query.where('categoryPath', 'array-contains', category),
+      matches: data => hasTags(data, tags),
+      exact: tags.length === 0
+    };
+  }
+  if (tags.length === 0) {
+    return { query, matches: () => true, exact: true };
+  }
+  if (tags.length === 1 || match === 'all') {
+    return {
+      query: query.where('tags', 'array-contains', tags[0]),
+      matches: data => hasTags(data, tags.slice(1)),
+      exact: tags.length === 1
+    };
+  }
+  return {
+    query: query.where('tags', 'array-contains-any', tags),
+    matches: () => true,
+    exact: true
+  };
+};
+
+/**
+ * Order a query for one page of a paged list, starting after the cursor
+ *
+ * The document ID is a second sort key, so items with the same sort value
+ * keep a stable order across pages.
+ *
+ * @param {Object} query - Firestore query, already filtered
+ * @param {Object} page - Result of parsePageParams()
+ */
+const orderPageQuery = (query, page) => {
+  const ordered = query
+    .orderBy(page.orderBy, page.order)
+    .orderBy(admin.firestore.FieldPath.documentId(), page.order);
+
+  return page.cursor ? ordered.startAfter(page.cursor.value, page.cursor.id) : ordered;
+};
+
+/**
+ * Cursor for the page after the one ending with lastDoc
+ */
+const getNextCursor = (page, lastDoc) => {
+  const value = lastDoc.get(page.orderBy);
+  return encodeCursor({ sort: page.sort, value: value === undefined ? null : value, id: lastDoc.id });
+};
+
+/**
+ * Send the 400 response for bad paging parameters
+ */
+const sendInvalidPageParams = (res, message) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Bad Request',
+    message
+  });
+};
+
+/**
+ * Narrow a media query to the items that are not live at a given time
+ *
+ * Mirrors isLive(): each query matches a separate set of items, since
+ * unpublishAt is always after publishAt.
+ *
+ * @returns {Array<Object>} - Firestore queries
+ */
+const getHiddenMediaQueries = (query, now) => [
+  query.where('status', '==', 'draft'),
+  query.where('status', '==', 'unpublished'),
+  query.where('status', '==', 'scheduled').where('publishAt', '>', now),
+  query.where('status', '==', 'scheduled').where('unpublishAt', '<=', now),
+  query.where('status', '==', 'published').where('unpublishAt', '<=', now)
+];
+
+/**
+ * Count the media items (live and not in the trash) a filtered query matches
+ *
+ * Trashed and hidden items are counted separately and subtracted, since
+ * older documents have no isDeleted or status field to filter on.
+ */
+const countVisibleMedia = async (query) => {
+  const countUntrashed = async (countQuery) => {
+    const [all, trashed] = await Promise.all([
+      countQuery.count().get(),
+      countQuery.where('isDeleted', '==', true).count().get()
+    ]);
+    return all.data().count - trashed.data().count;
+  };
+
+  const [matching, ...hidden] = await Promise.all(
+    [query, ...getHiddenMediaQueries(query, new Date().toISOString())].map(countUntrashed)
+  );
+  return hidden.reduce((total, count) => total - count, matching);
+};
+
+/**
+ * Count media items (live and not in the trash) per tag and per category
+ *
+ * An item counts towards its category and every category above it.
+ *
+ * @returns {Promise<Object>} - { tags: Map(slug => count), categories: Map(id => count) }
+ */
+const countClassifiedMedia = async () => {
+  const snapshot = await db.collection('media_content')
+    .select('tags', 'categoryPath', 'isDeleted', 'status', 'publishAt', 'unpublishAt')
+    .get();
+
+  const counts = { tags: new Map(), categories: new Map() };
+  const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+  const now = new Date().toISOString();
+
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+    if (!isPublicMedia(data, now)) continue;
+
+    (data.tags || []).forEach(tag => increment(counts.tags, tag));
+    (data.categoryPath || []).forEach(id => increment(counts.categories, id));
+  }
+  return counts;
+};
+
+/**
+ * List tags by name with their media counts
+ */
+const listTags = async () => {
+  const [snapshot, counts] = await Promise.all([
+    db.collection('tags').orderBy('name').get(),
+    countClassifiedMedia()
+  ]);
+
+  return snapshot.docs.map(doc => ({
+    slug: doc.id,
+    ...doc.data(),
+    count: counts.tags.get(doc.id) || 0
+  }));
+};
+
+/**
+ * Build the category tree with media counts
+ *
+ * @returns {Promise<Array>} - Root categories, each with nested children, by name
+ */
+const buildCategoryTree = async () => {
+  const [snapshot, counts] = await Promise.all([
+    db.collection('categories').orderBy('name').get(),
+    countClassifiedMedia()
+  ]);
+
+  const nodes = new Map(snapshot.docs.map(doc => [doc.id, {
+    id: doc.id,
+    ...doc.data(),
+    count: counts.categories.get(doc.id) || 0,
+    children: []
+  }]));
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+};
+
+/**
+ * Parse the ?signed=true&ttl= options shared by the media read routes
+ *
+ * @returns {Object|null} - { signed, ttl }, or null if ttl is invalid
+ */
+const parseSignedUrlOptions = (query) => {
+  const signed = query.signed === 'true';
+  const ttl = signed ? parseTtl(query.ttl) : null;
+
+  if (signed && ttl === null) {
+    return null;
+  }
+  return { signed, ttl };
+};
+
+/**
+ * Default locale of the app (see DEFAULT_LOCALE)
+ *
+ * @param {Object} settings - App settings
+ */
+const getDefaultLocale = (settings) => normalizeLanguage(settings.defaultLocale) || DEFAULT_LOCALE;
+
+/**
+ * Read the locales a public read request asks for (?lang= or Accept-Language)
+ *
+ * @returns {Promise<Object|null>} - { requested, defaultLocale } for formatMedia(), or null if ?lang= is invalid
+ */
+const getRequestLocalization = async (req) => {
+  const requested = negotiateLocales(req);
+  if (!requested) return null;
+
+  return { requested, defaultLocale: getDefaultLocale(await getAppSettings()) };
+};
+
+/**
+ * Send the 400 response for an invalid language code (?lang= or a locale parameter)
+ */
+const sendInvalidLanguage = (res, field = 'lang') => {
+  return res.status(400).json({
+    success: false,
+    error: 'Bad Request',
+    message: `${field} must be a BCP 47 language code, e.g. "en" or "pt-BR"`
+  });
+};
+
+/**
+ * Send the 404 response for a missing translation
+ */
+const sendTranslationNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Not Found',
+    message: 'Translation not found'
+  });
+};
+
+/**
+ * Send the 400 response for an invalid ttl query parameter
+ */
+const sendInvalidTtl = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Bad Request',
+    message: `ttl must be an integer between ${MIN_TTL_SECONDS} and ${MAX_TTL_SECONDS} seconds`
+  });
+};
+
+// =============================================================================
+// MIDDLEWARE
+// =============================================================================
+
+// CORS configuration
+app.use(cors({
+  origin: CORS_ORIGIN,
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'x-api-key', 'Range', 'If-Range',
+    'If-None-Match', 'If-Modified-Since',
+    'Tus-Resumable', 'Upload-Offset', 'Upload-Length', 'Upload-Metadata'
+  ],
+  exposedHeaders: [
+    'Accept-Ranges', 'Content-Range', 'Content-Length', 'ETag', 'Location',
+    'Tus-Resumable', 'Upload-Offset', 'Upload-Length', 'Upload-Expires'
+  ]
+}));
+
+/**
+ * Run a body parser on every request except transcript uploads, which are
+ * parsed by transcriptBodyParsers
+ */
+const skipTranscriptBodies = (parser) => (req, res, next) => {
+  if (req.method === 'PUT' && /^\/admin\/media\/[^/]+\/transcript$/.test(req.path)) {
+    return next();
+  }
+  parser(req, res, next);
+};
+
+// Parse JSON bodies
+app.use(skipTranscriptBodies(express.json()));
+
+// Parse URL-encoded bodies
+app.use(skipTranscriptBodies(express.urlencoded({ extended: true })));
+
+// Keep the raw upload directory private unless explicitly made public
+if (!PUBLIC_UPLOADS) {
+  app.use('/public/uploads', (req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: 'Media files are served via /api/media/:id/stream'
+    });
+  });
+}
+
+// Serve static files
+app.use('/public', express.static(path.resolve('./public')));
+
+// Request logging middleware
+app.use((req, res, next) => {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${req.method} ${req.path}`);
+  next();
+});
+
+// Analytics tracking middleware (after logging, before routes)
+app.use(analyticsTracker);
+
+// Clear the read caches when an admin change is answered. This happens as
+// the response is sent rather than on 'finish', so a client that reads
+// straight after its change gets the new data. Only requests that got past
+// checkAdminAuth (which sets req.user) count, so anonymous requests cannot
+// empty the caches.
+app.use('/admin', (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+
+  const cache = req.path.startsWith('/settings') ? settingsReadCache : mediaReadCache;
+  const end = res.end;
+
+  res.end = function (...args) {
+    if (req.user) {
+      cache.clear();
+    }
+    return end.apply(this, args);
+  };
+  next();
+});
+
+// =============================================================================
+// HEALTH CHECK ROUTE
+// =============================================================================
+
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: 'MediaCore API is running',
+    version: '1.0.0',
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/health', (req, res) => {
+  res.json({
+    success: true,
+    status: 'healthy',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// =============================================================================
+// PUBLIC API ROUTES (Require API Key with appropriate permissions)
+// =============================================================================
+
+/**
+ * GET /api/feed
+ * Returns a list of live media content, as JSON or (?format= / Accept) JSON Feed, M3U8 or XSPF
+ * Requires: API Key with 'read:media' permission
+ */
+app.get('/api/feed', checkApiKeyPermissions(), async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    // ?format= or the Accept header picks the response format, and ?lang=
+    // or Accept-Language the locale of titles and subtitles
+    res.vary('Accept');
+    res.vary('Accept-Language');
+    const format = negotiateFeedFormat(req);
+
+    if (!format) {
+      return sendInvalidPageParams(res, `format must be one of: ${Object.keys(FEED_FORMATS).join(', ')}`);
+    }
+
+    const localization = await getRequestLocalization(req);
+
+    if (!localization) {
+      return sendInvalidLanguage(res);
+    }
+
+    // Playlist entries are always signed, since players cannot send x-api-key
+    const signedOptions = parseSignedUrlOptions(
+      PLAYLIST_FORMATS.includes(format) ? { ...req.query, signed: 'true' } : req.query
+    );
+
+    if (!signedOptions) {
+      return sendInvalidTtl(res);
+    }
+
+    const page = parsePageParams(req.query, {
+      sortFields: FEED_SORT_FIELDS,
+      defaultSort: 'createdAt',
+      defaultLimit: FEED_DEFAULT_LIMIT,
+      maxLimit: FEED_MAX_LIMIT
+    });
+
+    if (page.error) {
+      return sendInvalidPageParams(res, page.error);
+    }
+
+    if (type !== undefined && !ALLOWED_MIME_TYPES[type]) {
+      return sendInvalidPageParams(res, `type must be one of: ${Object.keys(ALLOWED_MIME_TYPES).join(', ')}`);
+    }
+
+    const filters = parseFeedFilters(req.query);
+
+    if (filters.message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: filters.message
+      });
+    }
+    
+    let query = db.collection('media_content');
+    
+    // Filter by type if specified
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+
+    // Filter by tags and category
+    const filtered = applyFeedFilters(query, filters);
+
+    // Counted on request (JSON only); not possible when tags are matched in memory
+    const countTotal = req.query.total === 'true' && format === 'json';
+
+    // Pages are shared through the read cache by requests with the same
+    // filters, whatever their format or signing options
+    const cacheKey = JSON.stringify(['feed', type || null, filters, page.limit, page.sort, req.query.cursor || null, countTotal]);
+    const { docs, total } = await mediaReadCache.load(cacheKey, async () => {
+      // One extra item tells whether there is a next page; trashed items and
+      // items that are not live are left out
+      const now = new Date().toISOString();
+      const [pageDocs, count] = await Promise.all([
+        fetchVisibleMedia(
+          orderPageQuery(filtered.query, page),
+          page.limit + 1,
+          data => isLive(data, now) && filtered.matches(data)
+        ),
+        countTotal && filtered.exact ? countVisibleMedia(filtered.query) : null
+      ]);
+      return { docs: pageDocs, total: countTotal ? count : undefined };
+    });
+    const pageDocs = docs.slice(0, page.limit);
+    
+    const mediaList = pageDocs.map(doc => formatMedia(req, doc, { ...signedOptions, localization }));
+    const nextCursor = docs.length > page.limit ? getNextCursor(page, pageDocs[pageDocs.length - 1]) : null;
+
+    // Removed items leave no trace in the page, so the last change the
+    // cache saw counts too
+    const now = new Date().toISOString();
+    const lastModified = [mediaReadCache.getChangedAt(), ...pageDocs.map(doc => getMediaLastModified(doc.data(), now))]
+      .filter(Boolean)
+      .sort()
+      .pop();
+
+    if (format !== 'json') {
+      return await sendFeedExport(req, res, { format, mediaList, signed: signedOptions.signed, nextCursor, lastModified });
+    }
+
+    const response = {
+      success: true,
+      count: mediaList.length,
+      nextCursor,
+      data: mediaList
+    };
+    if (total !== undefined) {
+      response.total = total;
+    }
+
+    sendCacheableJson(req, res, response, lastModified);
+  } catch (error) {
+    console.error('Error fetching media feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch media content'
+    });
+  }
+});
+
+/**
+ * GET /api/feed.rss
+ * Podcast feed (RSS 2.0 with iTunes and Podcasting 2.0 tags) of live media, newest first
+ * Requires: API Key with 'read:media' permission, as x-api-key or ?token=
+ */
+app.get('/api/feed.rss', checkApiKeyPermissions({ allowQueryToken: true }), async (req, res) => {
+  try {
+    const { type = 'audio' } = req.query;
+    const limit = req.query.limit === undefined ? PODCAST_DEFAULT_LIMIT : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > PODCAST_MAX_LIMIT) {
+      return sendInvalidPageParams(res, `limit must be an integer between 1 and ${PODCAST_MAX_LIMIT}`);
+    }
+
+    if (!ALLOWED_MIME_TYPES[type]) {
+      return sendInvalidPageParams(res, `type must be one of: ${Object.keys(ALLOWED_MIME_TYPES).join(', ')}`);
+    }
+
+    const filters = parseFeedFilters(req.query);
+
+    if (filters.message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: filters.message
+      });
+    }
+
+    const filtered = applyFeedFilters(db.collection('media_content').where('type', '==', type), filters);
+    const now = new Date().toISOString();
+
+    const [docs, settings] = await Promise.all([
+      fetchVisibleMedia(
+        filtered.query.orderBy('createdAt', 'desc'),
+        limit,
+        data => isLive(data, now) && filtered.matches(data)
+      ),
+      getAppSettings()
+    ]);
+
+    sendPodcastFeed(req, res, buildPodcastChannel(req, settings), docs, [settings.updatedAt]);
+  } catch (error) {
+    console.error('Error building podcast feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to build podcast feed'
+    });
+  }
+});
+
+/**
+ * GET /api/media/:id
+ * Get a single media item by ID, in the locale asked for by ?lang= or Accept-Language
+ * Requires: API Key with 'read:media' permission
+ */
+app.get('/api/media/:id', checkApiKeyPermissions(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const signedOptions = parseSignedUrlOptions(req.query);
+
+    if (!signedOptions) {
+      return sendInvalidTtl(res);
+    }
+
+    res.vary('Accept-Language');
+    const localization = await getRequestLocalization(req);
+
+    if (!localization) {
+      return sendInvalidLanguage(res);
+    }
+
+    const doc = await mediaReadCache.load(JSON.stringify(['media', id]), () => db.collection('media_content').doc(id).get());
+    
+    if (!doc.exists || !isPublicMedia(doc.data())) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const media = formatMedia(req, doc, { ...signedOptions, localization });
+
+    res.set('Content-Language', media.locale);
+    sendCacheableJson(req, res, {
+      success: true,
+      data: media
+    }, getMediaLastModified(doc.data()));
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch media content'
+    });
+  }
+});
+
+/**
+ * GET /api/media/:id/url
+ * Issue a signed, expiring streaming URL for a media item
+ * Requires: API Key with 'read:media' permission
+ */
+app.get('/api/media/:id/url', checkApiKeyPermissions(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { bindKey = 'true' } = req.query;
+    const ttl = parseTtl(req.query.ttl);
+
+    if (ttl === null) {
+      return sendInvalidTtl(res);
+    }
+
+    const doc = await db.collection('media_content').doc(id).get();
+
+    if (!doc.exists || !isPublicMedia(doc.data())) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    // Bind the URL to the issuing API key so revoking the key revokes the URL
+    const keyId = req.apiKey && bindKey !== 'false' ? req.apiKey.id : null;
+    const { url, expiresAt } = buildSignedMediaUrl(getBaseUrl(req), {
+      mediaId: id,
+      ttl,
+      keyId
+    });
+
+    res.json({
+      success: true,
+      data: {
+        id,
+        url,
+        ttl,
+        expiresAt,
+        boundToKey: keyId !== null
+      }
+    });
+  } catch (error) {
+    console.error('Error signing media URL:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to create signed URL'
+    });
+  }
+});
+
+/**
+ * GET /api/media/:id/stream
+ * Stream a media file with HTTP Range support (seeking, multiple ranges)
+ * Requires: API Key with 'read:media' permission (x-api-key or ?token=), or a valid signed URL
+ */
+app.get('/api/media/:id/stream', verifySignedUrl, checkApiKeyPermissions({ allowSignedUrl: true, allowQueryToken: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const doc = await db.collection('media_content').doc(id).get();
+
+    if (!doc.exists || !isPublicMedia(doc.data())) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const mediaData = doc.data();
+    const key = getFileKey(mediaData);
+    const found = key && await sendMediaFile(req, res, {
+      storage: mediaStorage,
+      key,
+      mimeType: mediaData.mimeType
+    });
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media file not found'
+      });
+    }
+  } catch (error) {
+    console.error('Error streaming media:', error);
+
+    // Headers are already out once streaming has started
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to stream media content'
+    });
+  }
+});
+
+/**
+ * GET /api/media/:id/artwork
+ * Serve the artwork image of a media item
+ * Requires: API Key with 'read:media' permission (x-api-key or ?token=), or a valid signed URL
+ */
+app.get('/api/media/:id/artwork', verifySignedUrl, checkApiKeyPermissions({ allowSignedUrl: true, allowQueryToken: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const doc = await db.collection('media_content').doc(id).get();
+
+    if (!doc.exists || !isPublicMedia(doc.data())) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const mediaData = doc.data();
+    const key = getArtworkKey(mediaData);
+    const found = key && await sendMediaFile(req, res, {
+      storage: mediaStorage,
+      key,
+      mimeType: mediaData.artworkMimeType
+    });
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Artwork not found'
+      });
+    }
+  } catch (error) {
+    console.error('Error serving artwork:', error);
+
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to serve artwork'
+    });
+  }
+});
+
+/**
+ * GET /api/media/:id/tracks/:lang.vtt
+ * Serve a caption track of a media item as WebVTT
+ * Requires: API Key with 'read:media' permission (x-api-key or ?token=), or a valid signed URL
+ */
+app.get('/api/media/:id/tracks/:lang.vtt', verifySignedUrl, checkApiKeyPermissions({ allowSignedUrl: true, allowQueryToken: true }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const doc = await db.collection('media_content').doc(id).get();
+
+    if (!doc.exists || !isPublicMedia(doc.data())) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const language = normalizeLanguage(req.params.lang);
+    const track = language && findCaptionTrack(doc.data().captionTracks, language, req.query.kind);
+    const found = track && await sendMediaFile(req, res, {
+      storage: mediaStorage,
+      key: track.storageKey,
+      mimeType: 'text/vtt; charset=utf-8'
+    });
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Caption track not found'
+      });
+    }
+  } catch (error) {
+    console.error('Error serving caption track:', error);
+
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to serve caption track'
+    });
+  }
+});
+
+/**
+ * GET /api/search
+ * Search live media items by title, subtitle, file name and transcript,
+ * ranked by relevance. Filter with ?type=; page with limit and offset
+ * (nextOffset in the response)
+ * Requires: API Key with 'read:media' permission
+ */
+app.get('/api/search', checkApiKeyPermissions(), async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const { type } = req.query;
+    const limit = req.query.limit === undefined ? SEARCH_DEFAULT_LIMIT : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (tokenize(q).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'q must contain at least one word'
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `limit must be an integer between 1 and ${SEARCH_MAX_LIMIT}`
+      });
+    }
+
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'offset must be a non-negative integer'
+      });
+    }
+
+    if (type !== undefined && !ALLOWED_MIME_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `type must be one of: ${Object.keys(ALLOWED_MIME_TYPES).join(', ')}`
+      });
+    }
+
+    await loadSearchIndex();
+    const results = searchIndex.search(q, { maxMatches: SEARCH_MAX_MATCHES });
+
+    // The index does not know about the trash or types; read the documents
+    // in ranked order and skip what does not belong. offset is a position in
+    // the ranked results, so a page continues where the previous one stopped.
+    const data = [];
+    let position = offset;
+
+    while (position < results.length && data.length < limit) {
+      const batch = results.slice(position, position + limit);
+      const docs = await db.getAll(...batch.map(result => db.collection('media_content').doc(result.id)));
+
+      for (let index = 0; index < docs.length && data.length < limit; index++) {
+        const doc = docs[index];
+        position++;
+
+        if (!doc.exists || !isPublicMedia(doc.data()) || (type && doc.data().type !== type)) continue;
+
+        const { score, matchCount, matches } = batch[index];
+        data.push({
+          ...formatMedia(req, doc),
+          search: { score, matchCount, matches }
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      count: data.length,
+      query: q,
+      offset,
+      nextOffset: position < results.length ? position : null,
+      data
+    });
+  } catch (error) {
+    console.error('Error searching media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to search media content'
+    });
+  }
+});
+
+/**
+ * GET /api/collections
+ * List collections, newest first
+ * Requires: API Key with 'read:collections' permission
+ */
+app.get('/api/collections', checkApiKeyPermissions(), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? COLLECTIONS_DEFAULT_LIMIT : Number(req.query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > COLLECTIONS_MAX_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `limit must be an integer between 1 and ${COLLECTIONS_MAX_LIMIT}`
+      });
+    }
+
+    const snapshot = await db.collection('collections')
+      .orderBy('createdAt', 'desc')
+      .limit(limit)
+      .get();
+
+    const collections = snapshot.docs.map(doc => formatCollection(req, doc));
+
+    res.json({
+      success: true,
+      count: collections.length,
+      data: collections
+    });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch collections'
+    });
+  }
+});
+
+/**
+ * GET /api/collections/:id
+ * Get a collection with its media items in order
+ * Requires: API Key with 'read:collections' permission
+ */
+app.get('/api/collections/:id', checkApiKeyPermissions(), async (req, res) => {
+  try {
+    const signedOptions = parseSignedUrlOptions(req.query);
+
+    if (!signedOptions) {
+      return sendInvalidTtl(res);
+    }
+
+    const doc = await db.collection('collections').doc(req.params.id).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Collection not found'
+      });
+    }
+
+    const collection = formatCollection(req, doc);
+    const mediaDocs = await getMediaDocs(collection.mediaIds || []);
+
+    // Items in the trash or not live are left out
+    collection.items = mediaDocs
+      .filter(mediaDoc => mediaDoc.exists && isPublicMedia(mediaDoc.data()))
+      .map(mediaDoc => formatMedia(req, mediaDoc, signedOptions));
+
+    res.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch collection'
+    });
+  }
+});
+
+/**
+ * GET /api/collections/:id/artwork
+ * Serve the artwork image of a collection
+ * Requires: API Key with 'read:collections' permission, as x-api-key or ?token=
+ */
+app.get('/api/collections/:id/artwork', checkApiKeyPermissions({ allowQueryToken: true }), async (req, res) => {
+  try {
+    const doc = await db.collection('collections').doc(req.params.id).get();
+    const collectionData = doc.exists ? doc.data() : {};
+    const key = getArtworkKey(collectionData);
+    const found = key && await sendMediaFile(req, res, {
+      storage: mediaStorage,
+      key,
+      mimeType: collectionData.artworkMimeType
+    });
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Artwork not found'
+      });
+    }
+  } catch (error) {
+    console.error('Error serving collection artwork:', error);
+
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to serve artwork'
+    });
+  }
+});
+
+/**
+ * GET /api/collections/:id/feed.rss
+ * Podcast feed of a collection's live media, in collection order
+ * Requires: API Key with 'read:collections' permission, as x-api-key or ?token=
+ */
+app.get('/api/collections/:id/feed.rss', checkApiKeyPermissions({ allowQueryToken: true }), async (req, res) => {
+  try {
+    const { type = 'audio' } = req.query;
+
+    if (!ALLOWED_MIME_TYPES[type]) {
+      return sendInvalidPageParams(res, `type must be one of: ${Object.keys(ALLOWED_MIME_TYPES).join(', ')}`);
+    }
+
+    const [doc, settings] = await Promise.all([
+      db.collection('collections').doc(req.params.id).get(),
+      getAppSettings()
+    ]);
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Collection not found'
+      });
+    }
+
+    const collection = formatCollection(req, doc);
+    const now = new Date().toISOString();
+    const mediaDocs = (await getMediaDocs(collection.mediaIds || []))
+      .filter(mediaDoc => mediaDoc.exists && isPublicMedia(mediaDoc.data(), now) && mediaDoc.data().type === type);
+
+    // The collection stands in for the podcast's title, description and artwork
+    const channel = buildPodcastChannel(req, settings);
+    Object.assign(channel, {
+      title: collection.title,
+      description: collection.description || channel.description,
+      imageUrl: collection.artworkUrl ? withFeedToken(collection.artworkUrl, getFeedToken(req)) : channel.imageUrl,
+      guid: null
+    });
+
+    sendPodcastFeed(req, res, channel, mediaDocs, [settings.updatedAt, collection.updatedAt]);
+  } catch (error) {
+    console.error('Error building collection podcast feed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to build podcast feed'
+    });
+  }
+});
+
+/**
+ * GET /api/tags
+ * List tags with the number of media items that have each one
+ * Requires: API Key with 'read:media' permission
+ */
+app.get('/api/tags', checkApiKeyPermissions(), async (req, res) => {
+  try {
+    const tags = await listTags();
+
+    res.json({
+      success: true,
+      count: tags.length,
+      data: tags.map(({ slug, name, count }) => ({ slug, name, count }))
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch tags'
+    });
+  }
+});
+
+/**
+ * GET /api/categories
+ * Get the category tree with the number of media items in each category
+ * Requires: API Key with 'read:media' permission
+ */
+app.get('/api/categories', checkApiKeyPermissions(), async (req, res) => {
+  try {
+    const publicNode = ({ id, name, parentId, count, children }) => ({
+      id, name, parentId, count, children: children.map(publicNode)
+    });
+
+    const tree = await buildCategoryTree();
+
+    res.json({
+      success: true,
+      data: tree.map(publicNode)
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch categories'
+    });
+  }
+});
+
+/**
+ * GET /api/settings
+ * Get app settings, in the locale asked for by ?lang= or Accept-Language
+ * Requires: API Key with 'read:settings' permission
+ */
+app.get('/api/settings', checkApiKeyPermissions(), async (req, res) => {
+  try {
+    res.vary('Accept-Language');
+    const requested = negotiateLocales(req);
+
+    if (!requested) {
+      return sendInvalidLanguage(res);
+    }
+
+    const doc = await getSettingsDoc();
+    
+    const settings = doc.exists ? doc.data() : {
+      appName: 'MediaCore',
+      version: '1.0.0',
+      defaultSettings: true
+    };
+
+    // Top-level fields of the best matching translation replace the base ones
+    const defaultLocale = getDefaultLocale(settings);
+    const { locale, locales, values } = localize(settings, {
+      baseLocale: defaultLocale,
+      defaultLocale,
+      requested,
+      fields: null
+    });
+    const data = { ...settings, ...values, locale, locales };
+    delete data.translations;
+
+    res.set('Content-Language', locale);
+    sendCacheableJson(req, res, {
+      success: true,
+      data
+    }, settings.updatedAt || settingsReadCache.getChangedAt());
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch settings'
+    });
+  }
+});
+
+// =============================================================================
+// ADMIN ROUTES (Require Firebase Admin Authentication)
+// =============================================================================
+
+/**
+ * POST /admin/generate-key
+ * Generate a new API key with specified permissions
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/generate-key', checkAdminAuth, async (req, res) => {
+  try {
+    const { 
+      name, 
+      accessType = 'read_only', 
+      customPermissions = [], 
+      expiresInDays = null,
+      description = ''
+    } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'API key name is required'
+      });
+    }
+
+    // Validate access type
+    const validAccessTypes = ['read_only', 'full_access', 'custom'];
+    if (!validAccessTypes.includes(accessType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Invalid access type. Must be one of: ${validAccessTypes.join(', ')}`
+      });
+    }
+
+    // Get permissions based on access type
+    let permissions;
+    if (accessType === 'custom') {
+      // Validate custom permissions
+      const validation = validatePermissions(customPermissions);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: validation.message,
+          availablePermissions: PERMISSION_PRESETS.available_permissions
+        });
+      }
+      permissions = customPermissions;
+    } else {
+      permissions = getPermissionsByAccessType(accessType);
+    }
+
+    // Generate unique API key
+    const apiKey = `mc_${uuidv4().replace(/-/g, '')}`;
+
+    // Calculate expiration date if specified
+    let expiresAt = null;
+    if (expiresInDays && expiresInDays > 0) {
+      expiresAt = new Date();
+      expiresAt.setDate(expiresAt.getDate() + expiresInDays);
+    }
+
+    // Create API key document
+    const keyData = {
+      key: apiKey,
+      name,
+      description,
+      accessType,
+      permissions,
+      isActive: true,
+      createdBy: req.user.uid,
+      createdByEmail: req.user.email,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt ? expiresAt.toISOString() : null,
+      lastUsedAt: null,
+      usageCount: 0
+    };
+
+    const docRef = await db.collection('api_keys').add(keyData);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key generated successfully',
+      data: {
+        id: docRef.id,
+        key: apiKey,
+        name,
+        accessType,
+        permissions,
+        expiresAt: expiresAt ? expiresAt.toISOString() : 'Never'
+      }
+    });
+  } catch (error) {
+    console.error('Error generating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to generate API key'
+    });
+  }
+});
+
+/**
+ * GET /admin/api-keys
+ * List all API keys
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/api-keys', checkAdminAuth, async (req, res) => {
+  try {
+    const page = parsePageParams(req.query, {
+      sortFields: API_KEY_SORT_FIELDS,
+      defaultSort: 'createdAt',
+      defaultLimit: API_KEYS_DEFAULT_LIMIT,
+      maxLimit: API_KEYS_MAX_LIMIT
+    });
+
+    if (page.error) {
+      return sendInvalidPageParams(res, page.error);
+    }
+
+    let total;
+    if (req.query.total === 'true') {
+      total = (await db.collection('api_keys').count().get()).data().count;
+    }
+
+    // One extra key tells whether there is a next page
+    const snapshot = await orderPageQuery(db.collection('api_keys'), page)
+      .limit(page.limit + 1)
+      .get();
+    const pageDocs = snapshot.docs.slice(0, page.limit);
+    
+    const keys = pageDocs.map(doc => {
+      const data = doc.data();
+      return {
+        id: doc.id,
+        name: data.name,
+        description: data.description,
+        accessType: data.accessType,
+        permissions: data.permissions,
+        isActive: data.isActive,
+        createdAt: data.createdAt,
+        expiresAt: data.expiresAt,
+        lastUsedAt: data.lastUsedAt,
+        usageCount: data.usageCount,
+        // Mask the key for security (show only last 8 chars)
+        keyPreview: `mc_****${data.key.slice(-8)}`
+      };
+    });
+
+    const response = {
+      success: true,
+      count: keys.length,
+      nextCursor: snapshot.size > page.limit ? getNextCursor(page, pageDocs[pageDocs.length - 1]) : null,
+      data: keys
+    };
+    if (total !== undefined) {
+      response.total = total;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to list API keys'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/api-keys/:id
+ * Revoke/delete an API key
+ * Requires: Firebase Admin Authentication
+ */
+app.delete('/admin/api-keys/:id', checkAdminAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { hardDelete = false } = req.query;
+
+    const docRef = db.collection('api_keys').doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'API key not found'
+      });
+    }
+
+    if (hardDelete === 'true') {
+      await docRef.delete();
+    } else {
+      // Soft delete - just deactivate
+      await docRef.update({
+        isActive: false,
+        deactivatedAt: new Date().toISOString(),
+        deactivatedBy: req.user.uid
+      });
+    }
+
+    res.json({
+      success: true,
+      message: hardDelete === 'true' ? 'API key deleted permanently' : 'API key deactivated'
+    });
+  } catch (error) {
+    console.error('Error deleting API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to delete API key'
+    });
+  }
+});
+
+/**
+ * POST /admin/media
+ * Upload new media content
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/media', checkAdminAuth, checkUploadQuota({ newItem: true }), upload.fields([{ name: 'file', maxCount: 1 }, { name: 'artwork', maxCount: 1 }]), async (req, res) => {
+  let storedArtworkKey = null;
+
+  try {
+    const { title, subtitle } = req.body;
+    const file = req.files && req.files.file ? req.files.file[0] : null;
+    const artworkFile = req.files && req.files.artwork ? req.files.artwork[0] : null;
+    
+    // Get type from body, query, or use detected type from multer, or infer from file
+    let type = req.body.type || req.query.type || req.detectedType || 'video';
+    
+    // Double-check: if file is audio but type says video, correct it
+    if (file && file.mimetype.startsWith('audio/')) {
+      type = 'audio';
+    }
+
+    if (!file) {
+      cleanupUploads(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'No file uploaded'
+      });
+    }
+
+    if (!title) {
+      // Clean up uploaded files
+      cleanupUploads(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Title is required'
+      });
+    }
+
+    const onDuplicate = parseDuplicateAction(req.body.onDuplicate || req.query.onDuplicate);
+
+    if (!onDuplicate) {
+      cleanupUploads(req);
+      return sendInvalidDuplicateAction(res);
+    }
+
+    // Optional tags (comma-separated) and category
+    const tagsCheck = await checkMediaTags(req.body.tags || []);
+    const category = tagsCheck.message ? null : await resolveMediaCategory(req.body.categoryId || null);
+    const classificationError = tagsCheck.message || category.message;
+
+    if (classificationError) {
+      cleanupUploads(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: classificationError
+      });
+    }
+
+    // Optional status (published by default), publishAt and unpublishAt
+    const publication = resolvePublication(req.body, null, { by: req.user.uid });
+
+    if (publication.message) {
+      cleanupUploads(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: publication.message
+      });
+    }
+
+    // Check the real format from the file's magic bytes
+    const content = await checkFileContent(file.path, type);
+
+    if (content.error) {
+      cleanupUploads(req);
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported Media Type',
+        message: content.error
+      });
+    }
+
+    // Same content as an existing item: reject, or share its stored file
+    const duplicate = await findDuplicateMedia(file.sha256);
+
+    if (duplicate && onDuplicate === 'reject') {
+      cleanupUploads(req);
+      return sendDuplicateMedia(res, duplicate.id);
+    }
+
+    // A linked upload stores no new media file
+    const quotaViolation = await storageQuota.check({ uploaderId: req.user.uid, type }, {
+      bytes: (duplicate ? 0 : file.size) + (artworkFile ? artworkFile.size : 0),
+      items: 1
+    });
+
+    if (quotaViolation) {
+      cleanupUploads(req);
+      return sendQuotaExceeded(res, quotaViolation);
+    }
+
+    // Optional artwork sent in the same request
+    let artwork = null;
+    if (artworkFile) {
+      const artworkCheck = await checkArtworkFile(artworkFile);
+
+      if (artworkCheck.error) {
+        cleanupUploads(req);
+        return res.status(artworkCheck.status).json({
+          success: false,
+          error: artworkCheck.error,
+          message: artworkCheck.message
+        });
+      }
+      artwork = artworkCheck.fields;
+    }
+
+    if (artwork) {
+      await mediaStorage.put(artwork.artworkKey, artworkFile.path, { contentType: artwork.artworkMimeType });
+      storedArtworkKey = artwork.artworkKey;
+    }
+
+    const media = await createMediaRecord(req, {
+      title,
+      subtitle,
+      type,
+      filename: file.filename,
+      localPath: file.path,
+      originalName: file.originalname,
+      fileSize: file.size,
+      mimeType: content.mimeType,
+      container: content.detected.container,
+      sha256: file.sha256,
+      artwork,
+      tags: tagsCheck.tags,
+      ...category,
+      publication: publication.fields,
+      linkTo: duplicate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Media uploaded successfully',
+      data: media
+    });
+  } catch (error) {
+    console.error('Error uploading media:', error);
+    
+    // Clean up files if they were uploaded
+    cleanupUploads(req);
+    if (storedArtworkKey) {
+      await deleteStoredFile(storedArtworkKey).catch(() => {});
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to upload media'
+    });
+  }
+});
+
+/**
+ * PUT /admin/media/:id
+ * Update media metadata
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/media/:id', checkAdminAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, subtitle, tags, categoryId, locale } = req.body;
+
+    const docRef = db.collection('media_content').doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const updateData = {
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    };
+
+    if (title !== undefined) updateData.title = title;
+    if (subtitle !== undefined) updateData.subtitle = subtitle;
+
+    // Locale of the title and subtitle (null for the default locale)
+    if (locale !== undefined) {
+      const baseLocale = locale === null || locale === '' ? null : normalizeLanguage(locale);
+
+      if (baseLocale === null && locale !== null && locale !== '') {
+        return sendInvalidLanguage(res, 'locale');
+      }
+      if (baseLocale && (doc.data().translations || {})[baseLocale]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: `The media item has a "${baseLocale}" translation; remove it before using that locale for its own title`
+        });
+      }
+      updateData.locale = baseLocale;
+    }
+
+    if (tags !== undefined) {
+      const tagsCheck = await checkMediaTags(tags);
+
+      if (tagsCheck.message) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: tagsCheck.message
+        });
+      }
+      updateData.tags = tagsCheck.tags;
+    }
+
+    if (categoryId !== undefined) {
+      const category = await resolveMediaCategory(categoryId);
+
+      if (category.message) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: category.message
+        });
+      }
+      Object.assign(updateData, category);
+    }
+
+    await docRef.update(updateData);
+    await reindexMedia(id);
+
+    const updatedDoc = await docRef.get();
+
+    res.json({
+      success: true,
+      message: 'Media updated successfully',
+      data: {
+        id: updatedDoc.id,
+        ...updatedDoc.data()
+      }
+    });
+  } catch (error) {
+    console.error('Error updating media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to update media'
+    });
+  }
+});
+
+/**
+ * POST /admin/media/:id/metadata
+ * Re-extract technical metadata (duration, bitrate, codecs) from the stored file
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/media/:id/metadata', checkAdminAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const docRef = db.collection('media_content').doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const mediaData = doc.data();
+    const extracted = await withLocalFile(getFileKey(mediaData), async (filePath) => {
+      // Items uploaded before content sniffing have no container yet
+      const detected = await sniffFile(filePath);
+      const container = detected ? detected.container : mediaData.container;
+      return { container, technical: await extractMetadata(filePath, container) };
+    });
+
+    if (!extracted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media file not found'
+      });
+    }
+
+    const { container, technical } = extracted;
+
+    await docRef.update({
+      container: container || null,
+      ...technical,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    });
+
+    const updatedDoc = await docRef.get();
+
+    res.json({
+      success: true,
+      message: 'Media metadata extracted successfully',
+      data: {
+        id: updatedDoc.id,
+        ...updatedDoc.data()
+      }
+    });
+  } catch (error) {
+    console.error('Error extracting media metadata:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to extract media metadata'
+    });
+  }
+});
+
+/**
+ * PUT /admin/media/:id/artwork
+ * Upload or replace the artwork image of a media item
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/media/:id/artwork', checkAdminAuth, artworkUpload.single('artwork'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'No artwork uploaded'
+      });
+    }
+
+    const docRef = db.collection('media_content').doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      cleanupUploads(req);
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const artworkCheck = await checkArtworkFile(file);
+
+    if (artworkCheck.error) {
+      cleanupUploads(req);
+      return res.status(artworkCheck.status).json({
+        success: false,
+        error: artworkCheck.error,
+        message: artworkCheck.message
+      });
+    }
+
+    // The new image replaces the previous one
+    const mediaData = doc.data();
+    const addedBytes = file.size - (mediaData.artworkSize || 0);
+    const quotaViolation = await storageQuota.check(getMediaOwner(mediaData), { bytes: addedBytes });
+
+    if (quotaViolation) {
+      cleanupUploads(req);
+      return sendQuotaExceeded(res, quotaViolation);
+    }
+
+    const { artworkKey } = artworkCheck.fields;
+    await mediaStorage.put(artworkKey, file.path, { contentType: artworkCheck.fields.artworkMimeType });
+
+    try {
+      await docRef.update({
+        ...artworkCheck.fields,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.uid
+      });
+    } catch (error) {
+      await deleteStoredFile(artworkKey);
+      throw error;
+    }
+
+    await storageQuota.record(getMediaOwner(mediaData), { bytes: addedBytes });
+
+    // The previous image is no longer referenced
+    const previousKey = getArtworkKey(mediaData);
+    if (previousKey && previousKey !== artworkKey) {
+      await deleteStoredFile(previousKey);
+    }
+
+    const updatedDoc = await docRef.get();
+
+    res.json({
+      success: true,
+      message: 'Artwork uploaded successfully',
+      data: formatMedia(req, updatedDoc)
+    });
+  } catch (error) {
+    console.error('Error uploading artwork:', error);
+    cleanupUploads(req);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to upload artwork'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/media/:id/artwork
+ * Remove the artwork image of a media item
+ * Requires: Firebase Admin Authentication
+ */
+app.delete('/admin/media/:id/artwork', checkAdminAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const docRef = db.collection('media_content').doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const mediaData = doc.data();
+
+    const artworkKey = getArtworkKey(mediaData);
+
+    if (!artworkKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media item has no artwork'
+      });
+    }
+
+    await docRef.update({
+      artworkKey: null,
+      artworkPath: null,
+      artworkMimeType: null,
+      artworkWidth: null,
+      artworkHeight: null,
+      artworkSize: null,
+      artworkUpdatedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    });
+
+    await deleteStoredFile(artworkKey);
+    await storageQuota.record(getMediaOwner(mediaData), { bytes: -(mediaData.artworkSize || 0) });
+
+    res.json({
+      success: true,
+      message: 'Artwork removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing artwork:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to remove artwork'
+    });
+  }
+});
+
+/**
+ * Send the 404 for a caption track that does not exist
+ */
+const sendTrackNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Not Found',
+    message: 'Caption track not found'
+  });
+};
+
+/**
+ * GET /admin/media/:id/tracks
+ * List the caption tracks of a media item
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/media/:id/tracks', checkAdminAuth, async (req, res) => {
+  try {
+    const doc = await db.collection('media_content').doc(req.params.id).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatCaptionTracks(req, doc.id, doc.data().captionTracks)
+    });
+  } catch (error) {
+    console.error('Error listing caption tracks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to list caption tracks'
+    });
+  }
+});
+
+/**
+ * POST /admin/media/:id/tracks
+ * Add a caption track (SRT or WebVTT) to a media item
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/media/:id/tracks', checkAdminAuth, captionUpload.single('track'), async (req, res) => {
+  try {
+    const file = req.file;
+    const language = normalizeLanguage(req.body.language);
+    const kind = req.body.kind || 'subtitles';
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'No caption track uploaded'
+      });
+    }
+
+    if (!language) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'language must be a BCP 47 language code, e.g. "en" or "pt-BR"'
+      });
+    }
+
+    if (!CAPTION_TRACK_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `kind must be one of: ${CAPTION_TRACK_KINDS.join(', ')}`
+      });
+    }
+
+    const docRef = db.collection('media_content').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const mediaData = doc.data();
+
+    if (findCaptionTrack(mediaData.captionTracks, language, kind)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `The media item already has a ${kind} track for "${language}". Use PUT /admin/media/${doc.id}/tracks/${language}?kind=${kind} to replace it.`
+      });
+    }
+
+    const converted = convertCaptionFile(file, mediaData);
+
+    if (converted.error) {
+      return res.status(converted.status).json({
+        success: false,
+        error: converted.error,
+        message: converted.message
+      });
+    }
+
+    const quotaViolation = await storageQuota.check(getMediaOwner(mediaData), { bytes: Buffer.byteLength(converted.vtt) });
+
+    if (quotaViolation) {
+      return sendQuotaExceeded(res, quotaViolation);
+    }
+
+    const stored = await storeCaptionTrack(converted.vtt);
+    const track = {
+      language,
+      kind,
+      label: req.body.label || language,
+      ...stored,
+      cueCount: converted.cueCount,
+      sourceFormat: converted.sourceFormat,
+      originalName: file.originalname,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    };
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        const current = await transaction.get(docRef);
+        const tracks = current.data().captionTracks || [];
+
+        if (findCaptionTrack(tracks, language, kind)) {
+          const error = new Error('Caption track already exists');
+          error.code = 'TRACK_EXISTS';
+          throw error;
+        }
+
+        transaction.update(docRef, {
+          captionTracks: [...tracks, track],
+          updatedAt: new Date().toISOString(),
+          updatedBy: req.user.uid
+        });
+      });
+    } catch (error) {
+      await deleteStoredFile(stored.storageKey);
+
+      if (error.code === 'TRACK_EXISTS') {
+        return res.status(409).json({
+          success: false,
+          error: 'Conflict',
+          message: `The media item already has a ${kind} track for "${language}"`
+        });
+      }
+      throw error;
+    }
+
+    await storageQuota.record(getMediaOwner(mediaData), { bytes: stored.size });
+
+    const [formatted] = formatCaptionTracks(req, doc.id, [track]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Caption track added successfully',
+      data: formatted
+    });
+  } catch (error) {
+    console.error('Error adding caption track:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to add caption track'
+    });
+  }
+});
+
+/**
+ * PUT /admin/media/:id/tracks/:lang
+ * Replace a caption track's file and/or label (?kind= picks the track)
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/media/:id/tracks/:lang', checkAdminAuth, captionUpload.single('track'), async (req, res) => {
+  try {
+    const file = req.file;
+    const language = normalizeLanguage(req.params.lang);
+    const { label } = req.body;
+
+    if (!file && !label) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Send a new track file, a label, or both'
+      });
+    }
+
+    const docRef = db.collection('media_content').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const mediaData = doc.data();
+    const existing = language && findCaptionTrack(mediaData.captionTracks, language, req.query.kind);
+
+    if (!existing) {
+      return sendTrackNotFound(res);
+    }
+
+    const changes = {};
+    let stored = null;
+
+    if (file) {
+      const converted = convertCaptionFile(file, mediaData);
+
+      if (converted.error) {
+        return res.status(converted.status).json({
+          success: false,
+          error: converted.error,
+          message: converted.message
+        });
+      }
+
+      const addedBytes = Buffer.byteLength(converted.vtt) - (existing.size || 0);
+      const quotaViolation = await storageQuota.check(getMediaOwner(mediaData), { bytes: addedBytes });
+
+      if (quotaViolation) {
+        return sendQuotaExceeded(res, quotaViolation);
+      }
+
+      stored = await storeCaptionTrack(converted.vtt);
+      Object.assign(changes, stored, {
+        cueCount: converted.cueCount,
+        sourceFormat: converted.sourceFormat,
+        originalName: file.originalname
+      });
+    }
+
+    if (label) {
+      changes.label = label;
+    }
+
+    let updated;
+    let previous;
+    try {
+      await db.runTransaction(async (transaction) => {
+        const current = await transaction.get(docRef);
+        const tracks = current.data().captionTracks || [];
+        previous = findCaptionTrack(tracks, existing.language, existing.kind);
+
+        if (!previous) {
+          const error = new Error('Caption track not found');
+          error.code = 'TRACK_NOT_FOUND';
+          throw error;
+        }
+
+        updated = {
+          ...previous,
+          ...changes,
+          updatedAt: new Date().toISOString(),
+          updatedBy: req.user.uid
+        };
+
+        transaction.update(docRef, {
+          captionTracks: tracks.map(track => (track === previous ? updated : track)),
+          updatedAt: new Date().toISOString(),
+          updatedBy: req.user.uid
+        });
+      });
+    } catch (error) {
+      if (stored) {
+        await deleteStoredFile(stored.storageKey);
+      }
+      if (error.code === 'TRACK_NOT_FOUND') {
+        return sendTrackNotFound(res);
+      }
+      throw error;
+    }
+
+    // The previous file is no longer referenced
+    if (stored) {
+      await storageQuota.record(getMediaOwner(mediaData), { bytes: stored.size - (previous.size || 0) });
+      await deleteStoredFile(previous.storageKey);
+    }
+
+    const [formatted] = formatCaptionTracks(req, doc.id, [updated]);
+
+    res.json({
+      success: true,
+      message: 'Caption track updated successfully',
+      data: formatted
+    });
+  } catch (error) {
+    console.error('Error updating caption track:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to update caption track'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/media/:id/tracks/:lang
+ * Remove a caption track (?kind= picks the track)
+ * Requires: Firebase Admin Authentication
+ */
+app.delete('/admin/media/:id/tracks/:lang', checkAdminAuth, async (req, res) => {
+  try {
+    const language = normalizeLanguage(req.params.lang);
+    const docRef = db.collection('media_content').doc(req.params.id);
+    let removed = null;
+    let mediaData = null;
+
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists) return;
+
+      mediaData = doc.data();
+      const tracks = mediaData.captionTracks || [];
+      removed = language && findCaptionTrack(tracks, language, req.query.kind);
+      if (!removed) return;
+
+      transaction.update(docRef, {
+        captionTracks: tracks.filter(track => track !== removed),
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.uid
+      });
+    });
+
+    if (!mediaData) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    if (!removed) {
+      return sendTrackNotFound(res);
+    }
+
+    await deleteStoredFile(removed.storageKey);
+    await storageQuota.record(getMediaOwner(mediaData), { bytes: -(removed.size || 0) });
+
+    res.json({
+      success: true,
+      message: 'Caption track removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing caption track:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to remove caption track'
+    });
+  }
+});
+
+/**
+ * Read the transcript sent to PUT /admin/media/:id/transcript
+ *
+ * @returns {Object} - { input, format }, or { status, error, message } if nothing usable was sent
+ */
+const readTranscriptInput = (req) => {
+  if (req.file) {
+    try {
+      return {
+        input: new TextDecoder('utf-8', { fatal: true }).decode(req.file.buffer),
+        format: path.extname(req.file.originalname).toLowerCase().slice(1)
+      };
+    } catch (error) {
+      return { status: 415, error: 'Unsupported Media Type', message: 'Transcripts must be UTF-8 text' };
+    }
+  }
+
+  if (req.body.segments !== undefined) {
+    return { input: req.body.segments, format: 'json' };
+  }
+  if (typeof req.body.text === 'string') {
+    return { input: req.body.text, format: 'txt' };
+  }
+
+  return {
+    status: 400,
+    error: 'Bad Request',
+    message: 'Send a transcript file, a segments array or text'
+  };
+};
+
+/**
+ * GET /admin/media/:id/transcript
+ * Get the transcript of a media item
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/media/:id/transcript', checkAdminAuth, async (req, res) => {
+  try {
+    const doc = await db.collection('transcripts').doc(req.params.id).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Transcript not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: doc.data()
+    });
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch transcript'
+    });
+  }
+});
+
+/**
+ * PUT /admin/media/:id/transcript
+ * Add or replace the transcript of a media item and index it for search
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/media/:id/transcript', checkAdminAuth, transcriptBodyParsers, transcriptUpload.single('transcript'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const received = readTranscriptInput(req);
+
+    if (received.error) {
+      return res.status(received.status).json({
+        success: false,
+        error: received.error,
+        message: received.message
+      });
+    }
+
+    const language = req.body.language ? normalizeLanguage(req.body.language) : null;
+
+    if (req.body.language && !language) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'language must be a BCP 47 language code, e.g. "en" or "pt-BR"'
+      });
+    }
+
+    const docRef = db.collection('media_content').doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const parsed = parseTranscript(received.input, received.format);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Invalid transcript: ${parsed.error}`
+      });
+    }
+
+    if (Buffer.byteLength(JSON.stringify(parsed.segments)) > MAX_TRANSCRIPT_SIZE) {
+      return res.status(413).json({
+        success: false,
+        error: 'Payload Too Large',
+        message: `Transcript exceeds the limit of ${MAX_TRANSCRIPT_SIZE / 1024}KB`
+      });
+    }
+
+    // Index updates must not race the initial build
+    await loadSearchIndex();
+
+    const transcript = {
+      mediaId: id,
+      language,
+      format: received.format,
+      timed: parsed.timed,
+      segments: parsed.segments,
+      segmentCount: parsed.segments.length,
+      wordCount: parsed.segments.reduce((total, segment) => total + tokenize(segment.text).length, 0),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    };
+
+    await db.collection('transcripts').doc(id).set(transcript);
+    await docRef.update({
+      hasTranscript: true,
+      transcriptUpdatedAt: transcript.updatedAt,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    });
+
+    await reindexMedia(id);
+
+    const { segments, ...summary } = transcript;
+
+    res.json({
+      success: true,
+      message: 'Transcript saved successfully',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error saving transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to save transcript'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/media/:id/transcript
+ * Remove the transcript of a media item
+ * Requires: Firebase Admin Authentication
+ */
+app.delete('/admin/media/:id/transcript', checkAdminAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const transcriptRef = db.collection('transcripts').doc(id);
+    const transcriptDoc = await transcriptRef.get();
+
+    if (!transcriptDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Transcript not found'
+      });
+    }
+
+    await loadSearchIndex();
+    await transcriptRef.delete();
+
+    const docRef = db.collection('media_content').doc(id);
+    if ((await docRef.get()).exists) {
+      await docRef.update({
+        hasTranscript: false,
+        transcriptUpdatedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.uid
+      });
+    }
+
+    await reindexMedia(id);
+
+    res.json({
+      success: true,
+      message: 'Transcript removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing transcript:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to remove transcript'
+    });
+  }
+});
+
+/**
+ * Check the body of a media translation
+ *
+ * @returns {Object} - { translation: { title, subtitle } } or { message }
+ */
+const parseMediaTranslation = (body) => {
+  const { title, subtitle } = body || {};
+
+  if (typeof title !== 'string' || title.trim() === '') {
+    return { message: 'Title is required' };
+  }
+  if (subtitle !== undefined && subtitle !== null && typeof subtitle !== 'string') {
+    return { message: 'subtitle must be a string' };
+  }
+  return { translation: { title, subtitle: subtitle || null } };
+};
+
+/**
+ * GET /admin/media/:id/translations
+ * List the translations of a media item's title and subtitle
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/media/:id/translations', checkAdminAuth, async (req, res) => {
+  try {
+    const [doc, settings] = await Promise.all([
+      db.collection('media_content').doc(req.params.id).get(),
+      getAppSettings()
+    ]);
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const data = doc.data();
+
+    res.json({
+      success: true,
+      data: {
+        locale: data.locale || getDefaultLocale(settings),
+        translations: data.translations || {}
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching translations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch translations'
+    });
+  }
+});
+
+/**
+ * PUT /admin/media/:id/translations/:locale
+ * Add or replace the title and subtitle of a media item in a locale
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/media/:id/translations/:locale', checkAdminAuth, async (req, res) => {
+  try {
+    const locale = normalizeLanguage(req.params.locale);
+
+    if (!locale) {
+      return sendInvalidLanguage(res, 'locale');
+    }
+
+    const { translation, message } = parseMediaTranslation(req.body);
+
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message
+      });
+    }
+
+    const docRef = db.collection('media_content').doc(req.params.id);
+    const [doc, settings] = await Promise.all([docRef.get(), getAppSettings()]);
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const data = doc.data();
+    const translations = data.translations || {};
+
+    if (locale === (data.locale || getDefaultLocale(settings))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `"${locale}" is the media item's own locale; change its title and subtitle with PUT /admin/media/${doc.id}`
+      });
+    }
+    if (!translations[locale] && Object.keys(translations).length >= MAX_TRANSLATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `A media item can have at most ${MAX_TRANSLATIONS} translations`
+      });
+    }
+
+    await docRef.update({
+      [`translations.${locale}`]: translation,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    });
+
+    res.json({
+      success: true,
+      message: 'Translation saved successfully',
+      data: { locale, ...translation }
+    });
+  } catch (error) {
+    console.error('Error saving translation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to save translation'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/media/:id/translations/:locale
+ * Remove a translation of a media item
+ * Requires: Firebase Admin Authentication
+ */
+app.delete('/admin/media/:id/translations/:locale', checkAdminAuth, async (req, res) => {
+  try {
+    const locale = normalizeLanguage(req.params.locale);
+    const docRef = db.collection('media_content').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    if (!locale || !(doc.data().translations || {})[locale]) {
+      return sendTranslationNotFound(res);
+    }
+
+    await docRef.update({
+      [`translations.${locale}`]: admin.firestore.FieldValue.delete(),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    });
+
+    res.json({
+      success: true,
+      message: 'Translation removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing translation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to remove translation'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/media/:id
+ * Move media content to the trash, or delete it permanently (file and metadata)
+ * Requires: Firebase Admin Authentication
+ */
+app.delete('/admin/media/:id', checkAdminAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { hardDelete = false, deleteFile = true } = req.query;
+
+    const docRef = db.collection('media_content').doc(id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    if (hardDelete === 'true') {
+      await purgeMedia(docRef, doc.data(), { deleteFile: deleteFile !== 'false' });
+    } else {
+      // Soft delete - move to the trash, files are kept until purged
+      await docRef.update({
+        isDeleted: true,
+        deletedAt: new Date().toISOString(),
+        deletedBy: req.user.uid
+      });
+    }
+
+    res.json({
+      success: true,
+      message: hardDelete === 'true' ? 'Media deleted permanently' : 'Media moved to trash'
+    });
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to delete media'
+    });
+  }
+});
+
+/**
+ * PUT /admin/settings
+ * Update app settings
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/settings', checkAdminAuth, async (req, res) => {
+  try {
+    const settings = req.body;
+
+    if (!settings || Object.keys(settings).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'No settings provided'
+      });
+    }
+
+    if (settings.translations !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Edit translations with PUT /admin/settings/translations/:locale'
+      });
+    }
+
+    if (settings.defaultLocale !== undefined) {
+      const defaultLocale = normalizeLanguage(settings.defaultLocale);
+
+      if (!defaultLocale) {
+        return sendInvalidLanguage(res, 'defaultLocale');
+      }
+      settings.defaultLocale = defaultLocale;
+    }
+
+    const docRef = db.collection('app_settings').doc('general');
+    
+    await docRef.set({
+      ...settings,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    }, { merge: true });
+
+    const updatedDoc = await docRef.get();
+
+    res.json({
+      success: true,
+      message: 'Settings updated successfully',
+      data: updatedDoc.data()
+    });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to update settings'
+    });
+  }
+});
+
+/**
+ * GET /admin/settings/translations
+ * List the translations of the app settings
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/settings/translations', checkAdminAuth, async (req, res) => {
+  try {
+    const settings = await getAppSettings();
+
+    res.json({
+      success: true,
+      data: {
+        defaultLocale: getDefaultLocale(settings),
+        translations: settings.translations || {}
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching settings translations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch translations'
+    });
+  }
+});
+
+/**
+ * PUT /admin/settings/translations/:locale
+ * Add or replace the settings fields served in a locale
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/settings/translations/:locale', checkAdminAuth, async (req, res) => {
+  try {
+    const locale = normalizeLanguage(req.params.locale);
+    const translation = req.body;
+
+    if (!locale) {
+      return sendInvalidLanguage(res, 'locale');
+    }
+
+    if (!translation || typeof translation !== 'object' || Array.isArray(translation) || Object.keys(translation).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'No settings provided'
+      });
+    }
+
+    const reserved = ['translations', 'defaultLocale', 'updatedAt', 'updatedBy'].filter(field => field in translation);
+    if (reserved.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `These settings cannot be translated: ${reserved.join(', ')}`
+      });
+    }
+
+    const docRef = db.collection('app_settings').doc('general');
+    const doc = await docRef.get();
+    const settings = doc.exists ? doc.data() : {};
+    const translations = settings.translations || {};
+
+    if (locale === getDefaultLocale(settings)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `"${locale}" is the default locale; change those settings with PUT /admin/settings`
+      });
+    }
+    if (!translations[locale] && Object.keys(translations).length >= MAX_TRANSLATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `The settings can have at most ${MAX_TRANSLATIONS} translations`
+      });
+    }
+
+    const fields = {
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    };
+
+    // A field path replaces the locale's translation as a whole
+    if (doc.exists) {
+      await docRef.update({ ...fields, [`translations.${locale}`]: translation });
+    } else {
+      await docRef.set({ ...fields, translations: { [locale]: translation } });
+    }
+
+    res.json({
+      success: true,
+      message: 'Translation saved successfully',
+      data: { locale, ...translation }
+    });
+  } catch (error) {
+    console.error('Error saving settings translation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to save translation'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/settings/translations/:locale
+ * Remove a translation of the app settings
+ * Requires: Firebase Admin Authentication
+ */
+app.delete('/admin/settings/translations/:locale', checkAdminAuth, async (req, res) => {
+  try {
+    const locale = normalizeLanguage(req.params.locale);
+    const docRef = db.collection('app_settings').doc('general');
+    const doc = await docRef.get();
+
+    if (!locale || !doc.exists || !(doc.data().translations || {})[locale]) {
+      return sendTranslationNotFound(res);
+    }
+
+    await docRef.update({
+      [`translations.${locale}`]: admin.firestore.FieldValue.delete(),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    });
+
+    res.json({
+      success: true,
+      message: 'Translation removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing settings translation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to remove translation'
+    });
+  }
+});
+
+/**
+ * GET /admin/permissions
+ * Get available permissions list
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/permissions', checkAdminAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      presets: {
+        read_only: PERMISSION_PRESETS.read_only,
+        full_access: PERMISSION_PRESETS.full_access
+      },
+      available: PERMISSION_PRESETS.available_permissions
+    }
+  });
+});
+
+// =============================================================================
+// PUBLISHING ROUTES (Require Firebase Admin Authentication)
+// =============================================================================
+
+/**
+ * GET /admin/media
+ * List media items (not in the trash) of any status, with whether each is live
+ * Query: status, type, limit, orderBy, order, cursor (paged like /api/feed)
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/media', checkAdminAuth, async (req, res) => {
+  try {
+    const { type, status } = req.query;
+
+    const page = parsePageParams(req.query, {
+      sortFields: FEED_SORT_FIELDS,
+      defaultSort: 'createdAt',
+      defaultLimit: FEED_DEFAULT_LIMIT,
+      maxLimit: FEED_MAX_LIMIT
+    });
+
+    if (page.error) {
+      return sendInvalidPageParams(res, page.error);
+    }
+
+    if (type !== undefined && !ALLOWED_MIME_TYPES[type]) {
+      return sendInvalidPageParams(res, `type must be one of: ${Object.keys(ALLOWED_MIME_TYPES).join(', ')}`);
+    }
+
+    if (status !== undefined && !MEDIA_STATUSES.includes(status)) {
+      return sendInvalidPageParams(res, `status must be one of: ${MEDIA_STATUSES.join(', ')}`);
+    }
+
+    let query = db.collection('media_content');
+
+    if (type) {
+      query = query.where('type', '==', type);
+    }
+
+    // Items created before the status workflow have no status field, so
+    // the status is matched in memory
+    const docs = await fetchVisibleMedia(
+      orderPageQuery(query, page),
+      page.limit + 1,
+      data => !status || getMediaStatus(data) === status
+    );
+    const pageDocs = docs.slice(0, page.limit);
+    const now = new Date().toISOString();
+
+    res.json({
+      success: true,
+      count: pageDocs.length,
+      nextCursor: docs.length > page.limit ? getNextCursor(page, pageDocs[pageDocs.length - 1]) : null,
+      data: pageDocs.map(doc => ({
+        ...formatMedia(req, doc),
+        status: getMediaStatus(doc.data()),
+        live: isLive(doc.data(), now)
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to list media'
+    });
+  }
+});
+
+/**
+ * PUT /admin/media/:id/status
+ * Change a media item's status, publishAt and unpublishAt
+ * Body: { status?, publishAt?, unpublishAt? } (null clears a date)
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/media/:id/status', checkAdminAuth, async (req, res) => {
+  try {
+    const { status, publishAt, unpublishAt } = req.body || {};
+
+    if (status === undefined && publishAt === undefined && unpublishAt === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Provide status, publishAt or unpublishAt'
+      });
+    }
+
+    const docRef = db.collection('media_content').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const publication = resolvePublication({ status, publishAt, unpublishAt }, doc.data(), { by: req.user.uid });
+
+    if (publication.message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: publication.message
+      });
+    }
+
+    await docRef.update({
+      ...publication.fields,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    });
+
+    const updatedDoc = await docRef.get();
+
+    res.json({
+      success: true,
+      message: 'Media status updated',
+      data: {
+        id: updatedDoc.id,
+        ...updatedDoc.data(),
+        live: isLive(updatedDoc.data())
+      }
+    });
+  } catch (error) {
+    console.error('Error updating media status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to update media status'
+    });
+  }
+});
+
+/**
+ * Record status changes that are due: publish scheduled items whose
+ * publishAt has passed and unpublish items whose unpublishAt has passed
+ *
+ * publishedAt and unpublishedAt are set to the scheduled times (when the
+ * item actually went live or was taken down); statusChangedAt is when the
+ * change was recorded, with statusChangedBy 'scheduler'.
+ *
+ * @returns {Promise<Object>} - { published, unpublished } media IDs
+ */
+const applyPublishSchedule = async () => {
+  const now = new Date().toISOString();
+  const media = db.collection('media_content');
+
+  const snapshots = await Promise.all([
+    media.where('status', '==', 'scheduled').where('publishAt', '<=', now).get(),
+    media.where('status', '==', 'scheduled').where('unpublishAt', '<=', now).get(),
+    media.where('status', '==', 'published').where('unpublishAt', '<=', now).get()
+  ]);
+
+  const changes = new Map();
+
+  for (const doc of snapshots.flatMap(snapshot => snapshot.docs)) {
+    const data = doc.data();
+    const fields = { publishAt: null, statusChangedAt: now, statusChangedBy: 'scheduler' };
+
+    if (data.status === 'scheduled') {
+      fields.publishedAt = data.publishAt;
+    }
+
+    // An item whose whole window has passed goes straight to unpublished
+    if (data.unpublishAt && data.unpublishAt <= now) {
+      Object.assign(fields, { status: 'unpublished', unpublishAt: null, unpublishedAt: data.unpublishAt });
+    } else {
+      fields.status = 'published';
+    }
+
+    changes.set(doc.id, { ref: doc.ref, data: fields });
+  }
+
+  await commitUpdates([...changes.values()]);
+
+  const idsWithStatus = (status) => [...changes]
+    .filter(([, change]) => change.data.status === status)
+    .map(([id]) => id);
+
+  return { published: idsWithStatus('published'), unpublished: idsWithStatus('unpublished') };
+};
+
+/**
+ * Run the publishing schedule
+ */
+const runPublishSchedule = async () => {
+  try {
+    const { published, unpublished } = await applyPublishSchedule();
+
+    if (published.length > 0 || unpublished.length > 0) {
+      mediaReadCache.clear();
+      console.log(`📅 Published ${published.length} and unpublished ${unpublished.length} scheduled media items`);
+    }
+  } catch (error) {
+    console.error('Error applying publishing schedule:', error);
+  }
+};
+
+setInterval(runPublishSchedule, PUBLISH_SCHEDULE_INTERVAL);
+
+// =============================================================================
+// TRASH ROUTES (Require Firebase Admin Authentication)
+// =============================================================================
+
+/**
+ * Permanently delete trashed media deleted before the cutoff
+ *
+ * @param {number} olderThanDays - Minimum days in the trash
+ * @returns {Promise<Array>} - IDs of the purged media items
+ */
+const purgeTrash = async (olderThanDays) => {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+  const snapshot = await db.collection('media_content')
+    .where('isDeleted', '==', true)
+    .get();
+
+  const purged = [];
+  for (const doc of snapshot.docs) {
+    const mediaData = doc.data();
+    if (mediaData.deletedAt > cutoff) continue;
+
+    // Purging an earlier item may have handed this one a shared file's quota charge
+    const current = await doc.ref.get();
+    await purgeMedia(doc.ref, current.data());
+    purged.push(doc.id);
+  }
+
+  return purged;
+};
+
+/**
+ * GET /admin/trash
+ * List media items in the trash, most recently deleted first
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/trash', checkAdminAuth, async (req, res) => {
+  try {
+    const snapshot = await db.collection('media_content')
+      .where('isDeleted', '==', true)
+      .get();
+
+    const purgeAfter = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const items = snapshot.docs
+      .map(doc => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          ...data,
+          purgeAt: new Date(new Date(data.deletedAt).getTime() + purgeAfter).toISOString()
+        };
+      })
+      .sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : -1));
+
+    res.json({
+      success: true,
+      count: items.length,
+      retentionDays: TRASH_RETENTION_DAYS,
+      data: items
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch trash'
+    });
+  }
+});
+
+/**
+ * POST /admin/media/:id/restore
+ * Restore a media item from the trash
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/media/:id/restore', checkAdminAuth, async (req, res) => {
+  try {
+    const docRef = db.collection('media_content').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    if (!isInTrash(doc.data())) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Media content is not in the trash'
+      });
+    }
+
+    await docRef.update({
+      isDeleted: false,
+      deletedAt: null,
+      deletedBy: null,
+      restoredAt: new Date().toISOString(),
+      restoredBy: req.user.uid
+    });
+
+    const updatedDoc = await docRef.get();
+
+    res.json({
+      success: true,
+      message: 'Media restored from trash',
+      data: {
+        id: updatedDoc.id,
+        ...updatedDoc.data()
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring media:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to restore media'
+    });
+  }
+});
+
+/**
+ * POST /admin/trash/purge
+ * Permanently delete trashed media older than `olderThanDays`
+ * (default TRASH_RETENTION_DAYS, 0 empties the trash)
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/trash/purge', checkAdminAuth, async (req, res) => {
+  try {
+    const { olderThanDays = TRASH_RETENTION_DAYS } = { ...req.query, ...req.body };
+    const days = Number(olderThanDays);
+
+    if (!Number.isInteger(days) || days < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'olderThanDays must be a non-negative integer'
+      });
+    }
+
+    const purged = await purgeTrash(days);
+
+    res.json({
+      success: true,
+      message: `Purged ${purged.length} media items from trash`,
+      count: purged.length,
+      data: purged
+    });
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to purge trash'
+    });
+  }
+});
+
+/**
+ * Purge trash older than TRASH_RETENTION_DAYS
+ */
+const purgeExpiredTrash = async () => {
+  try {
+    const purged = await purgeTrash(TRASH_RETENTION_DAYS);
+
+    if (purged.length > 0) {
+      console.log(`🧹 Purged ${purged.length} media items from trash`);
+    }
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+  }
+};
+
+setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL);
+
+// =============================================================================
+// BULK MEDIA ROUTES (Require Firebase Admin Authentication)
+// =============================================================================
+
+const BULK_ACTIONS = ['update', 'status', 'delete', 'restore'];
+
+/**
+ * Work out the write for one bulk operation
+ *
+ * @param {Object} operation - { id, action, data }
+ * @param {Object} doc - Current media document snapshot
+ * @param {Object} user - Acting admin
+ * @returns {Object} - { data } with the fields to write, or { error }
+ */
+const planBulkOperation = (operation, doc, user) => {
+  const now = new Date().toISOString();
+
+  if (!doc.exists) {
+    return { error: 'Media content not found' };
+  }
+
+  const mediaData = doc.data();
+
+  switch (operation.action) {
+    case 'update': {
+      const { title, subtitle, type } = operation.data || {};
+      const updateData = {};
+
+      if (title !== undefined) {
+        if (typeof title !== 'string' || !title.trim()) {
+          return { error: 'Title must be a non-empty string' };
+        }
+        updateData.title = title;
+      }
+      if (subtitle !== undefined) {
+        if (typeof subtitle !== 'string') {
+          return { error: 'Subtitle must be a string' };
+        }
+        updateData.subtitle = subtitle;
+      }
+      if (type !== undefined) {
+        if (!ALLOWED_MIME_TYPES[type]) {
+          return { error: `Type must be one of: ${Object.keys(ALLOWED_MIME_TYPES).join(', ')}` };
+        }
+
+        // The stored file must be valid for the new type, as on upload
+        if (type !== mediaData.type) {
+          const ext = path.extname(mediaData.originalName || mediaData.filename || '').toLowerCase();
+          if (!ALLOWED_EXTENSIONS[type].includes(ext)) {
+            return { error: `File extension "${ext}" is not valid for ${type}. Allowed extensions: ${ALLOWED_EXTENSIONS[type].join(', ')}` };
+          }
+
+          const container = describeContainer(mediaData.container);
+          if (container && !container.mimeTypes[type]) {
+            return { error: `File content is ${container.label}, which is not a valid ${type} file` };
+          }
+          if (container) {
+            updateData.mimeType = container.mimeTypes[type];
+          }
+        }
+        updateData.type = type;
+      }
+
+      if (Object.keys(updateData).length === 0) {
+        return { error: 'No fields to update (allowed: title, subtitle, type)' };
+      }
+
+      return { data: { ...updateData, updatedAt: now, updatedBy: user.uid } };
+    }
+
+    case 'status': {
+      const { status, publishAt, unpublishAt } = operation.data || {};
+
+      if (status === undefined && publishAt === undefined && unpublishAt === undefined) {
+        return { error: 'Provide status, publishAt or unpublishAt' };
+      }
+
+      const publication = resolvePublication({ status, publishAt, unpublishAt }, mediaData, { by: user.uid, now });
+
+      if (publication.message) {
+        return { error: publication.message };
+      }
+      return { data: { ...publication.fields, updatedAt: now, updatedBy: user.uid } };
+    }
+
+    case 'delete':
+      if (isInTrash(mediaData)) {
+        return { error: 'Media content is already in the trash' };
+      }
+      return { data: { isDeleted: true, deletedAt: now, deletedBy: user.uid } };
+
+    case 'restore':
+      if (!isInTrash(mediaData)) {
+        return { error: 'Media content is not in the trash' };
+      }
+      return {
+        data: { isDeleted: false, deletedAt: null, deletedBy: null, restoredAt: now, restoredBy: user.uid }
+      };
+
+    default:
+      return { error: `Action must be one of: ${BULK_ACTIONS.join(', ')}` };
+  }
+};
+
+/**
+ * Move a media item's storage usage to another media type
+ */
+const transferMediaUsage = async (docRef, mediaData, type) => {
+  const versions = await docRef.collection('versions').get();
+  const bytes = getMediaQuotaBytes(mediaData, versions.docs.map(versionDoc => versionDoc.data()));
+
+  await storageQuota.transfer(getMediaOwner(mediaData), { ...getMediaOwner(mediaData), type }, {
+    bytes,
+    items: 1
+  });
+};
+
+/**
+ * POST /admin/media/bulk
+ * Update, publish/schedule, trash or restore many media items in one request
+ * Requires: Firebase Admin Authentication
+ *
+ * Body: { operations: [{ id, action, data? }], dryRun?: boolean } (or ?dryRun=true)
+ */
+app.post('/admin/media/bulk', checkAdminAuth, async (req, res) => {
+  try {
+    const { operations } = req.body;
+
+    // A typo must not turn a preview into a real run, so only exact booleans are accepted
+    if ((req.body.dryRun !== undefined && typeof req.body.dryRun !== 'boolean') ||
+        (req.query.dryRun !== undefined && !['true', 'false'].includes(req.query.dryRun))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'dryRun must be true or false'
+      });
+    }
+
+    const dryRun = req.body.dryRun === true || req.query.dryRun === 'true';
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'operations must be a non-empty array'
+      });
+    }
+
+    if (operations.length > BULK_MAX_OPERATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `A bulk request can contain at most ${BULK_MAX_OPERATIONS} operations`
+      });
+    }
+
+    const results = operations.map(operation => ({
+      id: operation && typeof operation.id === 'string' ? operation.id : null,
+      action: operation ? operation.action : undefined
+    }));
+
+    // Validate ids and load every referenced document up front
+    const seen = new Set();
+    const pending = [];
+    results.forEach((result, index) => {
+      if (!result.id) {
+        result.status = 'failed';
+        result.error = 'id is required';
+      } else if (seen.has(result.id)) {
+        result.status = 'failed';
+        result.error = 'Duplicate operation for this id';
+      } else {
+        seen.add(result.id);
+        pending.push(index);
+      }
+    });
+
+    const refs = pending.map(index => db.collection('media_content').doc(results[index].id));
+    const docs = refs.length > 0 ? await db.getAll(...refs) : [];
+
+    const writes = [];
+    pending.forEach((index, i) => {
+      const plan = planBulkOperation(operations[index], docs[i], req.user);
+
+      if (plan.error) {
+        results[index].status = 'failed';
+        results[index].error = plan.error;
+      } else {
+        results[index].status = dryRun ? 'valid' : 'pending';
+        results[index].changes = plan.data;
+        writes.push({ ref: refs[i], data: plan.data, previous: docs[i].data(), result: results[index] });
+      }
+    });
+
+    // Commit in chunks so no batch exceeds Firestore's write limit
+    if (!dryRun) {
+      for (let start = 0; start < writes.length; start += BULK_BATCH_SIZE) {
+        const chunk = writes.slice(start, start + BULK_BATCH_SIZE);
+        const batch = db.batch();
+        chunk.forEach(write => batch.update(write.ref, write.data));
+
+        try {
+          await batch.commit();
+          chunk.forEach(write => { write.result.status = 'succeeded'; });
+        } catch (error) {
+          console.error('Error committing bulk media batch:', error);
+          chunk.forEach(write => {
+            write.result.status = 'failed';
+            write.result.error = 'Batch write failed';
+          });
+        }
+      }
+
+      // Usage follows items whose type changed; search follows new titles
+      for (const write of writes) {
+        if (write.result.status === 'succeeded' && write.data.type && write.data.type !== write.previous.type) {
+          await transferMediaUsage(write.ref, write.previous, write.data.type);
+        }
+        if (write.result.status === 'succeeded' && (write.data.title !== undefined || write.data.subtitle !== undefined)) {
+          await reindexMedia(write.ref.id);
+        }
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'failed').length;
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${results.length - failed} of ${results.length} operations would succeed`
+        : `${results.length - failed} of ${results.length} operations succeeded`,
+      dryRun,
+      count: results.length,
+      summary: {
+        succeeded: dryRun ? 0 : results.length - failed,
+        valid: results.length - failed,
+        failed
+      },
+      data: results
+    });
+  } catch (error) {
+    console.error('Error running bulk media operations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to run bulk media operations'
+    });
+  }
+});
+
+// =============================================================================
+// MEDIA FILE VERSION ROUTES (Require Firebase Admin Authentication)
+// =============================================================================
+
+/**
+ * Build the version record archiving a media item's current file
+ */
+const buildVersionRecord = (mediaData, user) => {
+  return {
+    version: mediaData.version || 1,
+    ...pickFileFields(mediaData),
+    uploadedBy: mediaData.fileUpdatedBy || mediaData.uploadedBy || null,
+    uploadedAt: mediaData.fileUpdatedAt || mediaData.createdAt || null,
+    archivedBy: user.uid,
+    archivedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Delete the oldest versions beyond MEDIA_VERSION_RETENTION, files included
+ *
+ * @param {Object} docRef - media_content document reference
+ * @param {Object} mediaData - Document data (quota owner of the freed bytes)
+ * @returns {Promise<number>} - Number of versions pruned
+ */
+const pruneMediaVersions = async (docRef, mediaData) => {
+  const snapshot = await docRef.collection('versions')
+    .orderBy('version', 'desc')
+    .get();
+
+  const expired = snapshot.docs.slice(MEDIA_VERSION_RETENTION);
+  let freedBytes = 0;
+
+  for (const versionDoc of expired) {
+    await versionDoc.ref.delete();
+    await releaseStoredFile(getFileKey(versionDoc.data()));
+    freedBytes += getFileQuotaBytes(versionDoc.data());
+  }
+
+  await storageQuota.record(getMediaOwner(mediaData), { bytes: -freedBytes });
+
+  for (const versionDoc of expired) {
+    await handOverFileCharge(versionDoc.data());
+  }
+
+  return expired.length;
+};
+
+/**
+ * Load the media item whose file is being replaced, before multer runs,
+ * so the upload is validated against the item's existing type
+ */
+const loadMediaForReplacement = async (req, res, next) => {
+  try {
+    const docRef = db.collection('media_content').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    req.media = { docRef, data: doc.data() };
+    req.uploadType = req.media.data.type;
+    next();
+  } catch (error) {
+    console.error('Error loading media for file replacement:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to load media content'
+    });
+  }
+};
+
+/**
+ * PUT /admin/media/:id/file
+ * Replace the file of an existing media item, keeping the old file as a version
+ * Content that duplicates an existing item is rejected, or shares its stored
+ * file with onDuplicate=link
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/media/:id/file', checkAdminAuth, loadMediaForReplacement, checkUploadQuota({ newItem: false }), upload.single('file'), async (req, res) => {
+  try {
+    const file = req.file;
+    const { docRef, data: current } = req.media;
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'No file uploaded'
+      });
+    }
+
+    const onDuplicate = parseDuplicateAction(req.body.onDuplicate || req.query.onDuplicate);
+
+    if (!onDuplicate) {
+      fs.unlinkSync(file.path);
+      return sendInvalidDuplicateAction(res);
+    }
+
+    // Check the real format from the file's magic bytes
+    const content = await checkFileContent(file.path, current.type);
+
+    if (content.error) {
+      fs.unlinkSync(file.path);
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported Media Type',
+        message: content.error
+      });
+    }
+
+    // Same content as an existing item: reject, or share its stored file
+    const duplicate = await findDuplicateMedia(file.sha256);
+
+    if (duplicate && onDuplicate === 'reject') {
+      fs.unlinkSync(file.path);
+      return sendDuplicateMedia(res, duplicate.id);
+    }
+
+    // The old file stays as a version, so the new one adds to usage
+    // (a linked file adds nothing)
+    const quotaViolation = await storageQuota.check(getMediaOwner(current), { bytes: duplicate ? 0 : file.size });
+
+    if (quotaViolation) {
+      fs.unlinkSync(file.path);
+      return sendQuotaExceeded(res, quotaViolation);
+    }
+
+    let fileFields;
+
+    if (duplicate) {
+      fileFields = {
+        ...pickFileFields(duplicate.data()),
+        originalName: file.originalname,
+        sha256: file.sha256,
+        quotaBytes: 0
+      };
+      fs.unlinkSync(file.path);
+    } else {
+      fileFields = await buildFileFields(req, {
+        type: current.type,
+        filename: file.filename,
+        localPath: file.path,
+        originalName: file.originalname,
+        fileSize: file.size,
+        mimeType: content.mimeType,
+        container: content.detected.container,
+        sha256: file.sha256
+      });
+
+      await mediaStorage.put(fileFields.storageKey, file.path, { contentType: content.mimeType });
+    }
+
+    const currentVersion = current.version || 1;
+    const newVersion = (current.latestVersion || currentVersion) + 1;
+    const now = new Date().toISOString();
+
+    const batch = db.batch();
+    batch.set(docRef.collection('versions').doc(String(currentVersion)), buildVersionRecord(current, req.user));
+    batch.update(docRef, {
+      ...fileFields,
+      version: newVersion,
+      latestVersion: newVersion,
+      fileUpdatedBy: req.user.uid,
+      fileUpdatedAt: now,
+      updatedAt: now,
+      updatedBy: req.user.uid
+    });
+
+    try {
+      await batch.commit();
+    } catch (error) {
+      // A linked file is only deleted if nothing else uses it any more
+      await (duplicate ? releaseStoredFile : deleteStoredFile)(fileFields.storageKey);
+      throw error;
+    }
+
+    await storageQuota.record(getMediaOwner(current), { bytes: fileFields.quotaBytes });
+    await reindexMedia(docRef.id);
+
+    const pruned = await pruneMediaVersions(docRef, current);
+    const updatedDoc = await docRef.get();
+
+    res.json({
+      success: true,
+      message: `Media file replaced (version ${newVersion})`,
+      data: {
+        id: updatedDoc.id,
+        ...updatedDoc.data()
+      },
+      prunedVersions: pruned
+    });
+  } catch (error) {
+    console.error('Error replacing media file:', error);
+
+    // Clean up file if it was uploaded
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to replace media file'
+    });
+  }
+});
+
+/**
+ * GET /admin/media/:id/versions
+ * List the current file and earlier file versions of a media item
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/media/:id/versions', checkAdminAuth, async (req, res) => {
+  try {
+    const docRef = db.collection('media_content').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const mediaData = doc.data();
+    const snapshot = await docRef.collection('versions')
+      .orderBy('version', 'desc')
+      .get();
+
+    const versions = snapshot.docs.map(versionDoc => versionDoc.data());
+
+    res.json({
+      success: true,
+      count: versions.length,
+      data: {
+        current: {
+          version: mediaData.version || 1,
+          ...pickFileFields(mediaData),
+          uploadedBy: mediaData.fileUpdatedBy || mediaData.uploadedBy || null,
+          uploadedAt: mediaData.fileUpdatedAt || mediaData.createdAt || null
+        },
+        versions,
+        retention: MEDIA_VERSION_RETENTION
+      }
+    });
+  } catch (error) {
+    console.error('Error listing media versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to list media versions'
+    });
+  }
+});
+
+/**
+ * POST /admin/media/:id/versions/:version/restore
+ * Roll back to an earlier file version (the current file is archived)
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/media/:id/versions/:version/restore', checkAdminAuth, async (req, res) => {
+  try {
+    const docRef = db.collection('media_content').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Media content not found'
+      });
+    }
+
+    const versionRef = docRef.collection('versions').doc(req.params.version);
+    const versionDoc = await versionRef.get();
+
+    if (!versionDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: `Version ${req.params.version} not found`
+      });
+    }
+
+    const current = doc.data();
+    const target = versionDoc.data();
+    const currentVersion = current.version || 1;
+    const now = new Date().toISOString();
+
+    // The restored file becomes current, so it leaves the version history
+    const batch = db.batch();
+    batch.set(docRef.collection('versions').doc(String(currentVersion)), buildVersionRecord(current, req.user));
+    batch.update(docRef, {
+      ...pickFileFields(target),
+      version: target.version,
+      latestVersion: current.latestVersion || currentVersion,
+      fileUpdatedBy: target.uploadedBy,
+      fileUpdatedAt: target.uploadedAt,
+      restoredAt: now,
+      restoredBy: req.user.uid,
+      updatedAt: now,
+      updatedBy: req.user.uid
+    });
+    batch.delete(versionRef);
+    await batch.commit();
+    await reindexMedia(docRef.id);
+
+    const pruned = await pruneMediaVersions(docRef, current);
+    const updatedDoc = await docRef.get();
+
+    res.json({
+      success: true,
+      message: `Media file rolled back to version ${target.version}`,
+      data: {
+        id: updatedDoc.id,
+        ...updatedDoc.data()
+      },
+      prunedVersions: pruned
+    });
+  } catch (error) {
+    console.error('Error restoring media version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to restore media version'
+    });
+  }
+});
+
+// =============================================================================
+// RESUMABLE UPLOAD ROUTES (Require Firebase Admin Authentication)
+// =============================================================================
+
+// Upload sessions currently receiving a PATCH (one writer per session)
+const activeUploads = new Set();
+
+/**
+ * Compute a fresh expiry time for an upload session
+ */
+const getUploadExpiry = () => {
+  return new Date(Date.now() + UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Set the tus protocol headers describing an upload session
+ */
+const setUploadHeaders = (res, session, offset) => {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Upload-Offset', offset);
+  res.setHeader('Upload-Length', session.uploadLength);
+  res.setHeader('Upload-Expires', new Date(session.expiresAt).toUTCString());
+  res.setHeader('Cache-Control', 'no-store');
+};
+
+/**
+ * Load an upload session, sending 404/410 if it is missing or expired
+ *
+ * @returns {Promise<Object|null>} - { docRef, session }, or null if a response was sent
+ */
+const loadUploadSession = async (req, res) => {
+  const docRef = db.collection('upload_sessions').doc(req.params.id);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    res.status(404).json({
+      success: false,
+      error: 'Not Found',
+      message: 'Upload session not found'
+    });
+    return null;
+  }
+
+  const session = doc.data();
+
+  if (session.status !== 'completed' && new Date(session.expiresAt) < new Date()) {
+    res.status(410).json({
+      success: false,
+      error: 'Gone',
+      message: 'Upload session has expired'
+    });
+    return null;
+  }
+
+  return { docRef, session };
+};
+
+/**
+ * Move a fully received upload into UPLOAD_DIR and create its media document
+ *
+ * If the content duplicates an existing media item and the session did not
+ * ask to link to it, the upload is discarded and an error with code
+ * DUPLICATE_MEDIA and the existing item's id (existingId) is thrown. If the
+ * item no longer fits the storage quotas, an error with code QUOTA_EXCEEDED
+ * and the violation is thrown and the session is kept, so the upload can be
+ * completed once space is freed.
+ *
+ * The media id is saved on the session before the document is created, so
+ * a retry after a failure part way through completes the same item instead
+ * of creating a second one.
+ *
+ * @returns {Promise<Object>} - The created media document
+ */
+const finalizeUpload = async (req, docRef, session) => {
+  const partialPath = getPartialPath(partialUploadPath, docRef.id);
+  const mediaRef = session.mediaId
+    ? db.collection('media_content').doc(session.mediaId)
+    : db.collection('media_content').doc();
+  const existing = session.mediaId ? await mediaRef.get() : null;
+  let media;
+
+  if (existing && existing.exists) {
+    media = { id: existing.id, ...existing.data() };
+  } else {
+    const ext = path.extname(session.originalName).toLowerCase();
+    const filename = `${uuidv4()}${ext}`;
+
+    // Chunks arrive over several requests, so the file is hashed once complete
+    const sha256 = await hashFile(partialPath);
+    const duplicate = await findDuplicateMedia(sha256);
+
+    if (duplicate && session.onDuplicate !== 'link') {
+      await fs.promises.rm(partialPath, { force: true });
+      await docRef.delete();
+
+      const error = new Error('Upload duplicates an existing media item');
+      error.code = 'DUPLICATE_MEDIA';
+      error.existingId = duplicate.id;
+      throw error;
+    }
+
+    // Checked again now: other uploads may have used the space since the
+    // session was created
+    const quotaViolation = await storageQuota.check({ uploaderId: req.user.uid, type: session.type }, {
+      bytes: duplicate ? 0 : session.uploadLength,
+      items: 1
+    });
+
+    if (quotaViolation) {
+      const error = new Error(quotaViolation.message);
+      error.code = 'QUOTA_EXCEEDED';
+      error.violation = quotaViolation;
+      throw error;
+    }
+
+    if (!session.mediaId) {
+      await docRef.update({ mediaId: mediaRef.id, updatedAt: new Date().toISOString() });
+    }
+
+    // The partial file is copied, not moved, so finalization can be retried
+    media = await createMediaRecord(req, {
+      id: mediaRef.id,
+      title: session.title,
+      subtitle: session.subtitle,
+      type: session.type,
+      filename,
+      localPath: partialPath,
+      keepLocalFile: true,
+      originalName: session.originalName,
+      fileSize: session.uploadLength,
+      mimeType: session.mimeType,
+      container: session.container,
+      sha256,
+      publication: session.publication,
+      linkTo: duplicate
+    });
+  }
+
+  // Complete the session before removing the partial file a retry would need
+  await docRef.update({
+    status: 'completed',
+    offset: session.uploadLength,
+    mediaId: media.id,
+    completedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  await fs.promises.rm(partialPath, { force: true });
+
+  console.log(`✅ Resumable upload ${docRef.id} finalized as media ${media.id}`);
+  return media;
+};
+
+/**
+ * POST /admin/uploads
+ * Create a resumable upload session
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/uploads', checkAdminAuth, async (req, res) => {
+  try {
+    // Accept fields from the JSON body or a tus Upload-Metadata header
+    const fields = {
+      ...parseUploadMetadata(req.get('Upload-Metadata')),
+      ...req.body
+    };
+    const originalName = fields.filename || fields.name;
+    const mimeType = fields.mimeType || fields.filetype || '';
+    const uploadLength = Number(fields.size !== undefined ? fields.size : req.get('Upload-Length'));
+
+    if (!originalName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'filename is required'
+      });
+    }
+
+    if (!Number.isInteger(uploadLength) || uploadLength <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'size (or Upload-Length) must be a positive integer'
+      });
+    }
+
+    if (uploadLength > MAX_FILE_SIZE) {
+      return res.status(413).json({
+        success: false,
+        error: 'File Too Large',
+        message: `File size exceeds the limit of ${MAX_FILE_SIZE / (1024 * 1024)}MB`
+      });
+    }
+
+    if (!fields.title) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Title is required'
+      });
+    }
+
+    const { type, error } = validateMediaFile(
+      { originalname: originalName, mimetype: mimeType },
+      fields.type || req.query.type
+    );
+
+    if (error) {
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported Media Type',
+        message: error.message
+      });
+    }
+
+    const onDuplicate = parseDuplicateAction(fields.onDuplicate || req.query.onDuplicate);
+
+    if (!onDuplicate) {
+      return sendInvalidDuplicateAction(res);
+    }
+
+    // Optional status (published by default), publishAt and unpublishAt,
+    // applied to the media item when the upload completes
+    const publication = resolvePublication(fields, null, { by: req.user.uid });
+
+    if (publication.message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: publication.message
+      });
+    }
+
+    const quotaViolation = await storageQuota.check({ uploaderId: req.user.uid, type }, {
+      bytes: uploadLength,
+      items: 1
+    });
+
+    if (quotaViolation) {
+      return sendQuotaExceeded(res, quotaViolation);
+    }
+
+    const uploadId = uuidv4();
+    const session = {
+      originalName,
+      mimeType,
+      type,
+      title: fields.title,
+      subtitle: fields.subtitle || '',
+      onDuplicate,
+      publication: publication.fields,
+      uploadLength,
+      offset: 0,
+      status: 'uploading',
+      container: null,
+      mediaId: null,
+      createdBy: req.user.uid,
+      createdByEmail: req.user.email,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      expiresAt: getUploadExpiry()
+    };
+
+    await fs.promises.writeFile(getPartialPath(partialUploadPath, uploadId), '');
+    await db.collection('upload_sessions').doc(uploadId).set(session);
+
+    const uploadUrl = `${getBaseUrl(req)}/admin/uploads/${uploadId}`;
+    setUploadHeaders(res, session, 0);
+    res.setHeader('Location', uploadUrl);
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload session created',
+      data: {
+        id: uploadId,
+        uploadUrl,
+        offset: 0,
+        length: uploadLength,
+        type,
+        expiresAt: session.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error creating upload session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to create upload session'
+    });
+  }
+});
+
+/**
+ * HEAD /admin/uploads/:id
+ * Query the current offset of a resumable upload
+ * Requires: Firebase Admin Authentication
+ */
+app.head('/admin/uploads/:id', checkAdminAuth, async (req, res) => {
+  try {
+    const loaded = await loadUploadSession(req, res);
+    if (!loaded) return;
+
+    const { session } = loaded;
+    const offset = session.status === 'completed'
+      ? session.uploadLength
+      : await getUploadOffset(getPartialPath(partialUploadPath, req.params.id));
+
+    setUploadHeaders(res, session, offset);
+    res.status(200).end();
+  } catch (error) {
+    console.error('Error reading upload offset:', error);
+    res.status(500).end();
+  }
+});
+
+/**
+ * GET /admin/uploads/:id
+ * Get the status of a resumable upload
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/uploads/:id', checkAdminAuth, async (req, res) => {
+  try {
+    const loaded = await loadUploadSession(req, res);
+    if (!loaded) return;
+
+    const { session } = loaded;
+    const offset = session.status === 'completed'
+      ? session.uploadLength
+      : await getUploadOffset(getPartialPath(partialUploadPath, req.params.id));
+
+    res.json({
+      success: true,
+      data: {
+        id: req.params.id,
+        status: session.status,
+        offset,
+        length: session.uploadLength,
+        progress: Math.round((offset / session.uploadLength) * 10000) / 100,
+        type: session.type,
+        originalName: session.originalName,
+        mediaId: session.mediaId,
+        expiresAt: session.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching upload session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch upload session'
+    });
+  }
+});
+
+/**
+ * PATCH /admin/uploads/:id
+ * Append a chunk at the given Upload-Offset. The chunk that completes the
+ * upload finalizes it into a media_content document.
+ * Requires: Firebase Admin Authentication
+ */
+app.patch('/admin/uploads/:id', checkAdminAuth, async (req, res) => {
+  const uploadId = req.params.id;
+  let locked = false;
+
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported Media Type',
+        message: 'Content-Type must be application/offset+octet-stream'
+      });
+    }
+
+    const clientOffset = Number(req.get('Upload-Offset'));
+
+    if (!Number.isInteger(clientOffset) || clientOffset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Upload-Offset header must be a non-negative integer'
+      });
+    }
+
+    const loaded = await loadUploadSession(req, res);
+    if (!loaded) return;
+
+    const { docRef, session } = loaded;
+
+    if (session.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Upload has already been completed',
+        mediaId: session.mediaId
+      });
+    }
+
+    if (activeUploads.has(uploadId)) {
+      return res.status(423).json({
+        success: false,
+        error: 'Locked',
+        message: 'Another chunk is currently being written to this upload'
+      });
+    }
+
+    activeUploads.add(uploadId);
+    locked = true;
+
+    const partialPath = getPartialPath(partialUploadPath, uploadId);
+    const currentOffset = await getUploadOffset(partialPath);
+
+    if (clientOffset !== currentOffset) {
+      setUploadHeaders(res, session, currentOffset);
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Upload-Offset mismatch: server is at ${currentOffset}`,
+        offset: currentOffset
+      });
+    }
+
+    const contentLength = Number(req.get('Content-Length'));
+    if (Number.isInteger(contentLength) && currentOffset + contentLength > session.uploadLength) {
+      return res.status(413).json({
+        success: false,
+        error: 'Payload Too Large',
+        message: 'Chunk exceeds the declared upload length'
+      });
+    }
+
+    let newOffset;
+    try {
+      newOffset = await appendChunk(req, partialPath, {
+        offset: currentOffset,
+        length: session.uploadLength
+      });
+    } catch (error) {
+      if (error.code === 'UPLOAD_OVERFLOW') {
+        return res.status(413).json({
+          success: false,
+          error: 'Payload Too Large',
+          message: error.message
+        });
+      }
+
+      // Client went away mid-chunk; keep what was received so it can resume
+      if (req.aborted || error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        const offset = await getUploadOffset(partialPath);
+        await docRef.update({ offset, updatedAt: new Date().toISOString() });
+        console.log(`⚠️ Upload ${uploadId} interrupted at ${offset}/${session.uploadLength} bytes`);
+        return;
+      }
+      throw error;
+    }
+
+    session.expiresAt = getUploadExpiry();
+    const sessionUpdate = {
+      offset: newOffset,
+      updatedAt: new Date().toISOString(),
+      expiresAt: session.expiresAt
+    };
+
+    // Check the real format as soon as enough leading bytes have arrived
+    if (!session.container && (newOffset >= SNIFF_BYTES || newOffset === session.uploadLength)) {
+      const content = await checkFileContent(partialPath, session.type);
+
+      if (content.error) {
+        await fs.promises.rm(partialPath, { force: true });
+        await docRef.delete();
+        return res.status(415).json({
+          success: false,
+          error: 'Unsupported Media Type',
+          message: content.error
+        });
+      }
+
+      session.container = sessionUpdate.container = content.detected.container;
+      session.mimeType = sessionUpdate.mimeType = content.mimeType;
+    }
+
+    await docRef.update(sessionUpdate);
+
+    setUploadHeaders(res, session, newOffset);
+
+    if (newOffset < session.uploadLength) {
+      return res.status(204).end();
+    }
+
+    const media = await finalizeUpload(req, docRef, session);
+
+    res.status(201).json({
+      success: true,
+      message: 'Media uploaded successfully',
+      data: media
+    });
+  } catch (error) {
+    if (error.code === 'DUPLICATE_MEDIA') {
+      return sendDuplicateMedia(res, error.existingId);
+    }
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return sendQuotaExceeded(res, error.violation);
+    }
+
+    console.error('Error writing upload chunk:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to write upload chunk'
+    });
+  } finally {
+    if (locked) {
+      activeUploads.delete(uploadId);
+    }
+  }
+});
+
+/**
+ * POST /admin/uploads/:id/complete
+ * Finalize a fully received upload (retry if finalization failed after the last chunk)
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/uploads/:id/complete', checkAdminAuth, async (req, res) => {
+  try {
+    const loaded = await loadUploadSession(req, res);
+    if (!loaded) return;
+
+    const { docRef, session } = loaded;
+
+    if (session.status === 'completed') {
+      const mediaDoc = await db.collection('media_content').doc(session.mediaId).get();
+      return res.json({
+        success: true,
+        message: 'Upload already completed',
+        data: mediaDoc.exists ? { id: mediaDoc.id, ...mediaDoc.data() } : { id: session.mediaId }
+      });
+    }
+
+    if (activeUploads.has(req.params.id)) {
+      return res.status(423).json({
+        success: false,
+        error: 'Locked',
+        message: 'Another chunk is currently being written to this upload'
+      });
+    }
+
+    const partialPath = getPartialPath(partialUploadPath, req.params.id);
+    const offset = await getUploadOffset(partialPath);
+
+    if (offset < session.uploadLength) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Upload is incomplete: ${offset} of ${session.uploadLength} bytes received`,
+        offset
+      });
+    }
+
+    // The last chunk may have been interrupted before its content was checked
+    if (!session.container) {
+      const content = await checkFileContent(partialPath, session.type);
+
+      if (content.error) {
+        await fs.promises.rm(partialPath, { force: true });
+        await docRef.delete();
+        return res.status(415).json({
+          success: false,
+          error: 'Unsupported Media Type',
+          message: content.error
+        });
+      }
+
+      session.container = content.detected.container;
+      session.mimeType = content.mimeType;
+    }
+
+    const media = await finalizeUpload(req, docRef, session);
+
+    res.status(201).json({
+      success: true,
+      message: 'Media uploaded successfully',
+      data: media
+    });
+  } catch (error) {
+    if (error.code === 'DUPLICATE_MEDIA') {
+      return sendDuplicateMedia(res, error.existingId);
+    }
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return sendQuotaExceeded(res, error.violation);
+    }
+
+    console.error('Error completing upload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to complete upload'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/uploads/:id
+ * Abort a resumable upload and delete its partial file
+ * Requires: Firebase Admin Authentication
+ */
+app.delete('/admin/uploads/:id', checkAdminAuth, async (req, res) => {
+  try {
+    const docRef = db.collection('upload_sessions').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Upload session not found'
+      });
+    }
+
+    if (activeUploads.has(req.params.id)) {
+      return res.status(423).json({
+        success: false,
+        error: 'Locked',
+        message: 'Another chunk is currently being written to this upload'
+      });
+    }
+
+    await fs.promises.rm(getPartialPath(partialUploadPath, req.params.id), { force: true });
+    await docRef.delete();
+
+    res.json({
+      success: true,
+      message: 'Upload session deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting upload session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to delete upload session'
+    });
+  }
+});
+
+/**
+ * Delete expired upload sessions and stray partial files
+ */
+const cleanupExpiredUploads = async () => {
+  try {
+    const now = new Date();
+    const snapshot = await db.collection('upload_sessions')
+      .where('expiresAt', '<', now.toISOString())
+      .get();
+
+    let removed = 0;
+    for (const doc of snapshot.docs) {
+      if (activeUploads.has(doc.id)) continue;
+
+      await fs.promises.rm(getPartialPath(partialUploadPath, doc.id), { force: true });
+      await doc.ref.delete();
+      removed++;
+    }
+
+    // Partial files whose session record is gone
+    const maxAge = UPLOAD_SESSION_TTL_HOURS * 60 * 60 * 1000;
+    for (const name of await fs.promises.readdir(partialUploadPath)) {
+      const uploadId = path.basename(name, '.part');
+      if (activeUploads.has(uploadId)) continue;
+
+      const filePath = path.join(partialUploadPath, name);
+      const stats = await fs.promises.stat(filePath);
+      if (now - stats.mtime > maxAge) {
+        await fs.promises.rm(filePath, { force: true });
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Cleaned up ${removed} expired resumable uploads`);
+    }
+  } catch (error) {
+    console.error('Error cleaning up expired uploads:', error);
+  }
+};
+
+setInterval(cleanupExpiredUploads, UPLOAD_CLEANUP_INTERVAL);
+
+// =============================================================================
+// MEDIA IMPORT ROUTES (Require Firebase Admin Authentication)
+// =============================================================================
+
+// Imports downloading in this process; others still marked as downloading
+// were interrupted by a restart
+const activeImports = new Set();
+
+// HTTP status reported for each download error, matching what the same
+// problem gets on a direct upload where there is one
+const IMPORT_ERROR_STATUSES = {
+  IMPORT_INVALID_URL: 400,
+  IMPORT_BLOCKED_ADDRESS: 400,
+  IMPORT_CONNECTION_FAILED: 502,
+  IMPORT_TOO_MANY_REDIRECTS: 502,
+  IMPORT_HTTP_ERROR: 502,
+  IMPORT_INCOMPLETE: 502,
+  IMPORT_TIMEOUT: 504,
+  IMPORT_TOO_LARGE: 413
+};
+
+/**
+ * Create an error that fails an import with the given HTTP status
+ */
+const importFailure = (status, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Convert a quota violation into an import failure
+ */
+const quotaImportFailure = (violation) => {
+  const tooLarge = violation.limit === 'bytes' && violation.requested > violation.max;
+  return importFailure(tooLarge ? 413 : 507, violation.message);
+};
+
+/**
+ * Download an import's file and create its media item
+ *
+ * Runs after the request has been answered; the outcome is recorded on the
+ * media_imports document.
+ *
+ * @param {Object} req - Express request object (for uploader and host)
+ * @param {Object} docRef - media_imports document reference
+ * @param {Object} job - Import document data
+ */
+const runMediaImport = async (req, docRef, job) => {
+  const tempPath = path.join(incomingUploadPath, uuidv4());
+  let source = null;
+  let lastProgressAt = 0;
+
+  activeImports.add(docRef.id);
+
+  try {
+    const download = await downloadToFile(job.url, tempPath, {
+      maxBytes: MAX_FILE_SIZE,
+      maxRedirects: IMPORT_MAX_REDIRECTS,
+      headersTimeout: IMPORT_HEADERS_TIMEOUT,
+      idleTimeout: IMPORT_IDLE_TIMEOUT,
+      totalTimeout: IMPORT_MAX_DURATION_MINUTES * 60 * 1000,
+      allowedHosts: IMPORT_ALLOWED_HOSTS,
+
+      // Same extension/MIME rules as the multipart fileFilter, before any bytes are written
+      onResponse: async (info) => {
+        const originalName = job.filename || info.filename;
+        const { type, error } = validateMediaFile({ originalname: originalName, mimetype: info.mimeType }, job.type);
+
+        if (error) {
+          throw importFailure(415, error.message);
+        }
+
+        if (info.contentLength !== null) {
+          const violation = await storageQuota.check({ uploaderId: job.createdBy, type }, {
+            bytes: info.contentLength,
+            items: 1
+          });
+          if (violation) {
+            throw quotaImportFailure(violation);
+          }
+        }
+
+        source = { type, originalName };
+        await docRef.update({
+          type,
+          originalName,
+          finalUrl: info.url,
+          totalBytes: info.contentLength,
+          updatedAt: new Date().toISOString()
+        });
+      },
+
+      onProgress: (bytesReceived) => {
+        if (Date.now() - lastProgressAt < IMPORT_PROGRESS_INTERVAL) return;
+        lastProgressAt = Date.now();
+        docRef.update({ bytesReceived, updatedAt: new Date().toISOString() }).catch(() => {});
+      }
+    });
+
+    // Check the real format from the file's magic bytes
+    const content = await checkFileContent(tempPath, source.type);
+
+    if (content.error) {
+      throw importFailure(415, content.error);
+    }
+
+    const duplicate = await findDuplicateMedia(download.sha256);
+
+    if (duplicate && job.onDuplicate === 'reject') {
+      throw importFailure(409, 'An identical file has already been uploaded', { existingId: duplicate.id });
+    }
+
+    const violation = await storageQuota.check({ uploaderId: job.createdBy, type: source.type }, {
+      bytes: duplicate ? 0 : download.size,
+      items: 1
+    });
+
+    if (violation) {
+      throw quotaImportFailure(violation);
+    }
+
+    const media = await createMediaRecord(req, {
+      title: job.title,
+      subtitle: job.subtitle,
+      type: source.type,
+      filename: `${uuidv4()}${path.extname(source.originalName).toLowerCase()}`,
+      localPath: tempPath,
+      originalName: source.originalName,
+      fileSize: download.size,
+      mimeType: content.mimeType,
+      container: content.detected.container,
+      sha256: download.sha256,
+      publication: job.publication,
+      linkTo: duplicate
+    });
+
+    mediaReadCache.clear();
+
+    await docRef.update({
+      status: 'completed',
+      bytesReceived: download.size,
+      mediaId: media.id,
+      completedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    console.log(`✅ Import ${docRef.id} finalized as media ${media.id}`);
+  } catch (error) {
+    const status = error.status || IMPORT_ERROR_STATUSES[error.code] || 500;
+
+    if (status === 500) {
+      console.error(`Error importing ${job.url}:`, error);
+    }
+
+    await docRef.update({
+      status: 'failed',
+      errorStatus: status,
+      error: status === 500 ? 'Import failed' : error.message,
+      ...(error.details || {}),
+      completedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }).catch(updateError => console.error('Error recording failed import:', updateError));
+  } finally {
+    activeImports.delete(docRef.id);
+    await fs.promises.rm(tempPath, { force: true });
+  }
+};
+
+/**
+ * POST /admin/media/import
+ * Import a media file from a remote http(s) URL. The download runs in the
+ * background; poll GET /admin/media/import/:id for its status.
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/media/import', checkAdminAuth, async (req, res) => {
+  try {
+    const { url, title, subtitle, type, filename } = req.body || {};
+
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'url is required'
+      });
+    }
+
+    if (!title) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Title is required'
+      });
+    }
+
+    if (type !== undefined && !ALLOWED_MIME_TYPES[type]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Type must be one of: ${Object.keys(ALLOWED_MIME_TYPES).join(', ')}`
+      });
+    }
+
+    const onDuplicate = parseDuplicateAction(req.body.onDuplicate);
+
+    if (!onDuplicate) {
+      return sendInvalidDuplicateAction(res);
+    }
+
+    // Optional status (published by default), publishAt and unpublishAt,
+    // applied to the media item when the import completes
+    const publication = resolvePublication(req.body, null, { by: req.user.uid });
+
+    if (publication.message) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: publication.message
+      });
+    }
+
+    try {
+      parseSourceUrl(url, IMPORT_ALLOWED_HOSTS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: error.message
+      });
+    }
+
+    const quotaViolation = await storageQuota.check({ uploaderId: req.user.uid, type }, { items: 1 });
+
+    if (quotaViolation) {
+      return sendQuotaExceeded(res, quotaViolation);
+    }
+
+    const job = {
+      url,
+      title,
+      subtitle: subtitle || '',
+      type: type || null,
+      filename: filename || null,
+      onDuplicate,
+      publication: publication.fields,
+      status: 'downloading',
+      bytesReceived: 0,
+      totalBytes: null,
+      mediaId: null,
+      error: null,
+      errorStatus: null,
+      createdBy: req.user.uid,
+      createdByEmail: req.user.email,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const docRef = await db.collection('media_imports').add(job);
+
+    runMediaImport(req, docRef, job).catch(error => {
+      console.error('Error running media import:', error);
+    });
+
+    const statusUrl = `${getBaseUrl(req)}/admin/media/import/${docRef.id}`;
+    res.setHeader('Location', statusUrl);
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started',
+      data: {
+        id: docRef.id,
+        status: job.status,
+        statusUrl
+      }
+    });
+  } catch (error) {
+    console.error('Error starting media import:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to start media import'
+    });
+  }
+});
+
+/**
+ * GET /admin/media/import/:id
+ * Get the status and progress of a media import
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/media/import/:id', checkAdminAuth, async (req, res) => {
+  try {
+    const docRef = db.collection('media_imports').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Import not found'
+      });
+    }
+
+    const job = doc.data();
+
+    if (job.status === 'downloading' && !activeImports.has(doc.id)) {
+      Object.assign(job, {
+        status: 'failed',
+        errorStatus: 500,
+        error: 'Import was interrupted by a server restart',
+        updatedAt: new Date().toISOString()
+      });
+      await docRef.update(job);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: doc.id,
+        ...job,
+        progress: job.totalBytes
+          ? Math.round((job.bytesReceived / job.totalBytes) * 10000) / 100
+          : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching media import:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch media import'
+    });
+  }
+});
+
+// =============================================================================
+// COLLECTION ROUTES (Require Firebase Admin Authentication)
+// =============================================================================
+
+/**
+ * Send the 404 for a collection that does not exist
+ */
+const sendCollectionNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Not Found',
+    message: 'Collection not found'
+  });
+};
+
+/**
+ * Change the media items of a collection in a transaction
+ *
+ * @param {Object} req - Request (for the admin's uid)
+ * @param {Function} change - async (mediaIds) => { mediaIds } with the new
+ *   list, or { message } to refuse the change
+ * @returns {Promise<Object>} - { mediaIds }, { notFound: true } or { message }
+ */
+const updateCollectionItems = (req, change) => {
+  const docRef = db.collection('collections').doc(req.params.id);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+
+    if (!doc.exists) {
+      return { notFound: true };
+    }
+
+    const result = await change(doc.data().mediaIds || []);
+    if (result.message) {
+      return result;
+    }
+
+    transaction.update(docRef, {
+      mediaIds: result.mediaIds,
+      itemCount: result.mediaIds.length,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    });
+    return result;
+  });
+};
+
+/**
+ * Send the outcome of updateCollectionItems()
+ */
+const sendCollectionItemsResult = async (req, res, result, message) => {
+  if (result.notFound) {
+    return sendCollectionNotFound(res);
+  }
+  if (result.message) {
+    return res.status(400).json({
+      success: false,
+      error: 'Bad Request',
+      message: result.message
+    });
+  }
+
+  const doc = await db.collection('collections').doc(req.params.id).get();
+
+  res.json({
+    success: true,
+    message,
+    data: formatCollection(req, doc)
+  });
+};
+
+/**
+ * GET /admin/collections
+ * List all collections, newest first
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/collections', checkAdminAuth, async (req, res) => {
+  try {
+    const snapshot = await db.collection('collections')
+      .orderBy('createdAt', 'desc')
+      .get();
+
+    const collections = snapshot.docs.map(doc => formatCollection(req, doc));
+
+    res.json({
+      success: true,
+      count: collections.length,
+      data: collections
+    });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch collections'
+    });
+  }
+});
+
+/**
+ * POST /admin/collections
+ * Create a collection, optionally with artwork and initial media items
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/collections', checkAdminAuth, artworkUpload.single('artwork'), async (req, res) => {
+  let storedArtworkKey = null;
+
+  try {
+    const { title, description = '' } = req.body;
+
+    if (!title || typeof title !== 'string') {
+      cleanupUploads(req);
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Title is required'
+      });
+    }
+
+    let mediaIds = [];
+    if (req.body.mediaIds !== undefined) {
+      const itemsCheck = await checkCollectionMediaIds(readListInput(req.body.mediaIds));
+
+      if (itemsCheck.message) {
+        cleanupUploads(req);
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: itemsCheck.message
+        });
+      }
+      mediaIds = itemsCheck.ids;
+    }
+
+    let artwork = {};
+    if (req.file) {
+      const artworkCheck = await checkArtworkFile(req.file);
+
+      if (artworkCheck.error) {
+        cleanupUploads(req);
+        return res.status(artworkCheck.status).json({
+          success: false,
+          error: artworkCheck.error,
+          message: artworkCheck.message
+        });
+      }
+      artwork = artworkCheck.fields;
+
+      const quotaViolation = await storageQuota.check(getCollectionOwner({ createdBy: req.user.uid }), {
+        bytes: req.file.size
+      });
+
+      if (quotaViolation) {
+        cleanupUploads(req);
+        return sendQuotaExceeded(res, quotaViolation);
+      }
+
+      await mediaStorage.put(artwork.artworkKey, req.file.path, { contentType: artwork.artworkMimeType });
+      storedArtworkKey = artwork.artworkKey;
+    }
+
+    const now = new Date().toISOString();
+    const docRef = await db.collection('collections').add({
+      title,
+      description,
+      mediaIds,
+      itemCount: mediaIds.length,
+      ...artwork,
+      createdBy: req.user.uid,
+      createdByEmail: req.user.email || null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    await storageQuota.record(getCollectionOwner({ createdBy: req.user.uid }), { bytes: artwork.artworkSize || 0 });
+
+    const doc = await docRef.get();
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: formatCollection(req, doc)
+    });
+  } catch (error) {
+    console.error('Error creating collection:', error);
+    cleanupUploads(req);
+    if (storedArtworkKey) {
+      await deleteStoredFile(storedArtworkKey).catch(() => {});
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to create collection'
+    });
+  }
+});
+
+/**
+ * GET /admin/collections/:id
+ * Get a collection with all of its media items, including items in the trash
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/collections/:id', checkAdminAuth, async (req, res) => {
+  try {
+    const doc = await db.collection('collections').doc(req.params.id).get();
+
+    if (!doc.exists) {
+      return sendCollectionNotFound(res);
+    }
+
+    const collection = formatCollection(req, doc);
+    const mediaDocs = await getMediaDocs(collection.mediaIds || []);
+
+    collection.items = mediaDocs
+      .filter(mediaDoc => mediaDoc.exists)
+      .map(mediaDoc => ({
+        ...formatMedia(req, mediaDoc),
+        isDeleted: isInTrash(mediaDoc.data())
+      }));
+
+    res.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    console.error('Error fetching collection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch collection'
+    });
+  }
+});
+
+/**
+ * PUT /admin/collections/:id
+ * Update the title or description of a collection
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/collections/:id', checkAdminAuth, async (req, res) => {
+  try {
+    const { title, description } = req.body;
+
+    if (title !== undefined && (!title || typeof title !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'Title must be a non-empty string'
+      });
+    }
+
+    const docRef = db.collection('collections').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return sendCollectionNotFound(res);
+    }
+
+    const updateData = {
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    };
+
+    if (title !== undefined) updateData.title = title;
+    if (description !== undefined) updateData.description = description;
+
+    await docRef.update(updateData);
+
+    const updatedDoc = await docRef.get();
+
+    res.json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: formatCollection(req, updatedDoc)
+    });
+  } catch (error) {
+    console.error('Error updating collection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to update collection'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/collections/:id
+ * Delete a collection and its artwork; the media items are kept
+ * Requires: Firebase Admin Authentication
+ */
+app.delete('/admin/collections/:id', checkAdminAuth, async (req, res) => {
+  try {
+    const docRef = db.collection('collections').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return sendCollectionNotFound(res);
+    }
+
+    await docRef.delete();
+
+    const artworkKey = getArtworkKey(doc.data());
+    if (artworkKey) {
+      await deleteStoredFile(artworkKey);
+      await storageQuota.record(getCollectionOwner(doc.data()), { bytes: -(doc.data().artworkSize || 0) });
+    }
+
+    res.json({
+      success: true,
+      message: 'Collection deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting collection:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to delete collection'
+    });
+  }
+});
+
+/**
+ * PUT /admin/collections/:id/artwork
+ * Upload or replace the artwork image of a collection
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/collections/:id/artwork', checkAdminAuth, artworkUpload.single('artwork'), async (req, res) => {
+  try {
+    const file = req.file;
+
+    if (!file) {
+      return res.status(400).json({
         success: false,
-        error: 'Not Found',
-        message: 'Media content not found'
+        error: 'Bad Request',
+        message: 'No artwork uploaded'
+      });
+    }
+
+    const docRef = db.collection('collections').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      cleanupUploads(req);
+      return sendCollectionNotFound(res);
+    }
+
+    const artworkCheck = await checkArtworkFile(file);
+
+    if (artworkCheck.error) {
+      cleanupUploads(req);
+      return res.status(artworkCheck.status).json({
+        success: false,
+        error: artworkCheck.error,
+        message: artworkCheck.message
+      });
+    }
+
+    // The new image replaces the previous one
+    const collection = doc.data();
+    const addedBytes = file.size - (collection.artworkSize || 0);
+    const quotaViolation = await storageQuota.check(getCollectionOwner(collection), { bytes: addedBytes });
+
+    if (quotaViolation) {
+      cleanupUploads(req);
+      return sendQuotaExceeded(res, quotaViolation);
+    }
+
+    const { artworkKey } = artworkCheck.fields;
+    await mediaStorage.put(artworkKey, file.path, { contentType: artworkCheck.fields.artworkMimeType });
+
+    try {
+      await docRef.update({
+        ...artworkCheck.fields,
+        updatedAt: new Date().toISOString(),
+        updatedBy: req.user.uid
       });
+    } catch (error) {
+      await deleteStoredFile(artworkKey);
+      throw error;
+    }
+
+    await storageQuota.record(getCollectionOwner(collection), { bytes: addedBytes });
+
+    // The previous image is no longer referenced
+    const previousKey = getArtworkKey(collection);
+    if (previousKey && previousKey !== artworkKey) {
+      await deleteStoredFile(previousKey);
     }
 
+    const updatedDoc = await docRef.get();
+
     res.json({
       success: true,
-      data: {
-        id: doc.id,
-        ...doc.data()
-      }
+      message: 'Artwork uploaded successfully',
+      data: formatCollection(req, updatedDoc)
     });
   } catch (error) {
-    console.error('Error fetching media:', error);
+    console.error('Error uploading collection artwork:', error);
+    cleanupUploads(req);
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      message: 'Failed to fetch media content'
+      message: 'Failed to upload artwork'
     });
   }
 });
 
 /**
- * GET /api/settings
- * Get app settings
- * Requires: API Key with 'read:settings' permission
+ * DELETE /admin/collections/:id/artwork
+ * Remove the artwork image of a collection
+ * Requires: Firebase Admin Authentication
  */
-app.get('/api/settings', checkApiKeyPermissions(), async (req, res) => {
+app.delete('/admin/collections/:id/artwork', checkAdminAuth, async (req, res) => {
   try {
-    const doc = await db.collection('app_settings').doc('general').get();
-    
-    const settings = doc.exists ? doc.data() : {
-      appName: 'MediaCore',
-      version: '1.0.0',
-      defaultSettings: true
-    };
+    const docRef = db.collection('collections').doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return sendCollectionNotFound(res);
+    }
+
+    const artworkKey = getArtworkKey(doc.data());
+
+    if (!artworkKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Collection has no artwork'
+      });
+    }
+
+    await docRef.update({
+      artworkKey: null,
+      artworkPath: null,
+      artworkMimeType: null,
+      artworkWidth: null,
+      artworkHeight: null,
+      artworkSize: null,
+      artworkUpdatedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
+    });
+
+    await deleteStoredFile(artworkKey);
+    await storageQuota.record(getCollectionOwner(doc.data()), { bytes: -(doc.data().artworkSize || 0) });
 
     res.json({
       success: true,
-      data: settings
+      message: 'Artwork removed successfully'
     });
   } catch (error) {
-    console.error('Error fetching settings:', error);
+    console.error('Error removing collection artwork:', error);
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      message: 'Failed to fetch settings'
+      message: 'Failed to remove artwork'
     });
   }
 });
 
-// =============================================================================
-// ADMIN ROUTES (Require Firebase Admin Authentication)
-// =============================================================================
-
 /**
- * POST /admin/generate-key
- * Generate a new API key with specified permissions
+ * POST /admin/collections/:id/items
+ * Add media items to a collection, at the end or at a position
  * Requires: Firebase Admin Authentication
  */
-app.post('/admin/generate-key', checkAdminAuth, async (req, res) => {
+app.post('/admin/collections/:id/items', checkAdminAuth, async (req, res) => {
   try {
-    const { 
-      name, 
-      accessType = 'read_only', 
-      customPermissions = [], 
-      expiresInDays = null,
-      description = ''
-    } = req.body;
+    const { position } = req.body;
 
-    if (!name) {
+    if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
       return res.status(400).json({
         success: false,
         error: 'Bad Request',
-        message: 'API key name is required'
+        message: 'position must be a non-negative integer'
       });
     }
 
-    // Validate access type
-    const validAccessTypes = ['read_only', 'full_access', 'custom'];
-    if (!validAccessTypes.includes(accessType)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Bad Request',
-        message: `Invalid access type. Must be one of: ${validAccessTypes.join(', ')}`
+    const result = await updateCollectionItems(req, async (mediaIds) => {
+      const itemsCheck = await checkCollectionMediaIds(req.body.mediaIds, {
+        max: MAX_COLLECTION_ITEMS - mediaIds.length
       });
-    }
 
-    // Get permissions based on access type
-    let permissions;
-    if (accessType === 'custom') {
-      // Validate custom permissions
-      const validation = validatePermissions(customPermissions);
-      if (!validation.isValid) {
-        return res.status(400).json({
-          success: false,
-          error: 'Bad Request',
-          message: validation.message,
-          availablePermissions: PERMISSION_PRESETS.available_permissions
-        });
+      if (itemsCheck.message) {
+        return itemsCheck;
       }
-      permissions = customPermissions;
-    } else {
-      permissions = getPermissionsByAccessType(accessType);
+
+      const alreadyAdded = itemsCheck.ids.filter(id => mediaIds.includes(id));
+      if (alreadyAdded.length > 0) {
+        return { message: `Already in the collection: ${alreadyAdded.join(', ')}` };
+      }
+
+      const updated = [...mediaIds];
+      updated.splice(position === undefined ? updated.length : position, 0, ...itemsCheck.ids);
+      return { mediaIds: updated };
+    });
+
+    await sendCollectionItemsResult(req, res, result, 'Media added to collection');
+  } catch (error) {
+    console.error('Error adding collection items:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to add media to collection'
+    });
+  }
+});
+
+/**
+ * PUT /admin/collections/:id/items
+ * Replace the media items of a collection with an ordered list (reorder)
+ * Requires: Firebase Admin Authentication
+ */
+app.put('/admin/collections/:id/items', checkAdminAuth, async (req, res) => {
+  try {
+    const result = await updateCollectionItems(req, async () => {
+      const itemsCheck = await checkCollectionMediaIds(req.body.mediaIds);
+      return itemsCheck.message ? itemsCheck : { mediaIds: itemsCheck.ids };
+    });
+
+    await sendCollectionItemsResult(req, res, result, 'Collection items updated');
+  } catch (error) {
+    console.error('Error updating collection items:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to update collection items'
+    });
+  }
+});
+
+/**
+ * DELETE /admin/collections/:id/items/:mediaId
+ * Remove a media item from a collection
+ * Requires: Firebase Admin Authentication
+ */
+app.delete('/admin/collections/:id/items/:mediaId', checkAdminAuth, async (req, res) => {
+  try {
+    const { mediaId } = req.params;
+    let notMember = false;
+
+    const result = await updateCollectionItems(req, async (mediaIds) => {
+      if (!mediaIds.includes(mediaId)) {
+        notMember = true;
+        return { message: 'Media item is not in the collection' };
+      }
+      return { mediaIds: mediaIds.filter(id => id !== mediaId) };
+    });
+
+    if (notMember) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: result.message
+      });
     }
 
-    // Generate unique API key
-    const apiKey = `mc_${uuidv4().replace(/-/g, '')}`;
+    await sendCollectionItemsResult(req, res, result, 'Media removed from collection');
+  } catch (error) {
+    console.error('Error removing collection item:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to remove media from collection'
+    });
+  }
+});
 
-    // Calculate expiration date if specified
-    let expiresAt = null;
-    if (expiresInDays && expiresInDays > 0) {
-      expiresAt = new Date();
-      expiresAt.setDate(expiresAt.getDate() + expiresInDays);
+// =============================================================================
+// TAG AND CATEGORY ROUTES (Require Firebase Admin Authentication)
+// =============================================================================
+
+/**
+ * Apply updates to many documents, in batches below Firestore's write limit
+ *
+ * @param {Array<Object>} updates - [{ ref, data }]
+ */
+const commitUpdates = async (updates) => {
+  for (let start = 0; start < updates.length; start += BULK_BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(start, start + BULK_BATCH_SIZE).forEach(({ ref, data }) => batch.update(ref, data));
+    await batch.commit();
+  }
+};
+
+/**
+ * GET /admin/tags
+ * List tags with their media counts
+ * Requires: Firebase Admin Authentication
+ */
+app.get('/admin/tags', checkAdminAuth, async (req, res) => {
+  try {
+    const tags = await listTags();
+
+    res.json({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch tags'
+    });
+  }
+});
+
+/**
+ * POST /admin/tags
+ * Create a tag; its slug (ID) is derived from the name
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/tags', checkAdminAuth, async (req, res) => {
+  try {
+    const { name } = req.body;
+    const slug = typeof name === 'string' ? slugifyTag(name) : '';
+
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'name is required and must contain letters or digits'
+      });
     }
 
-    // Create API key document
-    const keyData = {
-      key: apiKey,
-      name,
-      description,
-      accessType,
-      permissions,
-      isActive: true,
+    const docRef = db.collection('tags').doc(slug);
+    const now = new Date().toISOString();
+    const tag = {
+      name: name.trim(),
       createdBy: req.user.uid,
-      createdByEmail: req.user.email,
-      createdAt: new Date().toISOString(),
-      expiresAt: expiresAt ? expiresAt.toISOString() : null,
-      lastUsedAt: null,
-      usageCount: 0
+      createdAt: now,
+      updatedAt: now
     };
 
-    const docRef = await db.collection('api_keys').add(keyData);
+    const created = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (doc.exists) return false;
+
+      transaction.set(docRef, tag);
+      return true;
+    });
+
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: `Tag "${slug}" already exists`
+      });
+    }
 
     res.status(201).json({
       success: true,
-      message: 'API key generated successfully',
-      data: {
-        id: docRef.id,
-        key: apiKey,
-        name,
-        accessType,
-        permissions,
-        expiresAt: expiresAt ? expiresAt.toISOString() : 'Never'
-      }
+      message: 'Tag created successfully',
+      data: { slug, ...tag, count: 0 }
     });
   } catch (error) {
-    console.error('Error generating API key:', error);
+    console.error('Error creating tag:', error);
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      message: 'Failed to generate API key'
+      message: 'Failed to create tag'
     });
   }
 });
 
 /**
- * GET /admin/api-keys
- * List all API keys
+ * PUT /admin/tags/:slug
+ * Rename a tag (the slug stays the same)
  * Requires: Firebase Admin Authentication
  */
-app.get('/admin/api-keys', checkAdminAuth, async (req, res) => {
+app.put('/admin/tags/:slug', checkAdminAuth, async (req, res) => {
   try {
-    const snapshot = await db.collection('api_keys')
-      .orderBy('createdAt', 'desc')
-      .get();
-    
-    const keys = snapshot.docs.map(doc => {
-      const data = doc.data();
-      return {
-        id: doc.id,
-        name: data.name,
-        description: data.description,
-        accessType: data.accessType,
-        permissions: data.permissions,
-        isActive: data.isActive,
-        createdAt: data.createdAt,
-        expiresAt: data.expiresAt,
-        lastUsedAt: data.lastUsedAt,
-        usageCount: data.usageCount,
-        // Mask the key for security (show only last 8 chars)
-        keyPreview: `mc_****${data.key.slice(-8)}`
-      };
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'name is required'
+      });
+    }
+
+    const docRef = db.collection('tags').doc(req.params.slug);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: 'Tag not found'
+      });
+    }
+
+    await docRef.update({
+      name: name.trim(),
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid
     });
 
+    const updatedDoc = await docRef.get();
+
     res.json({
       success: true,
-      count: keys.length,
-      data: keys
+      message: 'Tag updated successfully',
+      data: { slug: updatedDoc.id, ...updatedDoc.data() }
     });
   } catch (error) {
-    console.error('Error listing API keys:', error);
+    console.error('Error updating tag:', error);
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      message: 'Failed to list API keys'
+      message: 'Failed to update tag'
     });
   }
 });
 
 /**
- * DELETE /admin/api-keys/:id
- * Revoke/delete an API key
+ * DELETE /admin/tags/:slug
+ * Delete a tag and remove it from every media item
  * Requires: Firebase Admin Authentication
  */
-app.delete('/admin/api-keys/:id', checkAdminAuth, async (req, res) => {
+app.delete('/admin/tags/:slug', checkAdminAuth, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { hardDelete = false } = req.query;
-
-    const docRef = db.collection('api_keys').doc(id);
+    const { slug } = req.params;
+    const docRef = db.collection('tags').doc(slug);
     const doc = await docRef.get();
 
     if (!doc.exists) {
       return res.status(404).json({
         success: false,
         error: 'Not Found',
-        message: 'API key not found'
+        message: 'Tag not found'
       });
     }
 
-    if (hardDelete === 'true') {
-      await docRef.delete();
-    } else {
-      // Soft delete - just deactivate
-      await docRef.update({
-        isActive: false,
-        deactivatedAt: new Date().toISOString(),
-        deactivatedBy: req.user.uid
-      });
-    }
+    const snapshot = await db.collection('media_content')
+      .where('tags', 'array-contains', slug)
+      .get();
+
+    await commitUpdates(snapshot.docs.map(mediaDoc => ({
+      ref: mediaDoc.ref,
+      data: { tags: admin.firestore.FieldValue.arrayRemove(slug) }
+    })));
+    await docRef.delete();
 
     res.json({
       success: true,
-      message: hardDelete === 'true' ? 'API key deleted permanently' : 'API key deactivated'
+      message: `Tag deleted and removed from ${snapshot.size} media items`,
+      mediaUpdated: snapshot.size
     });
   } catch (error) {
-    console.error('Error deleting API key:', error);
+    console.error('Error deleting tag:', error);
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      message: 'Failed to delete API key'
+      message: 'Failed to delete tag'
     });
   }
 });
 
 /**
- * POST /admin/media
- * Upload new media content
+ * Send the 404 for a category that does not exist
+ */
+const sendCategoryNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Not Found',
+    message: 'Category not found'
+  });
+};
+
+/**
+ * Look up the parent of a new or moved category
+ *
+ * @param {string|null} parentId - Parent category ID, or null for a root category
+ * @returns {Promise<Object>} - { path } of the parent ([] for none), or { message }
+ */
+const resolveParentCategory = async (parentId) => {
+  if (parentId === null || parentId === undefined || parentId === '') {
+    return { path: [] };
+  }
+  if (typeof parentId !== 'string') {
+    return { message: 'parentId must be a category ID or null' };
+  }
+
+  const doc = await db.collection('categories').doc(parentId).get();
+
+  if (!doc.exists) {
+    return { message: 'Parent category not found' };
+  }
+  return { path: doc.data().path };
+};
+
+/**
+ * GET /admin/categories
+ * Get the category tree with media counts
  * Requires: Firebase Admin Authentication
  */
-app.post('/admin/media', checkAdminAuth, upload.single('file'), async (req, res) => {
+app.get('/admin/categories', checkAdminAuth, async (req, res) => {
   try {
-    const { title, subtitle } = req.body;
-    const file = req.file;
-    
-    // Get type from body, query, or use detected type from multer, or infer from file
-    let type = req.body.type || req.query.type || req.detectedType || 'video';
-    
-    // Double-check: if file is audio but type says video, correct it
-    if (file && file.mimetype.startsWith('audio/')) {
-      type = 'audio';
-    }
+    res.json({
+      success: true,
+      data: await buildCategoryTree()
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch categories'
+    });
+  }
+});
 
-    if (!file) {
+/**
+ * POST /admin/categories
+ * Create a category, at the root or under a parent
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/categories', checkAdminAuth, async (req, res) => {
+  try {
+    const { name, parentId = null } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
       return res.status(400).json({
         success: false,
         error: 'Bad Request',
-        message: 'No file uploaded'
+        message: 'name is required'
       });
     }
 
-    if (!title) {
-      // Clean up uploaded file
-      fs.unlinkSync(file.path);
+    const parent = await resolveParentCategory(parentId);
+
+    if (parent.message) {
       return res.status(400).json({
         success: false,
         error: 'Bad Request',
-        message: 'Title is required'
+        message: parent.message
       });
     }
 
-    // Construct the file path for storage
-    const relativePath = `/public/uploads/${type}/${file.filename}`;
-    const fileUrl = `${req.protocol}://${req.get('host')}${relativePath}`;
+    if (parent.path.length >= MAX_CATEGORY_DEPTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`
+      });
+    }
 
-    // Save metadata to Firestore
-    const mediaData = {
-      title,
-      subtitle: subtitle || '',
-      type,
-      filename: file.filename,
-      originalName: file.originalname,
-      filePath: relativePath,
-      fileUrl,
-      fileSize: file.size,
-      mimeType: file.mimetype,
-      uploadedBy: req.user.uid,
-      uploadedByEmail: req.user.email,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+    // The document ID is needed for the category's own path
+    const docRef = db.collection('categories').doc();
+    const now = new Date().toISOString();
+    const category = {
+      name: name.trim(),
+      parentId: parentId || null,
+      path: [...parent.path, docRef.id],
+      createdBy: req.user.uid,
+      createdAt: now,
+      updatedAt: now
     };
 
-    const docRef = await db.collection('media_content').add(mediaData);
+    await docRef.set(category);
 
     res.status(201).json({
       success: true,
-      message: 'Media uploaded successfully',
-      data: {
-        id: docRef.id,
-        ...mediaData
-      }
+      message: 'Category created successfully',
+      data: { id: docRef.id, ...category }
     });
   } catch (error) {
-    console.error('Error uploading media:', error);
-    
-    // Clean up file if it was uploaded
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    
+    console.error('Error creating category:', error);
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      message: 'Failed to upload media'
+      message: 'Failed to create category'
     });
   }
 });
 
 /**
- * PUT /admin/media/:id
- * Update media metadata
+ * PUT /admin/categories/:id
+ * Rename a category or move it under another parent
  * Requires: Firebase Admin Authentication
+ *
+ * Moving a category updates the paths of its subcategories and of the
+ * media items filed under any of them.
  */
-app.put('/admin/media/:id', checkAdminAuth, async (req, res) => {
+app.put('/admin/categories/:id', checkAdminAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, subtitle } = req.body;
+    const { name, parentId } = req.body;
 
-    const docRef = db.collection('media_content').doc(id);
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: 'name must be a non-empty string'
+      });
+    }
+
+    const docRef = db.collection('categories').doc(id);
     const doc = await docRef.get();
 
     if (!doc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Not Found',
-        message: 'Media content not found'
-      });
+      return sendCategoryNotFound(res);
     }
 
+    const category = doc.data();
     const updateData = {
       updatedAt: new Date().toISOString(),
       updatedBy: req.user.uid
     };
 
-    if (title !== undefined) updateData.title = title;
-    if (subtitle !== undefined) updateData.subtitle = subtitle;
+    if (name !== undefined) updateData.name = name.trim();
+
+    const moved = parentId !== undefined && (parentId || null) !== category.parentId;
+    let subtree = [];
+    let newPath = category.path;
+
+    if (moved) {
+      const parent = await resolveParentCategory(parentId);
+      const validationError = parent.message ||
+        (parent.path.includes(id) ? 'A category cannot be moved under itself or one of its subcategories' : null);
+
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: validationError
+        });
+      }
+
+      // Subcategories keep their depth below the moved category
+      const descendants = await db.collection('categories').where('path', 'array-contains', id).get();
+      subtree = descendants.docs.filter(descendant => descendant.id !== id);
+
+      const subtreeDepth = Math.max(category.path.length, ...subtree.map(descendant => descendant.data().path.length)) -
+        category.path.length + 1;
+
+      if (parent.path.length + subtreeDepth > MAX_CATEGORY_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          error: 'Bad Request',
+          message: `Categories can be nested at most ${MAX_CATEGORY_DEPTH} levels deep`
+        });
+      }
+
+      newPath = [...parent.path, id];
+      updateData.parentId = parentId || null;
+      updateData.path = newPath;
+    }
 
     await docRef.update(updateData);
 
+    let mediaUpdated = 0;
+    if (moved) {
+      // Replace the old ancestors with the new ones in every path below this category
+      const rebase = path => [...newPath, ...path.slice(category.path.length)];
+
+      await commitUpdates(subtree.map(descendant => ({
+        ref: descendant.ref,
+        data: { path: rebase(descendant.data().path) }
+      })));
+
+      const mediaSnapshot = await db.collection('media_content')
+        .where('categoryPath', 'array-contains', id)
+        .get();
+
+      await commitUpdates(mediaSnapshot.docs.map(mediaDoc => ({
+        ref: mediaDoc.ref,
+        data: { categoryPath: rebase(mediaDoc.data().categoryPath) }
+      })));
+      mediaUpdated = mediaSnapshot.size;
+    }
+
     const updatedDoc = await docRef.get();
 
     res.json({
       success: true,
-      message: 'Media updated successfully',
-      data: {
-        id: updatedDoc.id,
-        ...updatedDoc.data()
-      }
+      message: 'Category updated successfully',
+      data: { id: updatedDoc.id, ...updatedDoc.data() },
+      mediaUpdated
     });
   } catch (error) {
-    console.error('Error updating media:', error);
+    console.error('Error updating category:', error);
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      message: 'Failed to update media'
+      message: 'Failed to update category'
     });
   }
 });
 
 /**
- * DELETE /admin/media/:id
- * Delete media content (file and metadata)
+ * DELETE /admin/categories/:id
+ * Delete a category without subcategories; its media items are left uncategorized
  * Requires: Firebase Admin Authentication
  */
-app.delete('/admin/media/:id', checkAdminAuth, async (req, res) => {
+app.delete('/admin/categories/:id', checkAdminAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { deleteFile = true } = req.query;
-
-    const docRef = db.collection('media_content').doc(id);
+    const docRef = db.collection('categories').doc(id);
     const doc = await docRef.get();
 
     if (!doc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Not Found',
-        message: 'Media content not found'
-      });
+      return sendCategoryNotFound(res);
     }
 
-    const mediaData = doc.data();
+    const children = await db.collection('categories').where('parentId', '==', id).limit(1).get();
 
-    // Delete the physical file if requested
-    if (deleteFile !== 'false' && mediaData.filePath) {
-      const filePath = path.resolve('.' + mediaData.filePath);
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        console.log(`🗑️ Deleted file: ${filePath}`);
-      }
+    if (!children.empty) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: 'Category has subcategories; move or delete them first'
+      });
     }
 
-    // Delete the Firestore document
+    const mediaSnapshot = await db.collection('media_content')
+      .where('categoryId', '==', id)
+      .get();
+
+    await commitUpdates(mediaSnapshot.docs.map(mediaDoc => ({
+      ref: mediaDoc.ref,
+      data: { categoryId: null, categoryPath: [] }
+    })));
     await docRef.delete();
 
     res.json({
       success: true,
-      message: 'Media deleted successfully'
+      message: `Category deleted; ${mediaSnapshot.size} media items are now uncategorized`,
+      mediaUpdated: mediaSnapshot.size
     });
   } catch (error) {
-    console.error('Error deleting media:', error);
+    console.error('Error deleting category:', error);
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      message: 'Failed to delete media'
+      message: 'Failed to delete category'
     });
   }
 });
 
+// =============================================================================
+// STORAGE MAINTENANCE ROUTES (Require Firebase Admin Authentication)
+// =============================================================================
+
 /**
- * PUT /admin/settings
- * Update app settings
+ * GET /admin/storage
+ * Storage usage (overall, per media type and per uploader) against the quotas
  * Requires: Firebase Admin Authentication
  */
-app.put('/admin/settings', checkAdminAuth, async (req, res) => {
+app.get('/admin/storage', checkAdminAuth, async (req, res) => {
   try {
-    const settings = req.body;
-
-    if (!settings || Object.keys(settings).length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Bad Request',
-        message: 'No settings provided'
-      });
-    }
+    const usage = await storageQuota.report();
 
-    const docRef = db.collection('app_settings').doc('general');
-    
-    await docRef.set({
-      ...settings,
-      updatedAt: new Date().toISOString(),
-      updatedBy: req.user.uid
-    }, { merge: true });
+    res.json({
+      success: true,
+      data: {
+        driver: mediaStorage.name,
+        maxFileSize: MAX_FILE_SIZE,
+        ...usage
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching storage usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch storage usage'
+    });
+  }
+});
 
-    const updatedDoc = await docRef.get();
+/**
+ * POST /admin/storage/recalculate
+ * Rebuild the usage counters from media_content (e.g. after upgrading or
+ * after a reconciliation removed files)
+ * Requires: Firebase Admin Authentication
+ */
+app.post('/admin/storage/recalculate', checkAdminAuth, async (req, res) => {
+  try {
+    const totals = await storageQuota.recalculate();
 
     res.json({
       success: true,
-      message: 'Settings updated successfully',
-      data: updatedDoc.data()
+      message: `Recalculated storage usage: ${totals.items} items, ${totals.bytes} bytes`,
+      data: await storageQuota.report()
     });
   } catch (error) {
-    console.error('Error updating settings:', error);
+    console.error('Error recalculating storage usage:', error);
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      message: 'Failed to update settings'
+      message: 'Failed to recalculate storage usage'
     });
   }
 });
 
 /**
- * GET /admin/permissions
- * Get available permissions list
+ * POST /admin/storage/reconcile
+ * Compare stored files with media_content and report orphans, missing
+ * files and size mismatches. Pass `fix` (array of 'orphans', 'missing',
+ * 'sizes', or 'all') to repair them; without it nothing is changed.
  * Requires: Firebase Admin Authentication
  */
-app.get('/admin/permissions', checkAdminAuth, (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      presets: {
-        read_only: PERMISSION_PRESETS.read_only,
-        full_access: PERMISSION_PRESETS.full_access
-      },
-      available: PERMISSION_PRESETS.available_permissions
+app.post('/admin/storage/reconcile', checkAdminAuth, async (req, res) => {
+  try {
+    const { fix = [] } = req.body || {};
+    const fixes = fix === 'all' ? RECONCILE_FIXES : fix;
+
+    if (!Array.isArray(fixes) || fixes.some(item => !RECONCILE_FIXES.includes(item))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Bad Request',
+        message: `fix must be "all" or an array of: ${RECONCILE_FIXES.join(', ')}`
+      });
     }
-  });
+
+    const report = await reconcileStorage({
+      db,
+      storage: mediaStorage,
+      fix: fixes,
+      actor: req.user.uid
+    });
+
+    res.json({
+      success: true,
+      message: fixes.length > 0 ? 'Storage reconciled' : 'Storage reconciliation report (no changes made)',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error reconciling storage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to reconcile storage'
+    });
+  }
 });
 
 // =============================================================================
@@ -951,10 +7838,11 @@ app.post('/admin/analytics/flush', checkAdminAuth, async (req, res) => {
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
+      const limit = UPLOAD_FIELD_LIMITS[error.field] || MAX_FILE_SIZE;
       return res.status(413).json({
         success: false,
         error: 'File Too Large',
-        message: `File size exceeds the limit of ${MAX_FILE_SIZE / (1024 * 1024)}MB`
+        message: `File size exceeds the limit of ${Math.round((limit / (1024 * 1024)) * 100) / 100}MB`
       });
     }
     return res.status(400).json({
@@ -975,6 +7863,26 @@ app.use((error, req, res, next) => {
   next(error);
 });
 
+// Request body errors (malformed JSON, body over the parser's limit)
+app.use((error, req, res, next) => {
+  if (!error.type || !error.expose || !(error.status >= 400 && error.status < 500)) {
+    return next(error);
+  }
+
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      error: 'Payload Too Large',
+      message: `Request body exceeds the limit of ${Math.round((error.limit / 1024) * 100) / 100}KB`
+    });
+  }
+  res.status(error.status).json({
+    success: false,
+    error: error.status === 415 ? 'Unsupported Media Type' : 'Bad Request',
+    message: error.message
+  });
+});
+
 // Generic error handler
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -1008,6 +7916,7 @@ if (require.main === module) {
     console.log('═══════════════════════════════════════════════════════');
     console.log(`  🚀 Server running on port ${PORT}`);
     console.log(`  📁 Upload directory: ${uploadPath}`);
+    console.log(`  🗄️ Storage driver: ${mediaStorage.name}`);
     console.log(`  📊 Max file size: ${MAX_FILE_SIZE / (1024 * 1024)}MB`);
     console.log(`  🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log('═══════════════════════════════════════════════════════');
@@ -1015,6 +7924,7 @@ if (require.main === module) {
 } else {
   console.log('📦 MediaCore API module loaded');
   console.log(`  📁 Upload directory: ${uploadPath}`);
+  console.log(`  🗄️ Storage driver: ${mediaStorage.name}`);
   console.log(`  🌐 Environment: ${process.env.NODE_ENV || 'production'}`);
 }
 
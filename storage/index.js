@@ -0,0 +1,74 @@
+/**
+ * Storage Index
+ *
+ * Creates the storage driver that holds uploaded media and artwork.
+ * Every driver implements the same interface:
+ *
+ *   put(key, source, { contentType, contentLength })  store a local file (moved) or a stream
+ *   getStream(key, { start, end })                    read stream, optional inclusive byte range
+ *   stat(key)                                         { size, lastModified } or null
+ *   list(prefix)                                      [{ key, size, lastModified }] under a prefix
+ *   delete(key)                                       remove (no error if missing)
+ *   getUrl(key, baseUrl)                              direct URL of the file
+ *   getLocalPath(key)                                 path on disk (local driver only)
+ *
+ * Keys are backend independent ("video/<uuid>.mp4"), so files can be moved
+ * between drivers without changing them (see scripts/migrateStorage.js).
+ */
+
+const path = require('path');
+const createLocalStorage = require('./localStorage');
+const createS3Storage = require('./s3Storage');
+
+const DRIVERS = {
+  local: () => createLocalStorage({
+    root: path.resolve(process.env.UPLOAD_DIR || './public/uploads')
+  }),
+  s3: () => createS3Storage({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION,
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: process.env.S3_PUBLIC_URL
+  })
+};
+
+/**
+ * Create a storage driver configured from environment variables
+ *
+ * @param {string} driver - Driver name (default: STORAGE_DRIVER or 'local')
+ * @returns {Object} - Storage driver
+ */
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  const factory = DRIVERS[driver];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driver}". Available drivers: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return factory();
+};
+
+/**
+ * Get the storage key of a stored file from its document fields
+ *
+ * Documents created before storage drivers only have the legacy
+ * "/public/uploads/<key>" path.
+ *
+ * @param {string|null} key - Stored key field (storageKey / artworkKey)
+ * @param {string|null} legacyPath - Legacy path field (filePath / artworkPath)
+ * @returns {string|null} - Storage key, or null if there is no file
+ */
+const getStorageKey = (key, legacyPath) => {
+  if (key) {
+    return key;
+  }
+  return legacyPath ? legacyPath.replace(/^\/public\/uploads\//, '') : null;
+};
+
+module.exports = {
+  STORAGE_DRIVERS: Object.keys(DRIVERS),
+  createStorage,
+  getStorageKey
+};
@@ -0,0 +1,148 @@
+/**
+ * Local Filesystem Storage Driver
+ *
+ * Stores files under a root directory (UPLOAD_DIR). Storage keys are paths
+ * relative to that root, e.g. "video/<uuid>.mp4".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Create a local filesystem storage driver
+ *
+ * @param {Object} options - Driver options
+ * @param {string} options.root - Directory files are stored in
+ * @param {string} options.publicPath - URL path the root is served under when uploads are public
+ * @returns {Object} - Storage driver
+ */
+const createLocalStorage = ({ root, publicPath = '/public/uploads' }) => {
+  const rootPath = path.resolve(root);
+
+  /**
+   * Map a storage key to a path, refusing keys that escape the root
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootPath, key);
+    if (!filePath.startsWith(rootPath + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    /**
+     * Store a file. A string source is a local file that is moved into
+     * storage; anything else is a readable stream that is copied.
+     */
+    async put(key, source) {
+      const target = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+      if (typeof source === 'string') {
+        try {
+          await fs.promises.rename(source, target);
+        } catch (error) {
+          // Source on another filesystem
+          if (error.code !== 'EXDEV') throw error;
+          await fs.promises.copyFile(source, target);
+          await fs.promises.unlink(source);
+        }
+        return;
+      }
+
+      // Write next to the target first so readers never see a partial file
+      const tempPath = `${target}.tmp`;
+      try {
+        await pipeline(source, fs.createWriteStream(tempPath));
+        await fs.promises.rename(tempPath, target);
+      } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+      }
+    },
+
+    /**
+     * Open a read stream, optionally limited to an inclusive byte range
+     */
+    async getStream(key, { start, end } = {}) {
+      return fs.createReadStream(resolveKey(key), { start, end });
+    },
+
+    /**
+     * Get file size and modification time, or null if the file does not exist
+     */
+    async stat(key) {
+      try {
+        const stats = await fs.promises.stat(resolveKey(key));
+        return stats.isFile() ? { size: stats.size, lastModified: stats.mtime } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * List stored files under a key prefix (dotfiles are skipped)
+     *
+     * @returns {Promise<Array>} - [{ key, size, lastModified }]
+     */
+    async list(prefix = '') {
+      const files = [];
+
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+          if (error.code === 'ENOENT') return;
+          throw error;
+        }
+
+        for (const entry of entries) {
+          if (entry.name.startsWith('.')) continue;
+
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else if (entry.isFile()) {
+            const stats = await fs.promises.stat(entryPath);
+            files.push({
+              key: path.relative(rootPath, entryPath).split(path.sep).join('/'),
+              size: stats.size,
+              lastModified: stats.mtime
+            });
+          }
+        }
+      };
+
+      await walk(prefix ? resolveKey(prefix) : rootPath);
+      return files;
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    /**
+     * Public URL of a file (only reachable when PUBLIC_UPLOADS is enabled)
+     */
+    getUrl(key, baseUrl = '') {
+      return `${baseUrl}${publicPath}/${key}`;
+    },
+
+    /**
+     * Path on disk, so files can be read in place instead of downloaded
+     */
+    getLocalPath(key) {
+      return resolveKey(key);
+    }
+  };
+};
+
+module.exports = createLocalStorage;
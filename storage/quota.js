@@ -0,0 +1,328 @@
+/**
+ * Storage Quotas
+ *
+ * Keeps running totals of stored bytes and media items in the
+ * storage_usage collection (overall, per media type and per uploader) and
+ * checks uploads against the configured limits. Counters are updated as
+ * files are stored and deleted; recalculate() rebuilds them from
+ * media_content and collections, e.g. for items uploaded before quotas
+ * existed. Collection artwork counts towards the total and its creator's
+ * bytes only.
+ *
+ * Limits come from the environment and are unlimited when unset:
+ *
+ *   QUOTA_TOTAL_BYTES / QUOTA_TOTAL_ITEMS         all media
+ *   QUOTA_<TYPE>_BYTES / QUOTA_<TYPE>_ITEMS       one media type (QUOTA_VIDEO_BYTES, ...)
+ *   QUOTA_UPLOADER_BYTES / QUOTA_UPLOADER_ITEMS   each admin (uploadedBy)
+ *
+ * Byte limits accept a KB, MB, GB or TB suffix (1024-based), e.g. 50GB.
+ */
+
+const USAGE_COLLECTION = 'storage_usage';
+
+const BYTE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+// Firestore allows 500 writes per batch
+const RECALCULATE_BATCH_SIZE = 450;
+
+/**
+ * Parse a byte size such as "500000", "750MB" or "1.5GB"
+ *
+ * @returns {number|null} - Bytes, or null if unset
+ */
+const parseByteSize = (value, name) => {
+  if (value === undefined || value === '') return null;
+
+  const match = /^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`${name} must be a number of bytes, optionally with a KB, MB, GB or TB suffix`);
+  }
+  return Math.floor(Number(match[1]) * BYTE_UNITS[(match[2] || 'B').toUpperCase()]);
+};
+
+/**
+ * Parse an item count limit
+ *
+ * @returns {number|null} - Count, or null if unset
+ */
+const parseItemCount = (value, name) => {
+  if (value === undefined || value === '') return null;
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return count;
+};
+
+/**
+ * Read the bytes/items limits for one environment variable prefix
+ */
+const readLimits = (env, prefix) => ({
+  bytes: parseByteSize(env[`${prefix}_BYTES`], `${prefix}_BYTES`),
+  items: parseItemCount(env[`${prefix}_ITEMS`], `${prefix}_ITEMS`)
+});
+
+/**
+ * Bytes a stored media file counts against quotas
+ *
+ * Items linked to an existing upload's file carry quotaBytes: 0, so a
+ * shared file is only counted once. Older records fall back to fileSize.
+ */
+const getFileQuotaBytes = (fileData) => {
+  if (typeof fileData.quotaBytes === 'number') return fileData.quotaBytes;
+  return fileData.fileSize || 0;
+};
+
+/**
+ * Bytes a media item counts against quotas: current file, earlier versions,
+ * artwork and caption tracks
+ *
+ * @param {Object} mediaData - media_content document data
+ * @param {Array<Object>} versions - Data of its versions documents
+ */
+const getMediaQuotaBytes = (mediaData, versions = []) => {
+  return getFileQuotaBytes(mediaData) +
+    versions.reduce((total, version) => total + getFileQuotaBytes(version), 0) +
+    (mediaData.artworkSize || 0) +
+    (mediaData.captionTracks || []).reduce((total, track) => total + (track.size || 0), 0);
+};
+
+/**
+ * Create a quota tracker
+ *
+ * @param {Object} options - { db, admin, types, env }
+ * @param {Object} options.db - Firestore instance
+ * @param {Object} options.admin - Firebase Admin SDK (for FieldValue.increment)
+ * @param {Array<string>} options.types - Media types with their own limits
+ * @param {Object} options.env - Environment to read limits from (default process.env)
+ * @returns {Object} - Tracker with record, transfer, check, report and recalculate
+ */
+const createQuotaTracker = ({ db, admin, types, env = process.env }) => {
+  const limits = {
+    total: readLimits(env, 'QUOTA_TOTAL'),
+    types: Object.fromEntries(types.map(type => [type, readLimits(env, `QUOTA_${type.toUpperCase()}`)])),
+    uploader: readLimits(env, 'QUOTA_UPLOADER')
+  };
+
+  const collection = db.collection(USAGE_COLLECTION);
+
+  /**
+   * Counters an item owned by { uploaderId, type } is charged to
+   */
+  const getScopes = ({ uploaderId, type }) => {
+    const scopes = [{ id: 'total', scope: 'total', key: null, limits: limits.total }];
+
+    if (type) {
+      scopes.push({ id: `type_${type}`, scope: 'type', key: type, limits: limits.types[type] || {} });
+    }
+    if (uploaderId) {
+      scopes.push({ id: `uploader_${uploaderId}`, scope: 'uploader', key: uploaderId, limits: limits.uploader });
+    }
+    return scopes;
+  };
+
+  /**
+   * Add increments for one owner to a batch
+   */
+  const addIncrements = (batch, owner, { bytes = 0, items = 0 }) => {
+    const { increment } = admin.firestore.FieldValue;
+
+    for (const { id, scope, key } of getScopes(owner)) {
+      batch.set(collection.doc(id), {
+        scope,
+        key,
+        bytes: increment(bytes),
+        items: increment(items),
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    }
+  };
+
+  /**
+   * Apply a usage change. Failures are logged, not thrown: the stored file is
+   * already in place, and recalculate() repairs the counters.
+   */
+  const commitChange = async (apply, description) => {
+    try {
+      const batch = db.batch();
+      apply(batch);
+      await batch.commit();
+    } catch (error) {
+      console.error(`Error recording storage usage (${description}):`, error);
+    }
+  };
+
+  return {
+    limits,
+
+    /**
+     * Record bytes/items added (positive) or freed (negative) for an item owner
+     *
+     * @param {Object} owner - { uploaderId, type }
+     * @param {Object} change - { bytes, items }
+     */
+    async record(owner, change) {
+      if (!change.bytes && !change.items) return;
+      await commitChange(batch => addIncrements(batch, owner, change), 'record');
+    },
+
+    /**
+     * Move an item's usage from one owner to another (e.g. when its type changes)
+     */
+    async transfer(from, to, change) {
+      if (!change.bytes && !change.items) return;
+      await commitChange(batch => {
+        addIncrements(batch, from, { bytes: -(change.bytes || 0), items: -(change.items || 0) });
+        addIncrements(batch, to, change);
+      }, 'transfer');
+    },
+
+    /**
+     * Check whether adding bytes/items for an owner would exceed a limit
+     *
+     * @param {Object} owner - { uploaderId, type }
+     * @param {Object} change - { bytes, items }
+     * @returns {Promise<Object|null>} - { scope, key, limit, used, max, requested, message } for the
+     *   first exceeded limit, or null if the change fits
+     */
+    async check(owner, { bytes = 0, items = 0 }) {
+      const scopes = getScopes(owner).filter(({ limits: scopeLimits }) => {
+        return scopeLimits.bytes != null || scopeLimits.items != null;
+      });
+      if (scopes.length === 0) return null;
+
+      const docs = await db.getAll(...scopes.map(({ id }) => collection.doc(id)));
+
+      for (let i = 0; i < scopes.length; i++) {
+        const { scope, key, limits: scopeLimits } = scopes[i];
+        const usage = docs[i].exists ? docs[i].data() : {};
+        const label = scope === 'total' ? 'total' : `${scope} "${key}"`;
+
+        const usedItems = usage.items || 0;
+        if (items > 0 && scopeLimits.items != null && usedItems + items > scopeLimits.items) {
+          return {
+            scope, key, limit: 'items', used: usedItems, max: scopeLimits.items, requested: items,
+            message: `Item quota for ${label} reached (${usedItems} of ${scopeLimits.items} items)`
+          };
+        }
+
+        const usedBytes = usage.bytes || 0;
+        if (bytes > 0 && scopeLimits.bytes != null && usedBytes + bytes > scopeLimits.bytes) {
+          return {
+            scope, key, limit: 'bytes', used: usedBytes, max: scopeLimits.bytes, requested: bytes,
+            message: `Storage quota for ${label} exceeded: ${usedBytes} of ${scopeLimits.bytes} bytes used, ${bytes} more requested`
+          };
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * Usage of every counter against its limits
+     *
+     * @returns {Promise<Object>} - { total, types, uploaders }
+     */
+    async report() {
+      const snapshot = await collection.get();
+      const usage = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+
+      const describe = (id, scopeLimits) => {
+        const data = usage.get(id) || {};
+        const bytes = data.bytes || 0;
+        const items = data.items || 0;
+
+        return {
+          bytes,
+          items,
+          limitBytes: scopeLimits.bytes,
+          limitItems: scopeLimits.items,
+          percentBytes: scopeLimits.bytes ? Math.round((bytes / scopeLimits.bytes) * 10000) / 100 : null,
+          percentItems: scopeLimits.items ? Math.round((items / scopeLimits.items) * 10000) / 100 : null,
+          updatedAt: data.updatedAt || null
+        };
+      };
+
+      const typeIds = new Set([
+        ...types,
+        ...snapshot.docs.filter(doc => doc.data().scope === 'type').map(doc => doc.data().key)
+      ]);
+
+      return {
+        total: describe('total', limits.total),
+        types: Object.fromEntries([...typeIds].map(type => {
+          return [type, describe(`type_${type}`, limits.types[type] || {})];
+        })),
+        uploaders: snapshot.docs
+          .filter(doc => doc.data().scope === 'uploader')
+          .map(doc => ({ uploaderId: doc.data().key, ...describe(doc.id, limits.uploader) }))
+          .sort((a, b) => b.bytes - a.bytes)
+      };
+    },
+
+    /**
+     * Rebuild every counter from media_content (trashed items included,
+     * their files are still stored) and collection artwork
+     *
+     * @returns {Promise<Object>} - { items, bytes } totals
+     */
+    async recalculate() {
+      const counters = new Map();
+      const snapshot = await db.collection('media_content').get();
+
+      const add = (owner, bytes, items) => {
+        for (const { id, scope, key } of getScopes(owner)) {
+          const counter = counters.get(id) || { scope, key, bytes: 0, items: 0 };
+          counter.bytes += bytes;
+          counter.items += items;
+          counters.set(id, counter);
+        }
+      };
+
+      for (const doc of snapshot.docs) {
+        const data = doc.data();
+        const versions = await doc.ref.collection('versions').get();
+        const bytes = getMediaQuotaBytes(data, versions.docs.map(versionDoc => versionDoc.data()));
+
+        add({ uploaderId: data.uploadedBy, type: data.type }, bytes, 1);
+      }
+
+      // Collection artwork counts bytes for its creator, but no media type or item
+      const collections = await db.collection('collections').get();
+      for (const doc of collections.docs) {
+        const data = doc.data();
+        if (data.artworkSize) {
+          add({ uploaderId: data.createdBy, type: null }, data.artworkSize, 0);
+        }
+      }
+
+      // Counters with nothing left are reset rather than left stale
+      const existing = await collection.get();
+      for (const doc of existing.docs) {
+        if (!counters.has(doc.id)) {
+          counters.set(doc.id, { scope: doc.data().scope, key: doc.data().key, bytes: 0, items: 0 });
+        }
+      }
+
+      const now = new Date().toISOString();
+      const entries = [...counters.entries()];
+      for (let i = 0; i < entries.length; i += RECALCULATE_BATCH_SIZE) {
+        const batch = db.batch();
+        for (const [id, counter] of entries.slice(i, i + RECALCULATE_BATCH_SIZE)) {
+          batch.set(collection.doc(id), { ...counter, updatedAt: now, recalculatedAt: now });
+        }
+        await batch.commit();
+      }
+
+      const total = counters.get('total') || { bytes: 0, items: 0 };
+      return { items: total.items, bytes: total.bytes };
+    }
+  };
+};
+
+module.exports = {
+  createQuotaTracker,
+  getFileQuotaBytes,
+  getMediaQuotaBytes
+};
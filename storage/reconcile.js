@@ -0,0 +1,269 @@
+/**
+ * Storage Reconciliation
+ *
+ * Compares the files in a storage driver with the files referenced by
+ * media_content (current files, earlier versions, artwork and caption
+ * tracks) and by collections (artwork) and reports drift between the two:
+ *
+ *   orphans         stored files no document references
+ *   missing         referenced files that are not in storage
+ *   sizeMismatches  files whose size differs from the recorded size
+ *
+ * Each category can optionally be fixed. Used by POST /admin/storage/reconcile
+ * and scripts/reconcileStorage.js.
+ */
+
+const { getStorageKey } = require('./index');
+
+// Key prefixes holding uploaded files
+const STORAGE_PREFIXES = ['video/', 'audio/', 'artwork/', 'captions/'];
+
+const RECONCILE_FIXES = ['orphans', 'missing', 'sizes'];
+
+// Orphans younger than this are left alone: their upload may still be
+// waiting for its Firestore write
+const DEFAULT_ORPHAN_GRACE_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Collect every stored file referenced by media_content and collections
+ *
+ * @returns {Promise<Map>} - storage key => [{ mediaId, collectionId, version, language, kind, field, expectedSize, docRef, data }]
+ */
+const collectReferences = async (db) => {
+  const references = new Map();
+
+  const add = (key, reference) => {
+    if (!key) return;
+    if (!references.has(key)) {
+      references.set(key, []);
+    }
+    references.get(key).push(reference);
+  };
+
+  const snapshot = await db.collection('media_content').get();
+
+  for (const doc of snapshot.docs) {
+    const data = doc.data();
+
+    add(getStorageKey(data.storageKey, data.filePath), {
+      mediaId: doc.id, field: 'file', expectedSize: data.fileSize, docRef: doc.ref, data
+    });
+    add(getStorageKey(data.artworkKey, data.artworkPath), {
+      mediaId: doc.id, field: 'artwork', expectedSize: data.artworkSize, docRef: doc.ref, data
+    });
+    for (const track of data.captionTracks || []) {
+      add(track.storageKey, {
+        mediaId: doc.id,
+        language: track.language,
+        kind: track.kind,
+        field: 'captionTrack',
+        expectedSize: track.size,
+        docRef: doc.ref,
+        data
+      });
+    }
+
+    const versions = await doc.ref.collection('versions').get();
+    for (const versionDoc of versions.docs) {
+      const versionData = versionDoc.data();
+      add(getStorageKey(versionData.storageKey, versionData.filePath), {
+        mediaId: doc.id,
+        version: versionData.version,
+        field: 'version',
+        expectedSize: versionData.fileSize,
+        docRef: versionDoc.ref,
+        data: versionData
+      });
+    }
+  }
+
+  const collections = await db.collection('collections').get();
+
+  for (const doc of collections.docs) {
+    const data = doc.data();
+
+    add(getStorageKey(data.artworkKey, data.artworkPath), {
+      collectionId: doc.id, field: 'collectionArtwork', expectedSize: data.artworkSize, docRef: doc.ref, data
+    });
+  }
+
+  return references;
+};
+
+/**
+ * Update one caption track of a media document (re-read, as other fixes
+ * may have changed the document since references were collected)
+ *
+ * @param {Object} reference - captionTrack reference
+ * @param {Function} change - (track) => updated track, or null to remove it
+ */
+const updateCaptionTrack = async (reference, change) => {
+  const doc = await reference.docRef.get();
+  const tracks = (doc.data().captionTracks || [])
+    .map(track => (track.language === reference.language && track.kind === reference.kind ? change(track) : track))
+    .filter(Boolean);
+
+  await reference.docRef.update({ captionTracks: tracks, updatedAt: new Date().toISOString() });
+};
+
+/**
+ * Fix a document whose file is missing from storage
+ *
+ * Items lose their current file to the trash (so they can still be
+ * inspected or restored), version records are dropped and artwork
+ * fields (of media items and collections) and caption tracks are cleared.
+ *
+ * @returns {Promise<string>} - Description of the fix
+ */
+const fixMissing = async (reference, actor) => {
+  const now = new Date().toISOString();
+
+  switch (reference.field) {
+    case 'file':
+      if (reference.data.isDeleted === true) {
+        return 'already in trash';
+      }
+      await reference.docRef.update({
+        isDeleted: true,
+        deletedAt: now,
+        deletedBy: actor,
+        missingFileDetectedAt: now
+      });
+      return 'moved to trash';
+
+    case 'version':
+      await reference.docRef.delete();
+      return 'version record deleted';
+
+    case 'artwork':
+    case 'collectionArtwork':
+      await reference.docRef.update({
+        artworkKey: null,
+        artworkPath: null,
+        artworkMimeType: null,
+        artworkWidth: null,
+        artworkHeight: null,
+        artworkSize: null,
+        artworkUpdatedAt: now,
+        updatedAt: now
+      });
+      return 'artwork cleared';
+
+    case 'captionTrack':
+      await updateCaptionTrack(reference, () => null);
+      return 'caption track removed';
+
+    default:
+      return 'not fixed';
+  }
+};
+
+/**
+ * Compare storage with media_content and optionally fix the drift
+ *
+ * @param {Object} options - Reconciliation options
+ * @param {Object} options.db - Firestore instance
+ * @param {Object} options.storage - Storage driver
+ * @param {Array<string>} options.fix - Categories to fix: 'orphans', 'missing', 'sizes'
+ * @param {string} options.actor - Recorded as deletedBy when items are moved to the trash
+ * @param {number} options.orphanGraceMs - Minimum age of orphans that are deleted
+ * @returns {Promise<Object>} - Report with orphans, missing, sizeMismatches and totals
+ */
+const reconcileStorage = async ({
+  db,
+  storage,
+  fix = [],
+  actor = 'reconciler',
+  orphanGraceMs = DEFAULT_ORPHAN_GRACE_MS
+}) => {
+  const references = await collectReferences(db);
+
+  const stored = new Map();
+  for (const prefix of STORAGE_PREFIXES) {
+    for (const file of await storage.list(prefix)) {
+      stored.set(file.key, file);
+    }
+  }
+
+  const report = {
+    driver: storage.name,
+    fix,
+    scanned: { files: stored.size, references: references.size },
+    orphans: [],
+    missing: [],
+    sizeMismatches: []
+  };
+
+  // Stored files nothing points to
+  const graceCutoff = Date.now() - orphanGraceMs;
+  for (const file of stored.values()) {
+    if (references.has(file.key)) continue;
+
+    const orphan = { key: file.key, size: file.size, lastModified: file.lastModified.toISOString() };
+
+    if (fix.includes('orphans')) {
+      if (file.lastModified.getTime() > graceCutoff) {
+        orphan.fix = 'skipped (recently written)';
+      } else {
+        await storage.delete(file.key);
+        orphan.fix = 'deleted';
+      }
+    }
+    report.orphans.push(orphan);
+  }
+
+  // Referenced files that are gone or have changed size
+  for (const [key, keyReferences] of references) {
+    const file = stored.get(key);
+
+    for (const reference of keyReferences) {
+      const entry = reference.collectionId !== undefined
+        ? { key, collectionId: reference.collectionId, field: reference.field }
+        : { key, mediaId: reference.mediaId, field: reference.field };
+      if (reference.version !== undefined) {
+        entry.version = reference.version;
+      }
+      if (reference.language !== undefined) {
+        entry.language = reference.language;
+        entry.kind = reference.kind;
+      }
+
+      if (!file) {
+        if (fix.includes('missing')) {
+          entry.fix = await fixMissing(reference, actor);
+        }
+        report.missing.push(entry);
+        continue;
+      }
+
+      if (typeof reference.expectedSize === 'number' && reference.expectedSize !== file.size) {
+        entry.expectedSize = reference.expectedSize;
+        entry.actualSize = file.size;
+
+        if (fix.includes('sizes') && reference.field === 'captionTrack') {
+          await updateCaptionTrack(reference, track => ({ ...track, size: file.size }));
+          entry.fix = 'caption track size updated';
+        } else if (fix.includes('sizes')) {
+          const sizeField = reference.field === 'file' || reference.field === 'version' ? 'fileSize' : 'artworkSize';
+          await reference.docRef.update({ [sizeField]: file.size });
+          entry.fix = `${sizeField} updated`;
+        }
+        report.sizeMismatches.push(entry);
+      }
+    }
+  }
+
+  report.totals = {
+    orphans: report.orphans.length,
+    orphanBytes: report.orphans.reduce((total, orphan) => total + orphan.size, 0),
+    missing: report.missing.length,
+    sizeMismatches: report.sizeMismatches.length
+  };
+
+  return report;
+};
+
+module.exports = {
+  RECONCILE_FIXES,
+  reconcileStorage
+};
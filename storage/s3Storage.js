@@ -0,0 +1,154 @@
+/**
+ * S3-Compatible Storage Driver
+ *
+ * Stores files as objects in an S3 bucket. Works with AWS S3 and
+ * S3-compatible services such as MinIO (set an endpoint and path-style
+ * addressing). Storage keys are used as object keys.
+ */
+
+const fs = require('fs');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Create an S3-compatible storage driver
+ *
+ * @param {Object} options - Driver options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Bucket region
+ * @param {string} options.endpoint - Custom endpoint, e.g. http://localhost:9000 for MinIO
+ * @param {string} options.accessKeyId - Access key (defaults to the AWS credential chain)
+ * @param {string} options.secretAccessKey - Secret key
+ * @param {boolean} options.forcePathStyle - Use bucket-in-path URLs (needed for MinIO)
+ * @param {string} options.publicUrl - Base URL objects are publicly reachable at, if any
+ * @returns {Object} - Storage driver
+ */
+const createS3Storage = ({
+  bucket,
+  region = 'us-east-1',
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = false,
+  publicUrl
+}) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    // Streamed uploads otherwise use aws-chunked checksums, which many
+    // S3-compatible services do not understand
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED'
+  });
+
+  // Where objects live when no public URL is configured
+  const objectBaseUrl = (publicUrl ||
+    (endpoint
+      ? `${endpoint}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+
+    /**
+     * Store a file. A string source is a local file that is uploaded and
+     * then removed; anything else is a readable stream, which needs
+     * options.contentLength.
+     */
+    async put(key, source, { contentType, contentLength } = {}) {
+      const isLocalFile = typeof source === 'string';
+      const body = isLocalFile ? fs.createReadStream(source) : source;
+      const length = isLocalFile ? (await fs.promises.stat(source)).size : contentLength;
+
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ContentLength: length
+      }));
+
+      if (isLocalFile) {
+        await fs.promises.unlink(source);
+      }
+    },
+
+    /**
+     * Open a read stream, optionally limited to an inclusive byte range
+     */
+    async getStream(key, { start, end } = {}) {
+      const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+      const response = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Range: range
+      }));
+      return response.Body;
+    },
+
+    /**
+     * Get object size and modification time, or null if it does not exist
+     */
+    async stat(key) {
+      try {
+        const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: response.ContentLength, lastModified: response.LastModified };
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * List stored objects under a key prefix
+     *
+     * @returns {Promise<Array>} - [{ key, size, lastModified }]
+     */
+    async list(prefix = '') {
+      const files = [];
+      let continuationToken;
+
+      do {
+        const response = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken
+        }));
+
+        for (const object of response.Contents || []) {
+          files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        }
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return files;
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    /**
+     * Direct object URL (only reachable if the bucket allows public reads)
+     */
+    getUrl(key) {
+      return `${objectBaseUrl}/${key}`;
+    }
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,242 @@
+/**
+ * Caption Tracks
+ *
+ * Parses SubRip (SRT) and WebVTT text tracks, checks their cue timing and
+ * writes them out as WebVTT, the format browsers load in <track> elements.
+ * Used when caption tracks are uploaded for media items.
+ */
+
+const CAPTION_FORMATS = ['srt', 'vtt'];
+
+// [hh:]mm:ss.mmm (WebVTT) or hh:mm:ss,mmm (SRT)
+const TIMESTAMP = /^(?:(\d+):)?([0-5]\d):([0-5]\d)[.,](\d{3})$/;
+
+// start --> end, followed by WebVTT cue settings (or SRT coordinates)
+const TIMING_LINE = /^(\S+)[ \t]+-->[ \t]+(\S+)(.*)$/;
+
+// WebVTT blocks that are not cues; NOTE blocks are comments and dropped
+const VTT_HEADER_BLOCKS = /^(STYLE|REGION)(\s|$)/;
+const VTT_COMMENT_BLOCK = /^NOTE(\s|$)/;
+
+/**
+ * Parse a timestamp into seconds
+ *
+ * @returns {number|null} - Seconds, or null if the timestamp is not valid
+ */
+const parseTimestamp = (value) => {
+  const match = TIMESTAMP.exec(value);
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, milliseconds] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(milliseconds) / 1000;
+};
+
+/**
+ * Format seconds as a WebVTT timestamp (hh:mm:ss.mmm)
+ */
+const formatTimestamp = (totalSeconds) => {
+  const totalMs = Math.round(totalSeconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  const milliseconds = totalMs % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+    `${String(seconds).padStart(2, '0')}.${String(milliseconds).padStart(3, '0')}`;
+};
+
+/**
+ * Convert SRT cue text to WebVTT cue text
+ *
+ * Keeps <i>, <b> and <u>, drops <font> tags and {\an8}-style positioning
+ * codes, and escapes characters WebVTT would read as markup.
+ */
+const convertSrtText = (lines) => {
+  return lines
+    .map(line => line
+      .replace(/<\/?font[^>]*>/gi, '')
+      .replace(/\{\\[^}]*\}/g, '')
+      .replace(/&(?!(?:amp|lt|gt|nbsp|lrm|rlm);)/g, '&amp;')
+      .replace(/<(?!\/?[ibu]>)/gi, '&lt;')
+      .replace(/-->/g, '--&gt;'))
+    // A blank line would end the cue in WebVTT
+    .filter(line => line.trim() !== '');
+};
+
+/**
+ * Split a track into blocks separated by blank lines
+ *
+ * @returns {Array<Object>} - [{ lines, lineNumber }] where lineNumber is the block's first line (1-based)
+ */
+const splitBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+
+  text.split('\n').forEach((line, index) => {
+    if (line.trim() === '') {
+      current = null;
+      return;
+    }
+    if (!current) {
+      current = { lines: [], lineNumber: index + 1 };
+      blocks.push(current);
+    }
+    current.lines.push(line);
+  });
+
+  return blocks;
+};
+
+/**
+ * Parse one cue block (optional identifier line, timing line, payload)
+ *
+ * @returns {Object} - { cue } or { error }
+ */
+const parseCueBlock = (block, format) => {
+  let { lines } = block;
+  let identifier = null;
+
+  if (!lines[0].includes('-->')) {
+    identifier = lines[0].trim();
+    lines = lines.slice(1);
+  }
+
+  const lineNumber = block.lineNumber + (identifier === null ? 0 : 1);
+  const timing = lines.length > 0 ? TIMING_LINE.exec(lines[0].trim()) : null;
+
+  if (!timing) {
+    return { error: `Line ${lineNumber}: expected a cue timing line ("00:00:01.000 --> 00:00:04.000")` };
+  }
+
+  const start = parseTimestamp(timing[1]);
+  const end = parseTimestamp(timing[2]);
+
+  if (start === null || end === null) {
+    const invalid = start === null ? timing[1] : timing[2];
+    return { error: `Line ${lineNumber}: "${invalid}" is not a valid timestamp` };
+  }
+
+  return {
+    cue: {
+      identifier: format === 'srt' ? null : identifier,
+      start,
+      end,
+      // SRT may carry X1:.. Y1:.. coordinates here, which WebVTT does not understand
+      settings: format === 'vtt' ? timing[3].trim() : '',
+      text: format === 'srt' ? convertSrtText(lines.slice(1)) : lines.slice(1),
+      lineNumber
+    }
+  };
+};
+
+/**
+ * Parse an SRT or WebVTT track and check its cue timing
+ *
+ * Every cue must end after it starts and start no earlier than the cue
+ * before it. With a media duration, cues must also start before the
+ * media ends.
+ *
+ * @param {string} text - Track contents
+ * @param {string} format - 'srt' or 'vtt'
+ * @param {Object} options - { duration: media length in seconds, if known }
+ * @returns {Object} - { cues, headerBlocks, error } where error is null if the track is valid
+ */
+const parseCaptions = (text, format, { duration = null } = {}) => {
+  const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  let blocks = splitBlocks(normalized);
+  const headerBlocks = [];
+
+  if (format === 'vtt') {
+    if (blocks.length === 0 || !/^WEBVTT([ \t]|$)/.test(blocks[0].lines[0]) || blocks[0].lineNumber !== 1) {
+      return { cues: [], headerBlocks, error: 'WebVTT files must start with a "WEBVTT" line' };
+    }
+    blocks = blocks.slice(1).filter(block => {
+      if (VTT_COMMENT_BLOCK.test(block.lines[0])) return false;
+      if (VTT_HEADER_BLOCKS.test(block.lines[0])) {
+        headerBlocks.push(block.lines.join('\n'));
+        return false;
+      }
+      return true;
+    });
+  }
+
+  const cues = [];
+
+  for (const block of blocks) {
+    const { cue, error } = parseCueBlock(block, format);
+    if (error) {
+      return { cues: [], headerBlocks, error };
+    }
+
+    const label = `Cue ${cues.length + 1} (line ${cue.lineNumber})`;
+
+    if (cue.end <= cue.start) {
+      return {
+        cues: [], headerBlocks,
+        error: `${label}: ends at ${formatTimestamp(cue.end)}, which is not after its start ${formatTimestamp(cue.start)}`
+      };
+    }
+
+    const previous = cues[cues.length - 1];
+    if (previous && cue.start < previous.start) {
+      return {
+        cues: [], headerBlocks,
+        error: `${label}: starts at ${formatTimestamp(cue.start)}, before the previous cue (${formatTimestamp(previous.start)})`
+      };
+    }
+
+    if (duration && cue.start >= duration) {
+      return {
+        cues: [], headerBlocks,
+        error: `${label}: starts at ${formatTimestamp(cue.start)}, after the media ends (${formatTimestamp(duration)})`
+      };
+    }
+
+    cues.push(cue);
+  }
+
+  if (cues.length === 0) {
+    return { cues, headerBlocks, error: 'Track has no cues' };
+  }
+
+  return { cues, headerBlocks, error: null };
+};
+
+/**
+ * Write parsed cues as a WebVTT document
+ *
+ * @param {Object} parsed - { cues, headerBlocks } from parseCaptions()
+ * @returns {string} - WebVTT text
+ */
+const toWebVtt = ({ cues, headerBlocks = [] }) => {
+  const blocks = ['WEBVTT', ...headerBlocks];
+
+  for (const cue of cues) {
+    const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`;
+    blocks.push([cue.identifier, timing, ...cue.text].filter(line => line !== null).join('\n'));
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+};
+
+/**
+ * Work out a track's format from its file name, falling back to its contents
+ *
+ * @returns {string|null} - 'srt', 'vtt' or null if unknown
+ */
+const detectCaptionFormat = (filename, text) => {
+  const ext = (filename || '').toLowerCase().split('.').pop();
+  if (CAPTION_FORMATS.includes(ext)) return ext;
+
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+  if (/^WEBVTT([ \t]|$)/.test(firstLine)) return 'vtt';
+  if (/^\d+\s*$/.test(firstLine)) return 'srt';
+  return null;
+};
+
+module.exports = {
+  CAPTION_FORMATS,
+  parseCaptions,
+  toWebVtt,
+  detectCaptionFormat
+};
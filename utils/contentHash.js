@@ -0,0 +1,74 @@
+/**
+ * Content Hashing
+ *
+ * SHA-256 digests of uploaded files, used to detect the same file being
+ * uploaded twice. Multipart uploads and URL imports are hashed while they
+ * are written to disk; resumable uploads arrive over several requests and
+ * are hashed once the last chunk is in.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform } = require('stream');
+
+/**
+ * Create a pass-through stream that hashes everything flowing through it
+ *
+ * @returns {Transform} - Stream with a digest() method returning the hex SHA-256
+ */
+const createHashStream = () => {
+  const hash = crypto.createHash('sha256');
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+
+  stream.digest = () => hash.digest('hex');
+  return stream;
+};
+
+/**
+ * Wrap a multer storage engine so stored files get a `sha256` property
+ *
+ * @param {Object} storage - Multer storage engine (e.g. multer.diskStorage())
+ * @returns {Object} - Storage engine hashing each file as it is written
+ */
+const withContentHash = (storage) => ({
+  _handleFile(req, file, cb) {
+    const hashStream = createHashStream();
+    file.stream.on('error', error => hashStream.destroy(error));
+
+    storage._handleFile(req, { ...file, stream: file.stream.pipe(hashStream) }, (error, info) => {
+      if (error) return cb(error);
+      cb(null, { ...info, sha256: hashStream.digest() });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    storage._removeFile(req, file, cb);
+  }
+});
+
+/**
+ * Compute the SHA-256 of a file on disk
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Hex digest
+ */
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+module.exports = {
+  createHashStream,
+  withContentHash,
+  hashFile
+};
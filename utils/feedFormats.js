@@ -0,0 +1,161 @@
+/**
+ * Feed Formats
+ *
+ * Writes a page of the media feed in standard formats that off-the-shelf
+ * readers and players load: JSON Feed 1.1, extended M3U8 and XSPF. The
+ * format comes from ?format= or, failing that, the Accept header; the
+ * default is the API's own JSON response.
+ */
+
+const { escapeXml } = require('./podcastFeed');
+
+const FEED_FORMATS = {
+  json: 'application/json',
+  jsonfeed: 'application/feed+json',
+  m3u8: 'audio/x-mpegurl',
+  xspf: 'application/xspf+xml'
+};
+
+// Accept header media types for each format, including common aliases
+const ACCEPT_TYPES = [
+  ['application/json', 'json'],
+  ['application/feed+json', 'jsonfeed'],
+  ['audio/x-mpegurl', 'm3u8'],
+  ['audio/mpegurl', 'm3u8'],
+  ['application/x-mpegurl', 'm3u8'],
+  ['application/vnd.apple.mpegurl', 'm3u8'],
+  ['application/xspf+xml', 'xspf']
+];
+
+/**
+ * Pick the response format of a feed request
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} - A FEED_FORMATS key, or null if ?format= is not supported.
+ *   An Accept header that matches no format gets the default JSON.
+ */
+const negotiateFeedFormat = (req) => {
+  const { format } = req.query;
+
+  if (format !== undefined) {
+    return Object.prototype.hasOwnProperty.call(FEED_FORMATS, format) ? format : null;
+  }
+
+  const accepted = req.accepts(ACCEPT_TYPES.map(([type]) => type));
+  const match = ACCEPT_TYPES.find(([type]) => type === accepted);
+  return match ? match[1] : 'json';
+};
+
+/**
+ * Keep a playlist title on one line
+ */
+const singleLine = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Build a JSON Feed 1.1 document
+ *
+ * @param {Object} feed - { title, homePageUrl, feedUrl, nextUrl, items }, where items are
+ *   [{ id, title, summary, url, mimeType, size, duration, imageUrl, tags, language, published, modified }]
+ * @returns {Object} - JSON Feed object
+ */
+const buildJsonFeed = ({ title, homePageUrl, feedUrl, nextUrl, items }) => {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: homePageUrl,
+    feed_url: feedUrl
+  };
+
+  if (nextUrl) feed.next_url = nextUrl;
+
+  feed.items = items.map(item => {
+    const attachment = { url: item.url, mime_type: item.mimeType };
+    if (Number.isFinite(item.size)) attachment.size_in_bytes = item.size;
+    if (Number.isFinite(item.duration)) attachment.duration_in_seconds = item.duration;
+
+    const entry = {
+      id: item.id,
+      title: item.title,
+      content_text: item.summary || item.title
+    };
+    if (item.summary) entry.summary = item.summary;
+    if (item.imageUrl) entry.image = item.imageUrl;
+    if (item.published) entry.date_published = item.published;
+    if (item.modified) entry.date_modified = item.modified;
+    if (item.tags && item.tags.length > 0) entry.tags = item.tags;
+    if (item.language) entry.language = item.language;
+    entry.attachments = [attachment];
+
+    return entry;
+  });
+
+  return feed;
+};
+
+/**
+ * Build an extended M3U playlist (UTF-8, .m3u8)
+ *
+ * Each entry has an #EXTINF line with its duration in whole seconds (-1
+ * if unknown) and title.
+ *
+ * @param {Object} playlist - { title, items } with items as for buildJsonFeed()
+ * @returns {string} - Playlist text
+ */
+const buildM3u8 = ({ title, items }) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${singleLine(title)}`];
+
+  for (const item of items) {
+    const duration = Number.isFinite(item.duration) ? Math.round(item.duration) : -1;
+    lines.push(`#EXTINF:${duration},${singleLine(item.title)}`, item.url);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Build an XSPF playlist
+ *
+ * @param {Object} playlist - { title, feedUrl, items } with items as for buildJsonFeed(),
+ *   plus pageUrl (the item's API URL, used as its identifier)
+ * @returns {string} - XML document
+ */
+const buildXspf = ({ title, feedUrl, items }) => {
+  const element = (indent, name, value) => (
+    value === null || value === undefined || value === ''
+      ? []
+      : [`${indent}<${name}>${escapeXml(value)}</${name}>`]
+  );
+
+  const tracks = items.flatMap(item => [
+    '    <track>',
+    ...element('      ', 'location', item.url),
+    ...element('      ', 'identifier', item.pageUrl),
+    ...element('      ', 'title', item.title),
+    ...element('      ', 'annotation', item.summary),
+    ...element('      ', 'image', item.imageUrl),
+    // XSPF durations are in milliseconds
+    ...element('      ', 'duration', Number.isFinite(item.duration) ? Math.round(item.duration * 1000) : null),
+    '    </track>'
+  ]);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    ...element('  ', 'title', title),
+    ...element('  ', 'location', feedUrl),
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>'
+  ];
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  FEED_FORMATS,
+  negotiateFeedFormat,
+  buildJsonFeed,
+  buildM3u8,
+  buildXspf
+};
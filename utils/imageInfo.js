@@ -0,0 +1,157 @@
+/**
+ * Image Info
+ *
+ * Reads the format and pixel dimensions of JPEG, PNG and WebP images from
+ * their headers, without decoding the image. Used to validate artwork
+ * uploaded for media items.
+ */
+
+const fs = require('fs');
+
+// Enough for the PNG IHDR chunk and every WebP header variant
+const HEADER_BYTES = 32;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Check whether the buffer has the given ASCII string at an offset
+ */
+const hasAscii = (buffer, offset, text) => {
+  return buffer.length >= offset + text.length &&
+    buffer.toString('latin1', offset, offset + text.length) === text;
+};
+
+/**
+ * Check whether a JPEG marker is a start-of-frame (carries the dimensions)
+ *
+ * SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC).
+ */
+const isStartOfFrame = (marker) => {
+  return marker >= 0xc0 && marker <= 0xcf &&
+    marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+};
+
+/**
+ * Read PNG dimensions from the IHDR chunk
+ */
+const readPng = (header) => {
+  if (!hasAscii(header, 12, 'IHDR')) return null;
+
+  return {
+    format: 'png',
+    mimeType: 'image/png',
+    width: header.readUInt32BE(16),
+    height: header.readUInt32BE(20)
+  };
+};
+
+/**
+ * Read WebP dimensions from the first chunk (lossy, lossless or extended)
+ */
+const readWebp = (header) => {
+  const result = { format: 'webp', mimeType: 'image/webp' };
+
+  // Lossy: frame tag (3 bytes), start code 9D 01 2A, then 14-bit sizes
+  if (hasAscii(header, 12, 'VP8 ')) {
+    if (header[23] !== 0x9d || header[24] !== 0x01 || header[25] !== 0x2a) return null;
+    result.width = header.readUInt16LE(26) & 0x3fff;
+    result.height = header.readUInt16LE(28) & 0x3fff;
+    return result;
+  }
+
+  // Lossless: signature 0x2F, then 14-bit width - 1 and height - 1
+  if (hasAscii(header, 12, 'VP8L')) {
+    if (header[20] !== 0x2f) return null;
+    const bits = header.readUInt32LE(21);
+    result.width = (bits & 0x3fff) + 1;
+    result.height = ((bits >> 14) & 0x3fff) + 1;
+    return result;
+  }
+
+  // Extended: 24-bit canvas width - 1 and height - 1
+  if (hasAscii(header, 12, 'VP8X')) {
+    result.width = header.readUIntLE(24, 3) + 1;
+    result.height = header.readUIntLE(27, 3) + 1;
+    return result;
+  }
+
+  return null;
+};
+
+/**
+ * Walk JPEG segments until the start-of-frame segment
+ *
+ * EXIF and ICC segments can be tens of kilobytes, so segments are skipped
+ * by reading only their headers from the file.
+ */
+const readJpeg = async (read) => {
+  let offset = 2;
+
+  for (;;) {
+    const segment = await read(offset, 9);
+    if (segment.length < 4 || segment[0] !== 0xff) return null;
+
+    const marker = segment[1];
+
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    // Start of scan / end of image before any frame header
+    if (marker === 0xda || marker === 0xd9) return null;
+
+    if (isStartOfFrame(marker)) {
+      if (segment.length < 9) return null;
+      return {
+        format: 'jpeg',
+        mimeType: 'image/jpeg',
+        width: segment.readUInt16BE(7),
+        height: segment.readUInt16BE(5)
+      };
+    }
+
+    offset += 2 + segment.readUInt16BE(2);
+  }
+};
+
+/**
+ * Read the format and dimensions of an image file
+ *
+ * @param {string} filePath - Path to the image on disk
+ * @returns {Promise<Object|null>} - { format, mimeType, width, height } or null if not a JPEG, PNG or WebP image
+ */
+const readImageInfo = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  const read = async (position, length) => {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  };
+
+  try {
+    const header = await read(0, HEADER_BYTES);
+
+    if (header.length >= 24 && header.subarray(0, 8).equals(PNG_SIGNATURE)) {
+      return readPng(header);
+    }
+
+    if (header.length >= 30 && hasAscii(header, 0, 'RIFF') && hasAscii(header, 8, 'WEBP')) {
+      return readWebp(header);
+    }
+
+    if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+      return await readJpeg(read);
+    }
+
+    return null;
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  readImageInfo
+};
@@ -0,0 +1,112 @@
+/**
+ * Locales
+ *
+ * Localized text on media items and app settings. A document's own fields
+ * (e.g. a media item's title and subtitle) are in its base locale; other
+ * locales are kept in a `translations` map keyed by BCP 47 tag. A request
+ * asks for locales with ?lang= or Accept-Language and gets the best match
+ * the document has, else the default locale, else the base fields.
+ */
+
+/**
+ * Canonicalize a BCP 47 language code (e.g. "en-us" becomes "en-US")
+ *
+ * @returns {string|null} - Canonical code, or null if it is not valid
+ */
+const normalizeLanguage = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  try {
+    return Intl.getCanonicalLocales(value.trim())[0];
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Read the locales a request asks for, most preferred first
+ *
+ * ?lang= takes precedence over the Accept-Language header. "*" (any
+ * locale) is kept; tags that are not valid are dropped from the header.
+ *
+ * @param {Object} req - Express request object
+ * @returns {Array<string>|null} - Canonical tags, or null if ?lang= is not valid
+ */
+const negotiateLocales = (req) => {
+  const { lang } = req.query;
+
+  if (lang !== undefined) {
+    const tag = normalizeLanguage(lang);
+    return tag ? [tag] : null;
+  }
+
+  return req.acceptsLanguages()
+    .map(tag => (tag === '*' ? tag : normalizeLanguage(tag)))
+    .filter(Boolean);
+};
+
+/**
+ * Find the best available locale for the requested ones
+ *
+ * Each requested tag is tried as is, then with subtags removed from the
+ * end ("pt-BR" finds "pt"), then against any tag of the same language
+ * ("pt" or "pt-PT" finds "pt-BR"), before moving on to the next one. "*"
+ * ends the search.
+ *
+ * @param {Array<string>} requested - Canonical tags, most preferred first
+ * @param {Array<string>} available - Canonical tags
+ * @returns {string|null} - An available tag, or null if none matches
+ */
+const matchLocale = (requested, available) => {
+  for (const tag of requested) {
+    if (tag === '*') return null;
+
+    const subtags = tag.split('-');
+    for (let length = subtags.length; length > 0; length -= 1) {
+      const candidate = subtags.slice(0, length).join('-');
+      if (available.includes(candidate)) return candidate;
+    }
+
+    const sameLanguage = available.find(candidate => candidate.split('-')[0] === subtags[0]);
+    if (sameLanguage) return sameLanguage;
+  }
+  return null;
+};
+
+/**
+ * Pick the locale to serve a document in and its localized field values
+ *
+ * @param {Object} data - Document data with an optional `translations` map
+ * @param {Object} options
+ * @param {string} options.baseLocale - Locale of the document's own fields
+ * @param {string} options.defaultLocale - Locale served when none of the requested ones is available
+ * @param {Array<string>} options.requested - From negotiateLocales()
+ * @param {Array<string>|null} options.fields - Fields to localize, or null for every field of the translation
+ * @returns {Object} - { locale, locales, values } where locales lists the available
+ *   locales (base first) and values holds the translated fields to apply
+ */
+const localize = (data, { baseLocale, defaultLocale, requested, fields }) => {
+  const translations = data.translations || {};
+  const locales = [baseLocale, ...Object.keys(translations).filter(tag => tag !== baseLocale).sort()];
+  const locale = matchLocale(requested, locales) || matchLocale([defaultLocale], locales) || baseLocale;
+
+  const values = {};
+  if (locale !== baseLocale) {
+    const translation = translations[locale];
+
+    // Fields the translation leaves out keep their base values
+    for (const field of fields || Object.keys(translation)) {
+      if (translation[field] !== undefined && translation[field] !== null) {
+        values[field] = translation[field];
+      }
+    }
+  }
+
+  return { locale, locales, values };
+};
+
+module.exports = {
+  normalizeLanguage,
+  negotiateLocales,
+  localize
+};
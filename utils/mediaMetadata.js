@@ -0,0 +1,710 @@
+/**
+ * Media Metadata Extraction
+ *
+ * Reads technical metadata (duration, bitrate, sample rate, channels,
+ * dimensions and codecs) from container headers in pure JavaScript.
+ * Only the header regions are read, never the whole file.
+ *
+ * Supported: MP4/MOV (moov/mvhd and track boxes), WAV (fmt), FLAC
+ * (STREAMINFO), MP3 (frame header, Xing/Info and VBRI), Ogg (Vorbis,
+ * Opus, FLAC) and the first frame of AAC ADTS streams.
+ */
+
+const fs = require('fs');
+
+// Upper bound for reading an MP4 moov box into memory
+const MAX_MOOV_SIZE = 64 * 1024 * 1024;
+
+// Bytes read from the end of an Ogg file to find the last page
+const OGG_TAIL_BYTES = 64 * 1024;
+
+// MPEG audio bitrate tables (kbps), indexed by bitrate index
+const MPEG_BITRATES = {
+  'V1L1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  'V1L2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  'V1L3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  'V2L1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  'V2L2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  'V2L3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+// MPEG audio sample rates, indexed by version bits then sample rate index
+const MPEG_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  0: [11025, 12000, 8000] // MPEG 2.5
+};
+
+// AAC sampling frequency index table
+const AAC_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050,
+  16000, 12000, 11025, 8000, 7350
+];
+
+// WAVE format tags
+const WAV_FORMATS = {
+  0x0003: 'pcm_float',
+  0x0006: 'alaw',
+  0x0007: 'mulaw',
+  0x0011: 'adpcm_ima',
+  0x0055: 'mp3'
+};
+
+/**
+ * Create an empty metadata result
+ */
+const emptyMetadata = () => ({
+  durationSeconds: null,
+  bitrate: null,
+  sampleRate: null,
+  channels: null,
+  width: null,
+  height: null,
+  videoCodec: null,
+  audioCodec: null
+});
+
+/**
+ * Read bytes from a file handle at a position
+ *
+ * @returns {Promise<Buffer>} - May be shorter than length near the end of file
+ */
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+/**
+ * Round a duration to milliseconds, dropping invalid values
+ */
+const toDuration = (seconds) => {
+  return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 1000) / 1000 : null;
+};
+
+// =============================================================================
+// MP4 / MOV
+// =============================================================================
+
+/**
+ * Iterate over the child boxes in a buffer range
+ *
+ * @returns {Object[]} - [{ type, start, end }] with start/end of each payload
+ */
+const listBoxes = (buffer, start, end) => {
+  const boxes = [];
+  let pos = start;
+
+  while (pos + 8 <= end) {
+    let size = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (pos + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(pos + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+
+    if (size < headerSize || pos + size > end) break;
+
+    boxes.push({ type, start: pos + headerSize, end: pos + size });
+    pos += size;
+  }
+
+  return boxes;
+};
+
+const findBox = (buffer, parent, type) => {
+  return listBoxes(buffer, parent.start, parent.end).find(box => box.type === type) || null;
+};
+
+/**
+ * Find a top-level box in the file without reading the whole file
+ */
+const findTopLevelBox = async (handle, fileSize, type) => {
+  let pos = 0;
+
+  while (pos + 8 <= fileSize) {
+    const header = await readAt(handle, pos, 16);
+    if (header.length < 8) break;
+
+    let size = header.readUInt32BE(0);
+    const boxType = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (header.length < 16) break;
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - pos;
+    }
+
+    if (size < headerSize) break;
+
+    if (boxType === type) {
+      return { position: pos + headerSize, size: size - headerSize };
+    }
+    pos += size;
+  }
+
+  return null;
+};
+
+/**
+ * Parse an MPEG-4 descriptor length (1-4 bytes, 7 bits each)
+ */
+const readDescriptorLength = (buffer, pos) => {
+  let length = 0;
+  for (let i = 0; i < 4 && pos < buffer.length; i++) {
+    const byte = buffer[pos++];
+    length = (length << 7) | (byte & 0x7f);
+    if (!(byte & 0x80)) break;
+  }
+  return { length, pos };
+};
+
+/**
+ * Build an RFC 6381 codec string (e.g. mp4a.40.2) from an esds box
+ */
+const parseEsdsCodec = (buffer, box) => {
+  let pos = box.start + 4; // version + flags
+
+  if (buffer[pos] !== 0x03) return 'mp4a';
+  pos = readDescriptorLength(buffer, pos + 1).pos;
+
+  const esFlags = buffer[pos + 2];
+  pos += 3;
+  if (esFlags & 0x80) pos += 2;
+  if (esFlags & 0x40) pos += 1 + buffer[pos];
+  if (esFlags & 0x20) pos += 2;
+
+  if (buffer[pos] !== 0x04) return 'mp4a';
+  pos = readDescriptorLength(buffer, pos + 1).pos;
+
+  const objectType = buffer[pos];
+  const codec = `mp4a.${objectType.toString(16)}`;
+  pos += 13;
+
+  if (buffer[pos] !== 0x05 || pos >= box.end) return codec;
+  pos = readDescriptorLength(buffer, pos + 1).pos;
+
+  let audioObjectType = buffer[pos] >> 3;
+  if (audioObjectType === 31) {
+    audioObjectType = 32 + (((buffer[pos] & 0x07) << 3) | (buffer[pos + 1] >> 5));
+  }
+
+  return `${codec}.${audioObjectType}`;
+};
+
+/**
+ * Parse the first sample description of a track's stsd box
+ */
+const parseSampleEntry = (buffer, stsd, handler) => {
+  const entry = listBoxes(buffer, stsd.start + 8, stsd.end)[0];
+  if (!entry) return null;
+
+  const format = entry.type;
+  const result = { codec: format.trim() };
+
+  if (handler === 'vide') {
+    result.width = buffer.readUInt16BE(entry.start + 24);
+    result.height = buffer.readUInt16BE(entry.start + 26);
+
+    const avcC = listBoxes(buffer, entry.start + 78, entry.end).find(box => box.type === 'avcC');
+    if (avcC) {
+      const profile = buffer.subarray(avcC.start + 1, avcC.start + 4).toString('hex');
+      result.codec = `${format}.${profile}`;
+    }
+  } else if (handler === 'soun') {
+    const version = buffer.readUInt16BE(entry.start + 8);
+    result.channels = buffer.readUInt16BE(entry.start + 16);
+    result.sampleRate = version < 2 ? buffer.readUInt16BE(entry.start + 24) : null;
+
+    // QuickTime sound description v1/v2 extend the entry before child boxes
+    const childStart = entry.start + 28 + (version === 1 ? 16 : version === 2 ? 36 : 0);
+    const esds = listBoxes(buffer, childStart, entry.end).find(box => box.type === 'esds');
+    if (esds) {
+      result.codec = parseEsdsCodec(buffer, esds);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Read the timescale and duration of an mvhd or mdhd box
+ */
+const parseMediaHeader = (buffer, box) => {
+  const version = buffer[box.start];
+
+  if (version === 1) {
+    return {
+      timescale: buffer.readUInt32BE(box.start + 20),
+      duration: Number(buffer.readBigUInt64BE(box.start + 24))
+    };
+  }
+
+  const duration = buffer.readUInt32BE(box.start + 16);
+  return {
+    timescale: buffer.readUInt32BE(box.start + 12),
+    duration: duration === 0xffffffff ? 0 : duration
+  };
+};
+
+/**
+ * Parse MP4 / MOV metadata from the moov box
+ */
+const parseMp4 = async (handle, fileSize) => {
+  const metadata = emptyMetadata();
+  const moovInfo = await findTopLevelBox(handle, fileSize, 'moov');
+
+  if (!moovInfo || moovInfo.size > MAX_MOOV_SIZE) {
+    return metadata;
+  }
+
+  const buffer = await readAt(handle, moovInfo.position, moovInfo.size);
+  const moov = { start: 0, end: buffer.length };
+
+  const mvhd = findBox(buffer, moov, 'mvhd');
+  if (mvhd) {
+    const { timescale, duration } = parseMediaHeader(buffer, mvhd);
+    metadata.durationSeconds = timescale ? toDuration(duration / timescale) : null;
+  }
+
+  for (const trak of listBoxes(buffer, moov.start, moov.end).filter(box => box.type === 'trak')) {
+    const mdia = findBox(buffer, trak, 'mdia');
+    const hdlr = mdia && findBox(buffer, mdia, 'hdlr');
+    if (!hdlr) continue;
+
+    const handler = buffer.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+    const mdhd = findBox(buffer, mdia, 'mdhd');
+    const minf = findBox(buffer, mdia, 'minf');
+    const stbl = minf && findBox(buffer, minf, 'stbl');
+    const stsd = stbl && findBox(buffer, stbl, 'stsd');
+    const entry = stsd && parseSampleEntry(buffer, stsd, handler);
+    if (!entry) continue;
+
+    if (handler === 'vide' && !metadata.videoCodec) {
+      metadata.videoCodec = entry.codec;
+
+      // Prefer display dimensions from tkhd (16.16 fixed point, last 8 bytes)
+      const tkhd = findBox(buffer, trak, 'tkhd');
+      const displayWidth = tkhd ? buffer.readUInt32BE(tkhd.end - 8) >>> 16 : 0;
+      const displayHeight = tkhd ? buffer.readUInt32BE(tkhd.end - 4) >>> 16 : 0;
+      metadata.width = displayWidth || entry.width || null;
+      metadata.height = displayHeight || entry.height || null;
+    } else if (handler === 'soun' && !metadata.audioCodec) {
+      metadata.audioCodec = entry.codec;
+      metadata.channels = entry.channels || null;
+      metadata.sampleRate = entry.sampleRate ||
+        (mdhd ? parseMediaHeader(buffer, mdhd).timescale : null);
+    }
+  }
+
+  return metadata;
+};
+
+// =============================================================================
+// WAV
+// =============================================================================
+
+/**
+ * Parse WAVE metadata from the fmt and data chunks
+ */
+const parseWav = async (handle, fileSize) => {
+  const metadata = emptyMetadata();
+  const header = await readAt(handle, 0, 12);
+  const isRf64 = header.toString('latin1', 0, 4) === 'RF64';
+
+  let pos = 12;
+  let byteRate = 0;
+  let dataSize = null;
+
+  while (pos + 8 <= fileSize) {
+    const chunk = await readAt(handle, pos, 8);
+    if (chunk.length < 8) break;
+
+    const id = chunk.toString('latin1', 0, 4);
+    const size = chunk.readUInt32LE(4);
+
+    if (id === 'ds64') {
+      const ds64 = await readAt(handle, pos + 8, 16);
+      dataSize = Number(ds64.readBigUInt64LE(8));
+    } else if (id === 'fmt ') {
+      const fmt = await readAt(handle, pos + 8, Math.min(size, 40));
+      let formatTag = fmt.readUInt16LE(0);
+      const bitsPerSample = fmt.readUInt16LE(14);
+
+      // WAVE_FORMAT_EXTENSIBLE: the real format is in the sub-format GUID
+      if (formatTag === 0xfffe && fmt.length >= 26) {
+        formatTag = fmt.readUInt16LE(24);
+      }
+
+      metadata.channels = fmt.readUInt16LE(2);
+      metadata.sampleRate = fmt.readUInt32LE(4);
+      byteRate = fmt.readUInt32LE(8);
+      metadata.bitrate = byteRate * 8;
+
+      if (formatTag === 0x0001) {
+        metadata.audioCodec = bitsPerSample === 8 ? 'pcm_u8' : `pcm_s${bitsPerSample}le`;
+      } else {
+        metadata.audioCodec = WAV_FORMATS[formatTag] || `wav_0x${formatTag.toString(16)}`;
+      }
+    } else if (id === 'data') {
+      // RF64 stores 0xFFFFFFFF here and the real size in ds64
+      if (!isRf64 || dataSize === null) {
+        dataSize = size;
+      }
+      break;
+    }
+
+    pos += 8 + size + (size % 2);
+  }
+
+  if (byteRate && dataSize !== null) {
+    metadata.durationSeconds = toDuration(dataSize / byteRate);
+  }
+
+  return metadata;
+};
+
+// =============================================================================
+// FLAC
+// =============================================================================
+
+/**
+ * Parse a 34-byte FLAC STREAMINFO block
+ */
+const parseStreamInfo = (block) => {
+  const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+  const channels = ((block[12] >> 1) & 0x07) + 1;
+  const totalSamples = (block[13] & 0x0f) * 2 ** 32 + block.readUInt32BE(14);
+
+  return { sampleRate, channels, totalSamples };
+};
+
+/**
+ * Parse FLAC metadata from the STREAMINFO block
+ */
+const parseFlac = async (handle, fileSize) => {
+  const metadata = emptyMetadata();
+  const header = await readAt(handle, 4, 4 + 34);
+
+  // STREAMINFO is always the first metadata block
+  if (header.length < 38 || (header[0] & 0x7f) !== 0) {
+    return metadata;
+  }
+
+  const { sampleRate, channels, totalSamples } = parseStreamInfo(header.subarray(4));
+
+  metadata.audioCodec = 'flac';
+  metadata.sampleRate = sampleRate || null;
+  metadata.channels = channels;
+
+  if (sampleRate && totalSamples) {
+    metadata.durationSeconds = toDuration(totalSamples / sampleRate);
+    metadata.bitrate = Math.round((fileSize * 8) / (totalSamples / sampleRate));
+  }
+
+  return metadata;
+};
+
+// =============================================================================
+// MP3
+// =============================================================================
+
+/**
+ * Decode an MPEG audio frame header at a position in a buffer
+ *
+ * @returns {Object|null} - Frame info or null if not a valid header
+ */
+const parseMpegFrameHeader = (buffer, pos) => {
+  if (pos + 4 > buffer.length || buffer[pos] !== 0xff || (buffer[pos + 1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+
+  const versionBits = (buffer[pos + 1] >> 3) & 0x03;
+  const layerBits = (buffer[pos + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[pos + 2] >> 4;
+  const sampleRateIndex = (buffer[pos + 2] >> 2) & 0x03;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 0x0f || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const layer = 4 - layerBits;
+  const isV1 = versionBits === 3;
+  const bitrate = MPEG_BITRATES[`${isV1 ? 'V1' : 'V2'}L${layer}`][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[versionBits][sampleRateIndex];
+  const padding = (buffer[pos + 2] >> 1) & 0x01;
+  const channelMode = buffer[pos + 3] >> 6;
+
+  let samplesPerFrame;
+  let frameLength;
+  if (layer === 1) {
+    samplesPerFrame = 384;
+    frameLength = (Math.floor((12 * bitrate) / sampleRate) + padding) * 4;
+  } else {
+    samplesPerFrame = layer === 3 && !isV1 ? 576 : 1152;
+    frameLength = Math.floor((samplesPerFrame / 8) * bitrate / sampleRate) + padding;
+  }
+
+  return {
+    isV1,
+    layer,
+    bitrate,
+    sampleRate,
+    channels: channelMode === 3 ? 1 : 2,
+    samplesPerFrame,
+    frameLength
+  };
+};
+
+/**
+ * Get the total size of the ID3v2 tags at the start of a file
+ */
+const getId3v2Size = async (handle) => {
+  let offset = 0;
+
+  // Files occasionally carry more than one tag back to back
+  for (;;) {
+    const header = await readAt(handle, offset, 10);
+    if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') {
+      return offset;
+    }
+
+    const size = ((header[6] & 0x7f) << 21) | ((header[7] & 0x7f) << 14) |
+      ((header[8] & 0x7f) << 7) | (header[9] & 0x7f);
+    const hasFooter = (header[5] & 0x10) !== 0;
+    offset += 10 + size + (hasFooter ? 10 : 0);
+  }
+};
+
+/**
+ * Parse MP3 metadata from the first frame and its Xing/Info or VBRI header
+ */
+const parseMp3 = async (handle, fileSize) => {
+  const metadata = emptyMetadata();
+  const audioStart = await getId3v2Size(handle);
+  const buffer = await readAt(handle, audioStart, 64 * 1024);
+
+  // Find the first frame whose successor is also a valid frame
+  let framePos = -1;
+  let frame = null;
+  for (let pos = 0; pos < buffer.length - 4; pos++) {
+    const candidate = parseMpegFrameHeader(buffer, pos);
+    if (!candidate || candidate.frameLength <= 0) continue;
+
+    const next = pos + candidate.frameLength;
+    if (next + 4 > buffer.length || parseMpegFrameHeader(buffer, next)) {
+      framePos = pos;
+      frame = candidate;
+      break;
+    }
+  }
+
+  if (!frame) {
+    return metadata;
+  }
+
+  metadata.audioCodec = `mp${frame.layer}`;
+  metadata.sampleRate = frame.sampleRate;
+  metadata.channels = frame.channels;
+
+  // Audio bytes exclude the ID3v1 tag at the end, if any
+  let audioBytes = fileSize - audioStart - framePos;
+  const tail = await readAt(handle, fileSize - 128, 3);
+  if (tail.toString('latin1') === 'TAG') {
+    audioBytes -= 128;
+  }
+
+  let frameCount = null;
+  let vbrBytes = null;
+
+  // Xing / Info header sits right after the side information
+  const sideInfoSize = frame.isV1 ? (frame.channels === 1 ? 17 : 32) : (frame.channels === 1 ? 9 : 17);
+  const xingPos = framePos + 4 + sideInfoSize;
+  const xingTag = buffer.toString('latin1', xingPos, xingPos + 4);
+
+  if (xingTag === 'Xing' || xingTag === 'Info') {
+    const flags = buffer.readUInt32BE(xingPos + 4);
+    let pos = xingPos + 8;
+    if (flags & 0x01) {
+      frameCount = buffer.readUInt32BE(pos);
+      pos += 4;
+    }
+    if (flags & 0x02) {
+      vbrBytes = buffer.readUInt32BE(pos);
+    }
+  } else if (buffer.toString('latin1', framePos + 36, framePos + 40) === 'VBRI') {
+    vbrBytes = buffer.readUInt32BE(framePos + 36 + 10);
+    frameCount = buffer.readUInt32BE(framePos + 36 + 14);
+  }
+
+  if (frameCount) {
+    const duration = (frameCount * frame.samplesPerFrame) / frame.sampleRate;
+    metadata.durationSeconds = toDuration(duration);
+    metadata.bitrate = Math.round(((vbrBytes || audioBytes) * 8) / duration);
+  } else {
+    // Constant bitrate: duration follows from the stream size
+    metadata.bitrate = frame.bitrate;
+    metadata.durationSeconds = toDuration((audioBytes * 8) / frame.bitrate);
+  }
+
+  return metadata;
+};
+
+// =============================================================================
+// AAC (ADTS)
+// =============================================================================
+
+/**
+ * Parse AAC ADTS metadata from the first frame header
+ */
+const parseAdts = async (handle) => {
+  const metadata = emptyMetadata();
+  const header = await readAt(handle, 0, 7);
+
+  if (header.length < 7 || header[0] !== 0xff || (header[1] & 0xf6) !== 0xf0) {
+    return metadata;
+  }
+
+  const profile = (header[2] >> 6) + 1;
+  metadata.audioCodec = `mp4a.40.${profile}`;
+  metadata.sampleRate = AAC_SAMPLE_RATES[(header[2] >> 2) & 0x0f] || null;
+  metadata.channels = ((header[2] & 0x01) << 2) | (header[3] >> 6) || null;
+
+  return metadata;
+};
+
+// =============================================================================
+// OGG
+// =============================================================================
+
+/**
+ * Parse Ogg metadata from the first packet and the last page's granule position
+ */
+const parseOgg = async (handle, fileSize) => {
+  const metadata = emptyMetadata();
+  const page = await readAt(handle, 0, 512);
+
+  if (page.length < 28 || page.toString('latin1', 0, 4) !== 'OggS') {
+    return metadata;
+  }
+
+  const segmentCount = page[26];
+  const packet = page.subarray(27 + segmentCount);
+  let granuleRate = null;
+  let preSkip = 0;
+
+  if (packet.toString('latin1', 1, 7) === 'vorbis' && packet[0] === 0x01) {
+    metadata.audioCodec = 'vorbis';
+    metadata.channels = packet[11];
+    metadata.sampleRate = packet.readUInt32LE(12);
+    granuleRate = metadata.sampleRate;
+
+    const nominalBitrate = packet.readInt32LE(20);
+    if (nominalBitrate > 0) {
+      metadata.bitrate = nominalBitrate;
+    }
+  } else if (packet.toString('latin1', 0, 8) === 'OpusHead') {
+    metadata.audioCodec = 'opus';
+    metadata.channels = packet[9];
+    preSkip = packet.readUInt16LE(10);
+    metadata.sampleRate = packet.readUInt32LE(12) || 48000;
+    granuleRate = 48000; // Opus granule positions always count 48 kHz samples
+  } else if (packet.toString('latin1', 1, 5) === 'FLAC' && packet[0] === 0x7f) {
+    // Ogg FLAC mapping: 9-byte header, "fLaC", then the STREAMINFO block
+    const { sampleRate, channels } = parseStreamInfo(packet.subarray(17, 17 + 34));
+    metadata.audioCodec = 'flac';
+    metadata.channels = channels;
+    metadata.sampleRate = sampleRate || null;
+    granuleRate = metadata.sampleRate;
+  } else if (packet.toString('latin1', 0, 8) === 'Speex   ') {
+    metadata.audioCodec = 'speex';
+    metadata.sampleRate = packet.readUInt32LE(36);
+    metadata.channels = packet.readUInt32LE(48);
+    granuleRate = metadata.sampleRate;
+  }
+
+  if (!granuleRate) {
+    return metadata;
+  }
+
+  // Duration comes from the granule position of the last page
+  const tailStart = Math.max(0, fileSize - OGG_TAIL_BYTES);
+  const tail = await readAt(handle, tailStart, fileSize - tailStart);
+  let lastPage = tail.lastIndexOf('OggS');
+
+  while (lastPage !== -1 && (lastPage + 14 > tail.length || tail[lastPage + 4] !== 0)) {
+    lastPage = lastPage > 0 ? tail.lastIndexOf('OggS', lastPage - 1) : -1;
+  }
+
+  if (lastPage !== -1) {
+    const granule = Number(tail.readBigInt64LE(lastPage + 6));
+    const duration = (granule - preSkip) / granuleRate;
+
+    metadata.durationSeconds = toDuration(duration);
+    if (!metadata.bitrate && metadata.durationSeconds) {
+      metadata.bitrate = Math.round((fileSize * 8) / duration);
+    }
+  }
+
+  return metadata;
+};
+
+// =============================================================================
+// PUBLIC API
+// =============================================================================
+
+const PARSERS = {
+  mp4: parseMp4,
+  quicktime: parseMp4,
+  wav: parseWav,
+  flac: parseFlac,
+  mp3: parseMp3,
+  aac: parseAdts,
+  ogg: parseOgg
+};
+
+/**
+ * Extract technical metadata from a media file
+ *
+ * Fields that cannot be determined are null. Containers without a parser
+ * (e.g. Matroska, AVI, MPEG-PS) return all fields as null.
+ *
+ * @param {string} filePath - Path to the file on disk
+ * @param {string} container - Container detected by utils/mediaSniffer
+ * @returns {Promise<Object>} - { durationSeconds, bitrate, sampleRate, channels, width, height, videoCodec, audioCodec }
+ */
+const extractMetadata = async (filePath, container) => {
+  const parser = PARSERS[container];
+  if (!parser) {
+    return emptyMetadata();
+  }
+
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    const metadata = await parser(handle, size);
+
+    // Fall back to the average bitrate over the whole file
+    if (!metadata.bitrate && metadata.durationSeconds) {
+      metadata.bitrate = Math.round((size * 8) / metadata.durationSeconds);
+    }
+
+    return metadata;
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  extractMetadata,
+  emptyMetadata
+};
@@ -0,0 +1,188 @@
+/**
+ * Media Content Sniffer
+ *
+ * Detects the real container format of an uploaded file from its first
+ * bytes (magic numbers), so a renamed executable cannot be stored as
+ * video just because its name ends in .mp4.
+ */
+
+const fs = require('fs');
+
+// Number of leading bytes inspected
+const SNIFF_BYTES = 4096;
+
+// ftyp major brands that only ever carry audio
+const AUDIO_ONLY_BRANDS = ['M4A ', 'M4B ', 'M4P ', 'F4A ', 'F4B '];
+
+// Top-level QuickTime atoms found at the start of files without an ftyp box
+const LEGACY_QUICKTIME_ATOMS = ['moov', 'mdat', 'free', 'wide', 'skip', 'pnot'];
+
+/**
+ * Check whether the buffer starts with the given ASCII string at an offset
+ */
+const hasAscii = (buffer, offset, text) => {
+  return buffer.length >= offset + text.length &&
+    buffer.toString('latin1', offset, offset + text.length) === text;
+};
+
+/**
+ * Check for an MPEG audio (MP1/MP2/MP3) frame header at an offset
+ */
+const isMpegAudioFrame = (buffer, offset) => {
+  if (buffer.length < offset + 3) return false;
+
+  const b1 = buffer[offset + 1];
+  const b2 = buffer[offset + 2];
+  const layer = (b1 >> 1) & 0x03;
+  const bitrateIndex = (b2 >> 4) & 0x0f;
+  const sampleRateIndex = (b2 >> 2) & 0x03;
+
+  return buffer[offset] === 0xff &&
+    (b1 & 0xe0) === 0xe0 &&
+    layer !== 0 &&
+    bitrateIndex !== 0x0f &&
+    sampleRateIndex !== 0x03;
+};
+
+/**
+ * Check for an AAC ADTS frame header at an offset
+ */
+const isAdtsFrame = (buffer, offset) => {
+  return buffer.length >= offset + 2 &&
+    buffer[offset] === 0xff &&
+    (buffer[offset + 1] & 0xf6) === 0xf0;
+};
+
+/**
+ * Detect the container format of a file from its leading bytes
+ *
+ * The result's `mimeTypes` maps each media type the container may
+ * legitimately be uploaded as ('video' and/or 'audio') to its MIME type.
+ *
+ * @param {Buffer} buffer - The first bytes of the file
+ * @returns {Object|null} - { container, label, mimeTypes } or null if unknown
+ */
+const detectContainer = (buffer) => {
+  // ISO base media (MP4, M4A, MOV): size(4) + "ftyp" + major brand
+  if (hasAscii(buffer, 4, 'ftyp')) {
+    const brand = buffer.toString('latin1', 8, 12);
+
+    if (brand === 'qt  ') {
+      return { container: 'quicktime', label: 'QuickTime (MOV)', mimeTypes: { video: 'video/quicktime' } };
+    }
+    if (AUDIO_ONLY_BRANDS.includes(brand)) {
+      return { container: 'mp4', label: 'MPEG-4 audio (M4A)', mimeTypes: { audio: 'audio/mp4' } };
+    }
+    return { container: 'mp4', label: 'MPEG-4', mimeTypes: { video: 'video/mp4', audio: 'audio/mp4' } };
+  }
+
+  // Old QuickTime files start straight with a top-level atom
+  if (LEGACY_QUICKTIME_ATOMS.some(atom => hasAscii(buffer, 4, atom))) {
+    return { container: 'quicktime', label: 'QuickTime (MOV)', mimeTypes: { video: 'video/quicktime' } };
+  }
+
+  // Matroska / WebM: EBML header, DocType tells them apart
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    const header = buffer.toString('latin1', 0, Math.min(buffer.length, 64));
+
+    if (header.includes('webm')) {
+      return { container: 'webm', label: 'WebM', mimeTypes: { video: 'video/webm' } };
+    }
+    return { container: 'matroska', label: 'Matroska (MKV)', mimeTypes: { video: 'video/x-matroska' } };
+  }
+
+  // RIFF / RF64: WAVE audio or AVI video
+  if (hasAscii(buffer, 0, 'RIFF') || hasAscii(buffer, 0, 'RF64')) {
+    if (hasAscii(buffer, 8, 'WAVE')) {
+      return { container: 'wav', label: 'WAVE', mimeTypes: { audio: 'audio/wav' } };
+    }
+    if (hasAscii(buffer, 8, 'AVI ')) {
+      return { container: 'avi', label: 'AVI', mimeTypes: { video: 'video/x-msvideo' } };
+    }
+    return null;
+  }
+
+  if (hasAscii(buffer, 0, 'OggS')) {
+    return { container: 'ogg', label: 'Ogg', mimeTypes: { audio: 'audio/ogg' } };
+  }
+
+  if (hasAscii(buffer, 0, 'fLaC')) {
+    return { container: 'flac', label: 'FLAC', mimeTypes: { audio: 'audio/flac' } };
+  }
+
+  // MPEG program stream pack header / MPEG-1 video sequence header
+  if (buffer.length >= 4 && buffer[0] === 0x00 && buffer[1] === 0x00 && buffer[2] === 0x01 &&
+      (buffer[3] === 0xba || buffer[3] === 0xb3)) {
+    return { container: 'mpeg-ps', label: 'MPEG program stream', mimeTypes: { video: 'video/mpeg' } };
+  }
+
+  if (hasAscii(buffer, 0, 'ID3')) {
+    return { container: 'mp3', label: 'MPEG audio (MP3)', mimeTypes: { audio: 'audio/mpeg' } };
+  }
+
+  // Raw audio frames, possibly after a few bytes of zero padding
+  let start = 0;
+  while (start < buffer.length && buffer[start] === 0x00) {
+    start++;
+  }
+
+  if (isAdtsFrame(buffer, start)) {
+    return { container: 'aac', label: 'AAC (ADTS)', mimeTypes: { audio: 'audio/aac' } };
+  }
+
+  if (isMpegAudioFrame(buffer, start)) {
+    return { container: 'mp3', label: 'MPEG audio (MP3)', mimeTypes: { audio: 'audio/mpeg' } };
+  }
+
+  return null;
+};
+
+// What each detected container may be stored as, by the container name
+// recorded on media items. MP4 lists both types; detectContainer() narrows
+// audio-only brands (M4A) to audio when it reads the file.
+const CONTAINER_MIME_TYPES = {
+  mp4: { label: 'MPEG-4', mimeTypes: { video: 'video/mp4', audio: 'audio/mp4' } },
+  quicktime: { label: 'QuickTime (MOV)', mimeTypes: { video: 'video/quicktime' } },
+  webm: { label: 'WebM', mimeTypes: { video: 'video/webm' } },
+  matroska: { label: 'Matroska (MKV)', mimeTypes: { video: 'video/x-matroska' } },
+  avi: { label: 'AVI', mimeTypes: { video: 'video/x-msvideo' } },
+  'mpeg-ps': { label: 'MPEG program stream', mimeTypes: { video: 'video/mpeg' } },
+  wav: { label: 'WAVE', mimeTypes: { audio: 'audio/wav' } },
+  ogg: { label: 'Ogg', mimeTypes: { audio: 'audio/ogg' } },
+  flac: { label: 'FLAC', mimeTypes: { audio: 'audio/flac' } },
+  mp3: { label: 'MPEG audio (MP3)', mimeTypes: { audio: 'audio/mpeg' } },
+  aac: { label: 'AAC (ADTS)', mimeTypes: { audio: 'audio/aac' } }
+};
+
+/**
+ * Look up a recorded container name
+ *
+ * @param {string|null} container - Container name from detectContainer()
+ * @returns {Object|null} - { label, mimeTypes } or null if unknown
+ */
+const describeContainer = (container) => CONTAINER_MIME_TYPES[container] || null;
+
+/**
+ * Read the leading bytes of a file and detect its container
+ *
+ * @param {string} filePath - Path to the file on disk
+ * @returns {Promise<Object|null>} - Same as detectContainer()
+ */
+const sniffFile = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return detectContainer(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  detectContainer,
+  describeContainer,
+  sniffFile
+};
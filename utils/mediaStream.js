@@ -0,0 +1,213 @@
+/**
+ * Media Streaming Helper
+ *
+ * Serves a file from a storage driver with full HTTP Range support so
+ * players can seek in large media files: single ranges (206 Partial
+ * Content), multiple ranges (multipart/byteranges), If-Range and HEAD
+ * requests.
+ */
+
+const crypto = require('crypto');
+const rangeParser = require('range-parser');
+
+/**
+ * Build a weak ETag from file size and modification time
+ *
+ * @param {Object} stats - Storage stats ({ size, lastModified })
+ * @returns {string} - ETag header value
+ */
+const buildEtag = (stats) => {
+  return `W/"${stats.size.toString(16)}-${stats.lastModified.getTime().toString(16)}"`;
+};
+
+/**
+ * Check whether an If-Range precondition still matches the file
+ *
+ * @param {string} ifRange - If-Range header value (ETag or HTTP date)
+ * @param {string} etag - Current ETag of the file
+ * @param {Object} stats - Storage stats ({ size, lastModified })
+ * @returns {boolean} - Whether the Range header should be honoured
+ */
+const isRangeFresh = (ifRange, etag, stats) => {
+  if (!ifRange) {
+    return true;
+  }
+
+  // ETag form
+  if (ifRange.includes('"')) {
+    return ifRange === etag;
+  }
+
+  // HTTP-date form
+  const since = Date.parse(ifRange);
+  if (Number.isNaN(since)) {
+    return false;
+  }
+  return Math.floor(stats.lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+};
+
+/**
+ * Pipe a byte range of a stored file into the response without ending it
+ *
+ * Resolves once the range has been sent, or once the client has gone away
+ * (the stream is then destroyed, which emits only 'close').
+ *
+ * @param {Object} res - Express response object
+ * @param {Object} storage - Storage driver
+ * @param {string} key - Storage key of the file
+ * @param {number} start - First byte (inclusive)
+ * @param {number} end - Last byte (inclusive)
+ * @returns {Promise<void>}
+ */
+const pipeRange = async (res, storage, key, start, end) => {
+  const stream = await storage.getStream(key, { start, end });
+
+  return new Promise((resolve, reject) => {
+    const onClose = () => stream.destroy();
+    const settle = (error) => {
+      res.removeListener('close', onClose);
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    res.once('close', onClose);
+    stream.once('error', settle);
+    stream.once('close', () => settle());
+    stream.pipe(res, { end: false });
+  });
+};
+
+/**
+ * Send a media file honouring the request's Range header
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - File options
+ * @param {Object} options.storage - Storage driver holding the file
+ * @param {string} options.key - Storage key of the file
+ * @param {string} options.mimeType - Content-Type to serve the file with
+ * @returns {Promise<boolean>} - false if the file does not exist, true once handled
+ */
+const sendMediaFile = async (req, res, options) => {
+  const { storage, key, mimeType = 'application/octet-stream' } = options;
+
+  const stats = await storage.stat(key);
+
+  if (!stats) {
+    return false;
+  }
+
+  const size = stats.size;
+  const etag = buildEtag(stats);
+  const isHead = req.method === 'HEAD';
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', stats.lastModified.toUTCString());
+
+  const rangeHeader = req.headers.range;
+  let ranges = null;
+
+  if (rangeHeader && isRangeFresh(req.headers['if-range'], etag, stats)) {
+    ranges = rangeParser(size, rangeHeader, { combine: true });
+
+    if (ranges === -1) {
+      res.status(416);
+      res.setHeader('Content-Range', `bytes */${size}`);
+      res.end();
+      return true;
+    }
+
+    // Malformed or non-byte ranges are ignored and the full file is sent
+    if (ranges === -2 || ranges.type !== 'bytes') {
+      ranges = null;
+    }
+  }
+
+  // Full content
+  if (!ranges) {
+    res.status(200);
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Length', size);
+
+    if (isHead || size === 0) {
+      res.end();
+      return true;
+    }
+
+    await pipeRange(res, storage, key, 0, size - 1);
+    res.end();
+    return true;
+  }
+
+  // Single range
+  if (ranges.length === 1) {
+    const { start, end } = ranges[0];
+
+    res.status(206);
+    res.setHeader('Content-Type', mimeType);
+    res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    res.setHeader('Content-Length', end - start + 1);
+
+    if (isHead) {
+      res.end();
+      return true;
+    }
+
+    await pipeRange(res, storage, key, start, end);
+    res.end();
+    return true;
+  }
+
+  // Multiple ranges - multipart/byteranges
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const parts = ranges.map(({ start, end }) => ({
+    start,
+    end,
+    header: `\r\n--${boundary}\r\n` +
+      `Content-Type: ${mimeType}\r\n` +
+      `Content-Range: bytes ${start}-${end}/${size}\r\n\r\n`
+  }));
+  const trailer = `\r\n--${boundary}--\r\n`;
+
+  const contentLength = parts.reduce(
+    (total, part) => total + Buffer.byteLength(part.header) + (part.end - part.start + 1),
+    Buffer.byteLength(trailer)
+  );
+
+  res.status(206);
+  res.setHeader('Content-Type', `multipart/byteranges; boundary=${boundary}`);
+  res.setHeader('Content-Length', contentLength);
+
+  if (isHead) {
+    res.end();
+    return true;
+  }
+
+  // Stop after the part being sent when the client goes away
+  let closed = false;
+  res.once('close', () => {
+    closed = true;
+  });
+
+  for (const part of parts) {
+    if (closed) {
+      return true;
+    }
+    res.write(part.header);
+    await pipeRange(res, storage, key, part.start, part.end);
+  }
+
+  if (!closed) {
+    res.end(trailer);
+  }
+  return true;
+};
+
+module.exports = {
+  sendMediaFile,
+  buildEtag
+};
@@ -0,0 +1,91 @@
+/**
+ * Pagination
+ *
+ * Parses page parameters (limit, orderBy, order, cursor) for list routes
+ * and encodes opaque cursors for Firestore startAfter() paging. A cursor
+ * holds the sort it was issued for and the position of the last item on
+ * its page: that item's sort value and document ID, which breaks ties.
+ */
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+/**
+ * Encode a cursor
+ *
+ * @param {Object} position - { sort: 'field:order', value, id }
+ * @returns {string} - URL-safe cursor
+ */
+const encodeCursor = ({ sort, value, id }) => {
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+};
+
+/**
+ * Decode a cursor
+ *
+ * @returns {Object|null} - { sort, value, id }, or null if the cursor is not valid
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { s: sort, v: value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (typeof sort !== 'string' || typeof id !== 'string' || id === '' || value === undefined) {
+      return null;
+    }
+    if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+      return null;
+    }
+    return { sort, value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Parse and check page parameters
+ *
+ * @param {Object} query - Request query (limit, orderBy, order, cursor)
+ * @param {Object} options - Allowed values and defaults
+ * @param {Array<string>} options.sortFields - Fields that may be sorted on
+ * @param {string} options.defaultSort - Field sorted on without orderBy
+ * @param {string} options.defaultOrder - 'asc' or 'desc'
+ * @param {number} options.defaultLimit - Page size without limit
+ * @param {number} options.maxLimit - Largest page size
+ * @returns {Object} - { limit, orderBy, order, sort, cursor }, or { error } if a parameter is not valid
+ */
+const parsePageParams = (query, { sortFields, defaultSort, defaultOrder = 'desc', defaultLimit, maxLimit }) => {
+  const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+  const orderBy = query.orderBy === undefined ? defaultSort : query.orderBy;
+  const order = query.order === undefined ? defaultOrder : query.order;
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    return { error: `limit must be an integer between 1 and ${maxLimit}` };
+  }
+  if (!sortFields.includes(orderBy)) {
+    return { error: `orderBy must be one of: ${sortFields.join(', ')}` };
+  }
+  if (!SORT_ORDERS.includes(order)) {
+    return { error: `order must be one of: ${SORT_ORDERS.join(', ')}` };
+  }
+
+  const sort = `${orderBy}:${order}`;
+  let cursor = null;
+
+  if (query.cursor !== undefined) {
+    cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+
+    if (!cursor) {
+      return { error: 'cursor is not valid' };
+    }
+    if (cursor.sort !== sort) {
+      return { error: 'cursor belongs to a different orderBy/order; keep them the same while paging' };
+    }
+  }
+
+  return { limit, orderBy, order, sort, cursor };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parsePageParams
+};
@@ -0,0 +1,160 @@
+/**
+ * Podcast Feeds
+ *
+ * Writes RSS 2.0 podcast feeds with the iTunes and Podcasting 2.0
+ * namespaces. The routes gather channel metadata and episodes; this module
+ * only turns them into XML, so the same input always gives the same
+ * document (and the same ETag).
+ */
+
+const { v5: uuidv5 } = require('uuid');
+
+// Namespace Podcasting 2.0 uses to derive podcast:guid from a feed URL
+const PODCAST_GUID_NAMESPACE = 'ead4c236-bf58-58c6-a2c6-a6b28d128cb6';
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+/**
+ * Escape text for XML element content and attribute values
+ */
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+
+/**
+ * Format a date as RFC 2822 (pubDate, lastBuildDate)
+ *
+ * @returns {string|null} - Date string, or null if the date is not valid
+ */
+const toRfc2822 = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toUTCString();
+};
+
+/**
+ * Derive a feed's podcast:guid from its URL (scheme, query and trailing slashes removed)
+ */
+const getPodcastGuid = (feedUrl) => {
+  const { host, pathname } = new URL(feedUrl);
+  return uuidv5(`${host}${pathname}`.replace(/\/+$/, ''), PODCAST_GUID_NAMESPACE);
+};
+
+/**
+ * Write an element with escaped text, or nothing if the value is empty
+ */
+const textElement = (indent, name, value) => {
+  if (value === null || value === undefined || value === '') return [];
+  return [`${indent}<${name}>${escapeXml(value)}</${name}>`];
+};
+
+/**
+ * Write an empty element with escaped attributes, leaving out empty ones
+ */
+const emptyElement = (indent, name, attributes) => {
+  const written = Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  return [`${indent}<${name}${written}/>`];
+};
+
+/**
+ * Write one episode
+ */
+const buildItem = (item) => {
+  const indent = '      ';
+
+  return [
+    '    <item>',
+    ...textElement(indent, 'title', item.title),
+    ...textElement(indent, 'description', item.description),
+    `${indent}<guid isPermaLink="false">${escapeXml(item.guid)}</guid>`,
+    ...textElement(indent, 'pubDate', toRfc2822(item.pubDate)),
+    ...emptyElement(indent, 'enclosure', {
+      url: item.enclosure.url,
+      length: item.enclosure.length || 0,
+      type: item.enclosure.type
+    }),
+    ...textElement(indent, 'itunes:title', item.title),
+    ...textElement(indent, 'itunes:duration', Number.isFinite(item.duration) ? Math.round(item.duration) : null),
+    ...(item.imageUrl ? emptyElement(indent, 'itunes:image', { href: item.imageUrl }) : []),
+    ...textElement(indent, 'itunes:episodeType', 'full'),
+    ...(item.transcripts || []).flatMap(transcript => emptyElement(indent, 'podcast:transcript', {
+      url: transcript.url,
+      type: transcript.type,
+      language: transcript.language,
+      rel: transcript.rel
+    })),
+    '    </item>'
+  ];
+};
+
+/**
+ * Build an RSS 2.0 podcast feed
+ *
+ * @param {Object} feed
+ * @param {Object} feed.channel - { title, description, link, feedUrl, language, copyright, author,
+ *   ownerName, ownerEmail, imageUrl, category, subcategory, explicit, type, locked, guid, lastBuildDate }
+ * @param {Array<Object>} feed.items - [{ guid, title, description, pubDate, duration, imageUrl,
+ *   enclosure: { url, length, type }, transcripts: [{ url, type, language, rel }] }]
+ * @returns {string} - XML document
+ */
+const buildPodcastRss = ({ channel, items }) => {
+  const indent = '    ';
+  const category = channel.category
+    ? [
+      channel.subcategory
+        ? `${indent}<itunes:category text="${escapeXml(channel.category)}"><itunes:category text="${escapeXml(channel.subcategory)}"/></itunes:category>`
+        : `${indent}<itunes:category text="${escapeXml(channel.category)}"/>`
+    ]
+    : [];
+  const owner = channel.ownerName || channel.ownerEmail
+    ? [
+      `${indent}<itunes:owner>`,
+      ...textElement(`${indent}  `, 'itunes:name', channel.ownerName),
+      ...textElement(`${indent}  `, 'itunes:email', channel.ownerEmail),
+      `${indent}</itunes:owner>`
+    ]
+    : [];
+  const image = channel.imageUrl
+    ? [
+      `${indent}<image>`,
+      ...textElement(`${indent}  `, 'url', channel.imageUrl),
+      ...textElement(`${indent}  `, 'title', channel.title),
+      ...textElement(`${indent}  `, 'link', channel.link),
+      `${indent}</image>`,
+      ...emptyElement(indent, 'itunes:image', { href: channel.imageUrl })
+    ]
+    : [];
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" ' +
+      'xmlns:podcast="https://podcastindex.org/namespace/1.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    ...textElement(indent, 'title', channel.title),
+    ...textElement(indent, 'link', channel.link),
+    ...textElement(indent, 'description', channel.description || channel.title),
+    ...textElement(indent, 'language', channel.language),
+    ...textElement(indent, 'copyright', channel.copyright),
+    ...textElement(indent, 'lastBuildDate', channel.lastBuildDate && toRfc2822(channel.lastBuildDate)),
+    ...textElement(indent, 'generator', 'MediaCore'),
+    ...emptyElement(indent, 'atom:link', { href: channel.feedUrl, rel: 'self', type: 'application/rss+xml' }),
+    ...image,
+    ...textElement(indent, 'itunes:author', channel.author),
+    ...owner,
+    ...category,
+    ...textElement(indent, 'itunes:explicit', channel.explicit ? 'true' : 'false'),
+    ...textElement(indent, 'itunes:type', channel.type),
+    ...textElement(indent, 'podcast:guid', channel.guid || getPodcastGuid(channel.feedUrl)),
+    `${indent}<podcast:locked${channel.ownerEmail ? ` owner="${escapeXml(channel.ownerEmail)}"` : ''}>${channel.locked ? 'yes' : 'no'}</podcast:locked>`,
+    ...items.flatMap(buildItem),
+    '  </channel>',
+    '</rss>'
+  ];
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  escapeXml,
+  buildPodcastRss
+};
@@ -0,0 +1,121 @@
+/**
+ * Publication
+ *
+ * Status workflow for media items: draft, scheduled, published and
+ * unpublished. A scheduled item goes live at publishAt, and a scheduled or
+ * published item can be taken down at unpublishAt. Whether an item is live
+ * is worked out from these fields at request time, so the public routes do
+ * not wait for the scheduler that records the change in `status`.
+ */
+
+const MEDIA_STATUSES = ['draft', 'scheduled', 'published', 'unpublished'];
+
+// Statuses that may carry an unpublishAt embargo end
+const EMBARGO_STATUSES = ['scheduled', 'published'];
+
+/**
+ * Status of a media item; items created before the workflow are published
+ */
+const getMediaStatus = (data) => data.status || 'published';
+
+/**
+ * Check whether a media item is live (publicly visible) at a given time
+ *
+ * @param {Object} data - Media document data
+ * @param {string} now - ISO timestamp (default: the current time)
+ * @returns {boolean}
+ */
+const isLive = (data, now = new Date().toISOString()) => {
+  const status = getMediaStatus(data);
+
+  if (data.unpublishAt && data.unpublishAt <= now) return false;
+  if (status === 'published') return true;
+  return status === 'scheduled' && Boolean(data.publishAt) && data.publishAt <= now;
+};
+
+/**
+ * Read an optional date input
+ *
+ * @returns {Object} - { value } (an ISO timestamp, null to clear, undefined if not given) or { message }
+ */
+const parseDateInput = (value, field) => {
+  if (value === undefined) return { value: undefined };
+  if (value === null || value === '') return { value: null };
+
+  const date = typeof value === 'string' ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    return { message: `${field} must be an ISO 8601 date` };
+  }
+  return { value: date.toISOString() };
+};
+
+/**
+ * Check a status change and build the fields to save
+ *
+ * Fields left out of the input keep their current values. publishAt is
+ * only kept on scheduled items and unpublishAt on scheduled and published
+ * items. Moving to published or unpublished records when and by whom.
+ *
+ * @param {Object} input - { status?, publishAt?, unpublishAt? }
+ * @param {Object|null} current - Current media document data, or null for a new item (published by default)
+ * @param {Object} options - { by: uid of the admin, now: ISO timestamp }
+ * @returns {Object} - { fields } or { message } if the change is not valid
+ */
+const resolvePublication = (input, current, { by, now = new Date().toISOString() } = {}) => {
+  const currentStatus = current ? getMediaStatus(current) : null;
+  const status = input.status === undefined || input.status === '' ? currentStatus || 'published' : input.status;
+
+  if (!MEDIA_STATUSES.includes(status)) {
+    return { message: `status must be one of: ${MEDIA_STATUSES.join(', ')}` };
+  }
+
+  const publishInput = parseDateInput(input.publishAt, 'publishAt');
+  const unpublishInput = parseDateInput(input.unpublishAt, 'unpublishAt');
+  const dateError = publishInput.message || unpublishInput.message;
+
+  if (dateError) {
+    return { message: dateError };
+  }
+
+  if (status !== 'scheduled' && publishInput.value) {
+    return { message: 'publishAt only applies to scheduled items' };
+  }
+  if (!EMBARGO_STATUSES.includes(status) && unpublishInput.value) {
+    return { message: 'unpublishAt only applies to scheduled and published items' };
+  }
+
+  const keep = (parsed, field) => (parsed.value === undefined ? (current && current[field]) || null : parsed.value);
+  const publishAt = status === 'scheduled' ? keep(publishInput, 'publishAt') : null;
+  const unpublishAt = EMBARGO_STATUSES.includes(status) ? keep(unpublishInput, 'unpublishAt') : null;
+
+  if (status === 'scheduled' && !publishAt) {
+    return { message: 'publishAt is required for scheduled items' };
+  }
+  if (status === 'scheduled' && publishAt <= now) {
+    return { message: 'publishAt must be in the future; use status "published" to publish now' };
+  }
+  if (unpublishAt && unpublishAt <= (publishAt || now)) {
+    return {
+      message: publishAt ? 'unpublishAt must be after publishAt' : 'unpublishAt must be in the future'
+    };
+  }
+
+  const fields = { status, publishAt, unpublishAt };
+
+  if (status !== currentStatus) {
+    fields.statusChangedAt = now;
+    fields.statusChangedBy = by || null;
+
+    if (status === 'published') fields.publishedAt = now;
+    if (status === 'unpublished') fields.unpublishedAt = now;
+  }
+
+  return { fields };
+};
+
+module.exports = {
+  MEDIA_STATUSES,
+  getMediaStatus,
+  isLive,
+  resolvePublication
+};
@@ -0,0 +1,310 @@
+/**
+ * Remote Download
+ *
+ * Streams a file from an HTTP(S) URL to disk for server-side media imports.
+ * Guards against server-side request forgery: every host, including each
+ * redirect target, must resolve to a public address, and the address is
+ * checked at connect time so DNS cannot be re-pointed between the check
+ * and the request. Redirects, idle time, total time and size are capped.
+ *
+ * Errors carry a `code` starting with IMPORT_ (see the throw sites below).
+ */
+
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createHashStream } = require('./contentHash');
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Stream errors raised when the remote side closes the connection mid-body
+const INTERRUPTED_ERRORS = ['ECONNRESET', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+// Loopback, private, link-local, carrier-grade NAT, multicast, reserved and
+// documentation ranges. IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are
+// checked as IPv4, since a ::ffff:0:0/96 rule would also match plain IPv4.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Create an error with an IMPORT_ code
+ */
+const importError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Check whether an IP address is private, loopback or otherwise not public
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  if (family === 4) return blockedAddresses.check(address, 'ipv4');
+
+  const mapped = /^(?:0{0,4}:){0,5}:?ffff:(.+)$/i.exec(address);
+  if (mapped) {
+    // ::ffff:1.2.3.4 or ::ffff:102:304
+    const tail = mapped[1];
+    if (net.isIPv4(tail)) return isPrivateAddress(tail);
+
+    const groups = tail.split(':').map(group => parseInt(group, 16));
+    if (groups.length !== 2 || groups.some(Number.isNaN)) return true;
+    return isPrivateAddress([groups[0] >> 8, groups[0] & 0xff, groups[1] >> 8, groups[1] & 0xff].join('.'));
+  }
+
+  return blockedAddresses.check(address, 'ipv6');
+};
+
+/**
+ * Parse and check a source URL (protocol and literal IP hosts)
+ *
+ * Hostnames are checked when they are resolved, see createSafeLookup().
+ *
+ * @param {string} value - URL to download
+ * @param {Array<string>} allowedHosts - Hosts exempt from the private-address check
+ * @returns {URL} - Parsed URL
+ */
+const parseSourceUrl = (value, allowedHosts = []) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw importError('IMPORT_INVALID_URL', 'URL is not valid');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw importError('IMPORT_INVALID_URL', 'Only http and https URLs can be imported');
+  }
+  if (url.username || url.password) {
+    throw importError('IMPORT_INVALID_URL', 'URLs with credentials cannot be imported');
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !allowedHosts.includes(host) && isPrivateAddress(host)) {
+    throw importError('IMPORT_BLOCKED_ADDRESS', `Address ${host} is not a public address`);
+  }
+
+  return url;
+};
+
+/**
+ * DNS lookup for http.request that refuses private addresses
+ */
+const createSafeLookup = (allowedHosts) => (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (!allowedHosts.includes(hostname)) {
+      const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+      if (blocked) {
+        return callback(importError('IMPORT_BLOCKED_ADDRESS', `${hostname} resolves to ${blocked.address}, which is not a public address`));
+      }
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Get the file name from a Content-Disposition header or the URL path
+ */
+const getRemoteFilename = (response, url) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const match = /filename\*=UTF-8''([^;]+)|filename="?([^";]+)"?/i.exec(disposition);
+
+  let name = '';
+  try {
+    name = match ? decodeURIComponent(match[1] || match[2]) : decodeURIComponent(path.posix.basename(url.pathname));
+  } catch (error) {
+    name = path.posix.basename(url.pathname);
+  }
+  return path.basename(name.trim());
+};
+
+/**
+ * Send one GET request and wait for the response headers
+ */
+const request = (url, { lookup, headersTimeout, idleTimeout, signal }) => {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup,
+      signal,
+      timeout: idleTimeout,
+      headers: { 'User-Agent': 'MediaCore-Importer/1.0', Accept: '*/*' }
+    });
+
+    const headersTimer = setTimeout(() => {
+      req.destroy(importError('IMPORT_TIMEOUT', `No response from ${url.host} within ${headersTimeout / 1000}s`));
+    }, headersTimeout);
+
+    req.on('timeout', () => {
+      // Kept on the request: once the body is flowing, the response only sees a reset
+      req.timeoutError = importError('IMPORT_TIMEOUT', `Connection to ${url.host} was idle for ${idleTimeout / 1000}s`);
+      req.destroy(req.timeoutError);
+    });
+    req.on('response', (response) => {
+      clearTimeout(headersTimer);
+      resolve(response);
+    });
+    req.on('error', (error) => {
+      clearTimeout(headersTimer);
+      reject(error);
+    });
+  });
+};
+
+/**
+ * Download a URL to a local file
+ *
+ * @param {string} sourceUrl - http(s) URL to download
+ * @param {string} destPath - File to write
+ * @param {Object} options - Download options
+ * @param {number} options.maxBytes - Largest accepted file
+ * @param {number} options.maxRedirects - Redirects followed before giving up
+ * @param {number} options.headersTimeout - Milliseconds to wait for each response's headers
+ * @param {number} options.idleTimeout - Milliseconds without data before giving up
+ * @param {number} options.totalTimeout - Milliseconds the whole download may take
+ * @param {Array<string>} options.allowedHosts - Hosts exempt from the private-address check
+ * @param {Function} options.onResponse - async ({ url, filename, mimeType, contentLength }) called
+ *   before the body is read; throw to refuse the file
+ * @param {Function} options.onProgress - (bytesReceived) called as data arrives
+ * @returns {Promise<Object>} - { url, filename, mimeType, size, sha256 }
+ */
+const downloadToFile = async (sourceUrl, destPath, options) => {
+  const {
+    maxBytes,
+    maxRedirects = 5,
+    headersTimeout = 15000,
+    idleTimeout = 30000,
+    totalTimeout = 60 * 60 * 1000,
+    allowedHosts = [],
+    onResponse = async () => {},
+    onProgress = () => {}
+  } = options;
+
+  const controller = new AbortController();
+  const totalTimer = setTimeout(() => {
+    controller.abort(importError('IMPORT_TIMEOUT', `Download did not finish within ${totalTimeout / 1000}s`));
+  }, totalTimeout);
+
+  const requestOptions = {
+    lookup: createSafeLookup(allowedHosts),
+    headersTimeout,
+    idleTimeout,
+    signal: controller.signal
+  };
+
+  try {
+    let url = parseSourceUrl(sourceUrl, allowedHosts);
+    let response;
+
+    for (let redirects = 0; ; redirects++) {
+      try {
+        response = await request(url, requestOptions);
+      } catch (error) {
+        // An abort surfaces as AbortError; report the timeout behind it
+        if (controller.signal.aborted) throw controller.signal.reason;
+        if (error.code && error.code.startsWith('IMPORT_')) throw error;
+        throw importError('IMPORT_CONNECTION_FAILED', `Could not connect to ${url.host} (${error.code || error.message})`);
+      }
+
+      if (!REDIRECT_STATUSES.includes(response.statusCode) || !response.headers.location) {
+        break;
+      }
+
+      response.resume();
+      if (redirects >= maxRedirects) {
+        throw importError('IMPORT_TOO_MANY_REDIRECTS', `More than ${maxRedirects} redirects`);
+      }
+      url = parseSourceUrl(new URL(response.headers.location, url).href, allowedHosts);
+    }
+
+    if (response.statusCode < 200 || response.statusCode >= 300) {
+      response.resume();
+      throw importError('IMPORT_HTTP_ERROR', `Remote server responded with ${response.statusCode}`);
+    }
+
+    const contentLength = response.headers['content-length'] !== undefined
+      ? Number(response.headers['content-length'])
+      : null;
+
+    if (contentLength !== null && contentLength > maxBytes) {
+      response.resume();
+      throw importError('IMPORT_TOO_LARGE', `File is ${contentLength} bytes, the limit is ${maxBytes}`);
+    }
+
+    const info = {
+      url: url.href,
+      filename: getRemoteFilename(response, url),
+      mimeType: (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase(),
+      contentLength
+    };
+
+    try {
+      await onResponse(info);
+    } catch (error) {
+      response.destroy();
+      throw error;
+    }
+
+    let received = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxBytes) {
+          return callback(importError('IMPORT_TOO_LARGE', `File is larger than the limit of ${maxBytes} bytes`));
+        }
+        onProgress(received);
+        callback(null, chunk);
+      }
+    });
+    const hashStream = createHashStream();
+
+    try {
+      await pipeline(response, limiter, hashStream, fs.createWriteStream(destPath), { signal: controller.signal });
+    } catch (error) {
+      await fs.promises.rm(destPath, { force: true });
+      if (controller.signal.aborted) throw controller.signal.reason;
+      if (response.req.timeoutError) throw response.req.timeoutError;
+      if (INTERRUPTED_ERRORS.includes(error.code)) {
+        throw importError('IMPORT_INCOMPLETE', `Connection closed after ${received} bytes`);
+      }
+      throw error;
+    }
+
+    if (contentLength !== null && received !== contentLength) {
+      await fs.promises.rm(destPath, { force: true });
+      throw importError('IMPORT_INCOMPLETE', `Received ${received} of ${contentLength} bytes`);
+    }
+
+    return { ...info, size: received, sha256: hashStream.digest() };
+  } finally {
+    clearTimeout(totalTimer);
+  }
+};
+
+module.exports = {
+  isPrivateAddress,
+  parseSourceUrl,
+  downloadToFile
+};
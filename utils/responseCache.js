@@ -0,0 +1,97 @@
+/**
+ * Response Cache
+ *
+ * Short-lived in-memory cache for the Firestore reads behind hot public
+ * routes, so clients polling the same feed page or item do not cost a read
+ * each time. Entries expire after a TTL and the least recently used ones
+ * are dropped when the cache is full. clear() empties the cache when the
+ * data changes; reads that were still running at that point are returned
+ * to their callers but not stored, so they cannot bring back data from
+ * before the change.
+ */
+
+/**
+ * Create a response cache
+ *
+ * @param {Object} options
+ * @param {number} options.ttlSeconds - How long entries are kept (0 disables the cache)
+ * @param {number} options.maxEntries - Most entries kept at once
+ * @returns {Object} - { load, clear, getChangedAt }
+ */
+const createResponseCache = ({ ttlSeconds, maxEntries }) => {
+  const entries = new Map();
+  const loading = new Map();
+  let generation = 0;
+  let changedAt = new Date().toISOString();
+
+  /**
+   * Get a cached value, or load and cache it
+   *
+   * Callers asking for a key that is already loading share that load.
+   *
+   * @param {string} key - Cache key
+   * @param {Function} loader - async () => value
+   * @returns {Promise<*>} - The value
+   */
+  const load = async (key, loader) => {
+    if (ttlSeconds <= 0) {
+      return loader();
+    }
+
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      // Move to the end of the map, which is kept in least recently used order
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    }
+    entries.delete(key);
+
+    if (loading.has(key)) {
+      return loading.get(key);
+    }
+
+    const startedIn = generation;
+    const pending = (async () => {
+      try {
+        const value = await loader();
+
+        if (generation === startedIn) {
+          entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+          if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+          }
+        }
+        return value;
+      } finally {
+        if (loading.get(key) === pending) {
+          loading.delete(key);
+        }
+      }
+    })();
+
+    loading.set(key, pending);
+    return pending;
+  };
+
+  /**
+   * Drop every entry after the cached data has changed
+   */
+  const clear = () => {
+    generation += 1;
+    entries.clear();
+    loading.clear();
+    changedAt = new Date().toISOString();
+  };
+
+  /**
+   * When the cache was last cleared (or created), as an ISO timestamp
+   */
+  const getChangedAt = () => changedAt;
+
+  return { load, clear, getChangedAt };
+};
+
+module.exports = {
+  createResponseCache
+};
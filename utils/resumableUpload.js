@@ -0,0 +1,117 @@
+/**
+ * Resumable Upload Helpers
+ *
+ * File-level helpers for the tus-style resumable upload protocol used by
+ * the /admin/uploads routes. Partial uploads are appended to a `.part`
+ * file whose size on disk is the authoritative upload offset, so a chunk
+ * interrupted half way keeps every byte that reached the server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const TUS_VERSION = '1.0.0';
+
+/**
+ * Get the path of the partial file for an upload session
+ *
+ * @param {string} partialDir - Directory holding partial uploads
+ * @param {string} uploadId - Upload session ID
+ * @returns {string} - Absolute path to the .part file
+ */
+const getPartialPath = (partialDir, uploadId) => {
+  return path.join(partialDir, `${uploadId}.part`);
+};
+
+/**
+ * Get the current offset (bytes received) of a partial upload
+ *
+ * @param {string} partialPath - Path to the .part file
+ * @returns {Promise<number>} - Bytes on disk, 0 if the file does not exist
+ */
+const getUploadOffset = async (partialPath) => {
+  try {
+    const stats = await fs.promises.stat(partialPath);
+    return stats.size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Parse a tus Upload-Metadata header
+ *
+ * Format: "key base64value,key2 base64value2"
+ *
+ * @param {string|undefined} header - Upload-Metadata header value
+ * @returns {Object} - Decoded key/value pairs
+ */
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+
+  if (!header) {
+    return metadata;
+  }
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+
+  return metadata;
+};
+
+/**
+ * Append the request body to a partial upload
+ *
+ * Writes at most `length - offset` bytes. If the client sends more than
+ * the declared upload length, the extra bytes are discarded and an error
+ * with code 'UPLOAD_OVERFLOW' is thrown.
+ *
+ * @param {Object} req - Express request object (readable body stream)
+ * @param {string} partialPath - Path to the .part file
+ * @param {Object} options - { offset, length }
+ * @returns {Promise<number>} - New offset after the chunk was written
+ */
+const appendChunk = async (req, partialPath, { offset, length }) => {
+  let remaining = length - offset;
+  let overflow = false;
+
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      if (chunk.length > remaining) {
+        overflow = true;
+        const allowed = chunk.subarray(0, remaining);
+        remaining = 0;
+        return callback(null, allowed.length > 0 ? allowed : undefined);
+      }
+      remaining -= chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  await pipeline(req, limiter, fs.createWriteStream(partialPath, { flags: 'a' }));
+
+  if (overflow) {
+    const error = new Error('Chunk exceeds the declared upload length');
+    error.code = 'UPLOAD_OVERFLOW';
+    throw error;
+  }
+
+  return getUploadOffset(partialPath);
+};
+
+module.exports = {
+  TUS_VERSION,
+  getPartialPath,
+  getUploadOffset,
+  parseUploadMetadata,
+  appendChunk
+};
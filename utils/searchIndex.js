@@ -0,0 +1,157 @@
+/**
+ * Search Index
+ *
+ * In-memory inverted index for full-text search over media items. Each
+ * item is indexed as a list of entries (e.g. transcript segments), which
+ * are tokenized case- and accent-insensitively. A query matches the items
+ * that contain every query term and reports which entries matched, so a
+ * transcript hit comes back with the timestamps of its segment.
+ */
+
+/**
+ * Split text into lowercase, accent-free word tokens
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Tokens in order
+ */
+const tokenize = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+};
+
+/**
+ * Create an empty search index
+ *
+ * @returns {Object} - Index with set, remove, has, search and size
+ */
+const createSearchIndex = () => {
+  // term => Map(docId => Map(entryIndex => occurrences))
+  const postings = new Map();
+  // docId => { entries, terms }
+  const documents = new Map();
+
+  const remove = (docId) => {
+    const document = documents.get(docId);
+    if (!document) return;
+
+    for (const term of document.terms) {
+      const docs = postings.get(term);
+      docs.delete(docId);
+      if (docs.size === 0) {
+        postings.delete(term);
+      }
+    }
+    documents.delete(docId);
+  };
+
+  return {
+    /**
+     * Index (or re-index) a document
+     *
+     * @param {string} docId - Media item ID
+     * @param {Array<Object>} entries - [{ text, weight?, ...data }]; everything
+     *   but weight is returned with matches
+     */
+    set(docId, entries) {
+      remove(docId);
+
+      const terms = new Set();
+
+      entries.forEach((entry, entryIndex) => {
+        for (const term of tokenize(entry.text)) {
+          if (!postings.has(term)) {
+            postings.set(term, new Map());
+          }
+          const docs = postings.get(term);
+          if (!docs.has(docId)) {
+            docs.set(docId, new Map());
+          }
+          const occurrences = docs.get(docId);
+          occurrences.set(entryIndex, (occurrences.get(entryIndex) || 0) + 1);
+          terms.add(term);
+        }
+      });
+
+      if (terms.size > 0) {
+        documents.set(docId, { entries, terms });
+      }
+    },
+
+    remove,
+
+    has(docId) {
+      return documents.has(docId);
+    },
+
+    /**
+     * Find documents containing every term of a query, best match first
+     *
+     * Scores are a saturated, weighted term frequency times inverse
+     * document frequency, summed over the query terms.
+     *
+     * @param {string} query - Search text
+     * @param {Object} options - { maxMatches: matching entries returned per document }
+     * @returns {Array<Object>} - [{ id, score, matchCount, matches }]
+     */
+    search(query, { maxMatches = 5 } = {}) {
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0) return [];
+
+      const termDocs = terms.map(term => postings.get(term));
+      if (termDocs.some(docs => !docs)) return [];
+
+      // Start from the rarest term
+      const [rarest, ...others] = [...termDocs].sort((a, b) => a.size - b.size);
+      const results = [];
+
+      for (const docId of rarest.keys()) {
+        if (!others.every(docs => docs.has(docId))) continue;
+
+        const { entries } = documents.get(docId);
+        const matchedTerms = new Map(); // entryIndex => number of query terms in it
+        let score = 0;
+
+        termDocs.forEach(docs => {
+          const idf = Math.log(1 + documents.size / docs.size);
+          let frequency = 0;
+
+          for (const [entryIndex, occurrences] of docs.get(docId)) {
+            frequency += occurrences * (entries[entryIndex].weight || 1);
+            matchedTerms.set(entryIndex, (matchedTerms.get(entryIndex) || 0) + 1);
+          }
+          score += (frequency / (frequency + 1.2)) * idf;
+        });
+
+        // Entries with more of the query terms first, then in document order
+        const matches = [...matchedTerms.entries()]
+          .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+          .slice(0, maxMatches)
+          .map(([entryIndex]) => {
+            const { weight, ...data } = entries[entryIndex];
+            return data;
+          });
+
+        results.push({
+          id: docId,
+          score: Math.round(score * 1000) / 1000,
+          matchCount: matchedTerms.size,
+          matches
+        });
+      }
+
+      return results.sort((a, b) => b.score - a.score);
+    },
+
+    get size() {
+      return documents.size;
+    }
+  };
+};
+
+module.exports = {
+  tokenize,
+  createSearchIndex
+};
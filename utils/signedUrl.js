@@ -0,0 +1,141 @@
+/**
+ * Signed Media URLs
+ *
+ * Creates and verifies HMAC-signed, expiring links to media files so a
+ * leaked URL stops working once it expires. Each signature is bound to
+ * the media id, the expiry time and optionally the issuing API key id.
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 60 * 60; // 1 hour
+const MIN_TTL_SECONDS = 60; // 1 minute
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+
+// Expiry times are rounded down to a tenth of the TTL, so a URL signed
+// again within that window is identical and cached responses holding it
+// keep their ETag. A URL lives between 90% and 100% of its TTL.
+const EXPIRY_STEP_FRACTION = 10;
+
+// Secret used to sign URLs. Without URL_SIGNING_SECRET a random secret is
+// generated, so signed URLs stop working whenever the server restarts.
+const SIGNING_SECRET = process.env.URL_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.URL_SIGNING_SECRET) {
+  console.log('⚠️ URL_SIGNING_SECRET not set - signed media URLs will not survive a restart');
+}
+
+/**
+ * Compute the signature for a media URL
+ *
+ * @param {string} mediaId - Media document ID
+ * @param {number} expires - Expiry time (Unix seconds)
+ * @param {string|null} keyId - Issuing API key document ID
+ * @returns {string} - base64url encoded HMAC-SHA256
+ */
+const computeSignature = (mediaId, expires, keyId) => {
+  return crypto
+    .createHmac('sha256', SIGNING_SECRET)
+    .update(`${mediaId}:${expires}:${keyId || ''}`)
+    .digest('base64url');
+};
+
+/**
+ * Parse and validate a requested TTL
+ *
+ * @param {string|number|undefined} ttl - Requested TTL in seconds
+ * @returns {number|null} - TTL in seconds, or null if invalid
+ */
+const parseTtl = (ttl) => {
+  if (ttl === undefined || ttl === '') {
+    return DEFAULT_TTL_SECONDS;
+  }
+
+  const seconds = Number(ttl);
+  if (!Number.isInteger(seconds) || seconds < MIN_TTL_SECONDS || seconds > MAX_TTL_SECONDS) {
+    return null;
+  }
+  return seconds;
+};
+
+/**
+ * Create the signed query parameters for a media item
+ *
+ * @param {Object} options - Signing options
+ * @param {string} options.mediaId - Media document ID
+ * @param {number} options.ttl - Lifetime in seconds (rounded down, see EXPIRY_STEP_FRACTION)
+ * @param {string|null} options.keyId - Issuing API key ID to bind the URL to
+ * @returns {Object} - { params: { expires, kid?, signature }, expiresAt }
+ */
+const signMedia = ({ mediaId, ttl = DEFAULT_TTL_SECONDS, keyId = null }) => {
+  const step = Math.max(1, Math.floor(ttl / EXPIRY_STEP_FRACTION));
+  const expires = Math.floor((Math.floor(Date.now() / 1000) + ttl) / step) * step;
+  const params = { expires: String(expires) };
+
+  if (keyId) {
+    params.kid = keyId;
+  }
+  params.signature = computeSignature(mediaId, expires, keyId);
+
+  return {
+    params,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+};
+
+/**
+ * Build a signed streaming URL for a media item
+ *
+ * @param {string} baseUrl - Protocol and host, e.g. https://example.com
+ * @param {Object} options - Same options as signMedia()
+ * @returns {Object} - { url, expiresAt }
+ */
+const buildSignedMediaUrl = (baseUrl, options) => {
+  const { params, expiresAt } = signMedia(options);
+  const query = new URLSearchParams(params).toString();
+
+  return {
+    url: `${baseUrl}/api/media/${encodeURIComponent(options.mediaId)}/stream?${query}`,
+    expiresAt
+  };
+};
+
+/**
+ * Verify the signature of a media URL
+ *
+ * @param {string} mediaId - Media document ID from the path
+ * @param {Object} query - Request query ({ expires, kid, signature })
+ * @returns {Object} - { isValid, reason?, expires, keyId }
+ */
+const verifyMediaSignature = (mediaId, query) => {
+  const { expires, kid = null, signature } = query;
+  const expiresNum = Number(expires);
+
+  if (!signature || typeof signature !== 'string' || !Number.isInteger(expiresNum) ||
+      (kid !== null && typeof kid !== 'string')) {
+    return { isValid: false, reason: 'Malformed signature' };
+  }
+
+  const expected = Buffer.from(computeSignature(mediaId, expiresNum, kid));
+  const provided = Buffer.from(signature);
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { isValid: false, reason: 'Invalid signature' };
+  }
+
+  if (expiresNum < Math.floor(Date.now() / 1000)) {
+    return { isValid: false, reason: 'Signed URL has expired' };
+  }
+
+  return { isValid: true, expires: expiresNum, keyId: kid };
+};
+
+module.exports = {
+  DEFAULT_TTL_SECONDS,
+  MIN_TTL_SECONDS,
+  MAX_TTL_SECONDS,
+  parseTtl,
+  signMedia,
+  buildSignedMediaUrl,
+  verifyMediaSignature
+};
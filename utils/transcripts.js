@@ -0,0 +1,124 @@
+/**
+ * Transcripts
+ *
+ * Parses transcripts of media items into segments for storage and search.
+ * Plain text becomes one untimed segment per paragraph; JSON segment lists,
+ * WebVTT and SRT become timed segments.
+ */
+
+const { parseCaptions } = require('./captions');
+
+const TRANSCRIPT_FORMATS = ['txt', 'json', 'vtt', 'srt'];
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': ' ', '&lrm;': '', '&rlm;': '' };
+
+/**
+ * Collapse whitespace in a segment's text
+ */
+const cleanText = (text) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * Split plain text into paragraphs
+ */
+const parsePlainText = (text) => {
+  const segments = text
+    .split(/\n\s*\n/)
+    .map(cleanText)
+    .filter(Boolean)
+    .map(paragraph => ({ start: null, end: null, text: paragraph }));
+
+  return { segments, error: segments.length === 0 ? 'Transcript is empty' : null };
+};
+
+/**
+ * Read timed segments from a JSON array (or { segments: [...] })
+ *
+ * Each segment is { start, end?, text } with times in seconds.
+ */
+const parseJsonSegments = (value) => {
+  const list = Array.isArray(value) ? value : value && value.segments;
+
+  if (!Array.isArray(list) || list.length === 0) {
+    return { segments: [], error: 'JSON transcripts must be a non-empty array of { start, end, text } segments' };
+  }
+
+  const segments = [];
+
+  for (let i = 0; i < list.length; i++) {
+    const { start, end = null, text } = list[i] || {};
+    const label = `Segment ${i + 1}`;
+
+    if (typeof start !== 'number' || !Number.isFinite(start) || start < 0) {
+      return { segments: [], error: `${label}: start must be a number of seconds` };
+    }
+    if (end !== null && (typeof end !== 'number' || !Number.isFinite(end) || end <= start)) {
+      return { segments: [], error: `${label}: end must be a number of seconds after start` };
+    }
+    if (typeof text !== 'string' || cleanText(text) === '') {
+      return { segments: [], error: `${label}: text is required` };
+    }
+    if (segments.length > 0 && start < segments[segments.length - 1].start) {
+      return { segments: [], error: `${label}: starts before the previous segment` };
+    }
+
+    segments.push({ start, end, text: cleanText(text) });
+  }
+
+  return { segments, error: null };
+};
+
+/**
+ * Turn WebVTT/SRT cues into segments, without markup
+ */
+const parseCueSegments = (text, format) => {
+  const parsed = parseCaptions(text, format);
+  if (parsed.error) {
+    return { segments: [], error: parsed.error };
+  }
+
+  const segments = parsed.cues
+    .map(cue => ({
+      start: cue.start,
+      end: cue.end,
+      text: cleanText(cue.text.join(' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, entity => ENTITIES[entity]))
+    }))
+    .filter(segment => segment.text !== '');
+
+  return { segments, error: segments.length === 0 ? 'Transcript is empty' : null };
+};
+
+/**
+ * Parse a transcript
+ *
+ * @param {string|Array|Object} input - Text of the file, or already parsed JSON
+ * @param {string} format - 'txt', 'json', 'vtt' or 'srt'
+ * @returns {Object} - { segments, timed, error } where error is null if the transcript is valid
+ */
+const parseTranscript = (input, format) => {
+  let result;
+
+  if (format === 'json') {
+    let value = input;
+    if (typeof input === 'string') {
+      try {
+        value = JSON.parse(input);
+      } catch (error) {
+        return { segments: [], timed: false, error: 'Transcript is not valid JSON' };
+      }
+    }
+    result = parseJsonSegments(value);
+  } else if (format === 'vtt' || format === 'srt') {
+    result = parseCueSegments(input.replace(/\r\n?/g, '\n'), format);
+  } else {
+    result = parsePlainText(input.replace(/\r\n?/g, '\n'));
+  }
+
+  return { ...result, timed: format !== 'txt' };
+};
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  parseTranscript
+};